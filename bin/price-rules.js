@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Price rule debugger CLI
+ * Runs the debugger's rule engine in a terminal or CI job, without Vite or
+ * the Express server. Rules come from an XML file or, for a property code,
+ * from the NOVASOL API (honouring API_KEY and UPSTREAM_MODE from .env).
+ *
+ * Exit codes: 0 success, 1 failed checks or tests, 2 usage or load errors.
+ */
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import { parseISO, isValid, startOfDay, format } from 'date-fns';
+import { parseRuleDocument, formatWeekdays, formatPercentage } from '../src/utils/ruleUtils.js';
+import { analyseRules } from '../src/utils/ruleAnalysis.js';
+import { findCoverageGaps, describeGap } from '../src/utils/coverageUtils.js';
+import { normaliseSuite, runSuite, describeFailure } from '../src/utils/testSuites.js';
+import { summariseRule } from '../src/utils/evaluation.js';
+import { PRECEDENCE_STRATEGIES, DEFAULT_PRECEDENCE } from '../src/utils/constants.js';
+import { loadPriceRules } from '../server/lib/upstreamApis.js';
+
+dotenv.config({ quiet: true });
+
+const USAGE = `Usage: price-rules <command> [options]
+
+Commands:
+  inspect <file|code>         Print the rules as a table
+  check <file|code>           Run the XML validation, overlap and coverage gap analysis
+  test <suite.json>           Run a booking test suite
+
+Options:
+  --season <year>             Season to fetch when given a property code
+  --salesmarket <id>          Sales market to fetch (default 999)
+  --date <YYYY-MM-DD>         Booking creation date (default today, or the suite's)
+  --precedence <a,b>          Precedence strategies (default ${DEFAULT_PRECEDENCE.join(',')})
+  --fail-on <level>           check: exit 1 on "error" findings (default),
+                              on "warning" (errors, warnings and gaps) or "none"
+  --json                      Print JSON instead of text
+  -h, --help                  Show this help`;
+
+class UsageError extends Error {}
+
+function parseDateOption(value) {
+  if (value === undefined) return undefined;
+  const date = parseISO(value);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || !isValid(date)) throw new UsageError(`Invalid --date ${value}`);
+  return date;
+}
+
+function parsePrecedenceOption(value) {
+  if (value === undefined) return undefined;
+  const known = PRECEDENCE_STRATEGIES.map((strategy) => strategy.id);
+  const strategies = value.split(',').map((id) => id.trim()).filter(Boolean);
+  const unknown = strategies.filter((id) => !known.includes(id));
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown precedence strategy ${unknown.join(', ')}; expected ${known.join(', ')}`);
+  }
+  return strategies;
+}
+
+async function isFile(target) {
+  try {
+    return (await stat(target)).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Parse rule XML, failing on malformed documents
+function parseRules(xml, label) {
+  const { rules, diagnostics } = parseRuleDocument(xml);
+  const documentError = diagnostics.find((diagnostic) => diagnostic.ruleNumber === null);
+  if (documentError) throw new Error(`${label}: invalid XML: ${documentError.message}`);
+  return { rules, diagnostics, label };
+}
+
+/**
+ * Load rules from an XML file, or from the API when given a property code.
+ * @returns {Promise<Object>} { rules, diagnostics, label }
+ */
+async function loadRules(target, { season, salesmarket }) {
+  if (await isFile(target)) {
+    return parseRules(await readFile(target, 'utf8'), target);
+  }
+  if (!season) throw new UsageError(`${target} is not a file; pass --season to fetch it as a property code`);
+  const { body } = await loadPriceRules({ accommodationCode: target, season, salesmarket, storeSnapshot: false });
+  return parseRules(body, `${target} ${season}`);
+}
+
+// Render rows as a plain text table with padded columns
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map((width) => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function formatLosBand(rule) {
+  if (rule.minStay == null && rule.maxStay == null) return 'any';
+  return `${rule.minStay ?? 1}–${rule.maxStay ?? '∞'}`;
+}
+
+async function inspectCommand([target], options) {
+  if (!target) throw new UsageError('inspect needs a file or property code');
+  const { rules, label } = await loadRules(target, options);
+  if (options.json) {
+    return { output: JSON.stringify({ source: label, rules: rules.map(summariseRule) }, null, 2), exitCode: 0 };
+  }
+  const table = formatTable(
+    ['ID', 'From', 'To', '%', 'LOS', 'Arrival', 'Departure', 'Max days to arrival'],
+    rules.map((rule) => [
+      rule.id,
+      rule.from,
+      rule.to,
+      formatPercentage(rule.percentage),
+      formatLosBand(rule),
+      formatWeekdays(rule.arrivalWeekdays),
+      formatWeekdays(rule.departureWeekdays),
+      rule.maxDaysToArrival ?? '–'
+    ])
+  );
+  return { output: `${label}: ${rules.length} rules\n\n${table}`, exitCode: 0 };
+}
+
+const FAIL_LEVELS = {
+  error: ['error'],
+  warning: ['error', 'warning'],
+  none: []
+};
+
+async function checkCommand([target], options) {
+  if (!target) throw new UsageError('check needs a file or property code');
+  const failOn = options['fail-on'] || 'error';
+  if (!FAIL_LEVELS[failOn]) throw new UsageError(`Invalid --fail-on ${failOn}; expected error, warning or none`);
+  const { rules, diagnostics, label } = await loadRules(target, options);
+  const bookingCreationDate = options.date || startOfDay(new Date());
+  const findings = analyseRules(rules, { bookingCreationDate, strategies: options.precedence });
+  const gaps = findCoverageGaps(rules, { bookingCreationDate });
+
+  // Gaps count as warnings
+  const failing = findings.filter((finding) => FAIL_LEVELS[failOn].includes(finding.severity)).length +
+    diagnostics.filter((diagnostic) => FAIL_LEVELS[failOn].includes(diagnostic.severity)).length +
+    (FAIL_LEVELS[failOn].includes('warning') ? gaps.length : 0);
+  const exitCode = failing > 0 ? 1 : 0;
+
+  if (options.json) {
+    const report = {
+      source: label,
+      bookingCreationDate: format(bookingCreationDate, 'yyyy-MM-dd'),
+      ruleCount: rules.length,
+      diagnostics,
+      findings,
+      gaps,
+      failOn,
+      passed: exitCode === 0
+    };
+    return { output: JSON.stringify(report, null, 2), exitCode };
+  }
+
+  const lines = [`${label}: ${rules.length} rules, booking created ${format(bookingCreationDate, 'yyyy-MM-dd')}`, ''];
+  if (diagnostics.length > 0) {
+    lines.push(`XML problems (${diagnostics.length}):`);
+    diagnostics.forEach((diagnostic) => lines.push(
+      `  [${diagnostic.severity}] line ${diagnostic.line}, rule ${diagnostic.ruleNumber}: ${diagnostic.message}`
+    ));
+    lines.push('');
+  }
+  lines.push(findings.length > 0 ? `Findings (${findings.length}):` : 'Findings: none');
+  findings.forEach((finding) => lines.push(`  [${finding.severity}] ${finding.message}`));
+  lines.push('');
+  lines.push(gaps.length > 0 ? `Coverage gaps (${gaps.length}):` : 'Coverage gaps: none');
+  gaps.forEach((gap) => lines.push(`  ${describeGap(gap)}`));
+  lines.push('', exitCode === 0 ? 'OK' : `FAILED: ${failing} problem(s) at level "${failOn}" or above`);
+  return { output: lines.join('\n'), exitCode };
+}
+
+async function testCommand([suiteFile], options) {
+  if (!suiteFile) throw new UsageError('test needs a suite JSON file');
+  const suite = normaliseSuite(JSON.parse(await readFile(suiteFile, 'utf8')));
+
+  // Rules from the suite: a rules file next to it, or a property season
+  const target = suite.rulesFile ? path.resolve(path.dirname(suiteFile), suite.rulesFile) : suite.propertyCode;
+  if (!target) throw new UsageError('The suite needs a "rulesFile" or a "propertyCode" and "season"');
+  const { rules, label } = await loadRules(target, {
+    season: options.season || suite.season,
+    salesmarket: options.salesmarket || suite.salesmarket || 999
+  });
+  const summary = runSuite(rules, suite, {
+    bookingCreationDate: options.date,
+    strategies: options.precedence
+  });
+  const exitCode = summary.failed > 0 ? 1 : 0;
+
+  if (options.json) {
+    const report = {
+      suite: suite.name,
+      source: label,
+      ...summary,
+      results: summary.results.map(({ test, actual, passed, failures }) => ({
+        name: test.name,
+        startDate: test.startDate,
+        length: test.length,
+        expected: test.expected,
+        actual,
+        passed,
+        failures
+      }))
+    };
+    return { output: JSON.stringify(report, null, 2), exitCode };
+  }
+
+  const lines = [`${suite.name} against ${label}`, ''];
+  summary.results.forEach(({ test, passed, failures }) => {
+    lines.push(`${passed ? '✓' : '✗'} ${test.name} (${test.startDate}, ${test.length} night${test.length === 1 ? '' : 's'})`);
+    failures.forEach((failure) => lines.push(`    ${describeFailure(failure)}`));
+  });
+  lines.push('', `${summary.passed} passed, ${summary.failed} failed, ${summary.total} total`);
+  return { output: lines.join('\n'), exitCode };
+}
+
+const COMMANDS = {
+  inspect: inspectCommand,
+  check: checkCommand,
+  test: testCommand
+};
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      season: { type: 'string' },
+      salesmarket: { type: 'string' },
+      date: { type: 'string' },
+      precedence: { type: 'string' },
+      'fail-on': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  const [commandName, ...args] = positionals;
+  if (values.help || !commandName) {
+    return { output: USAGE, exitCode: values.help ? 0 : 2 };
+  }
+  const command = COMMANDS[commandName];
+  if (!command) throw new UsageError(`Unknown command ${commandName}`);
+  return command(args, {
+    ...values,
+    date: parseDateOption(values.date),
+    precedence: parsePrecedenceOption(values.precedence)
+  });
+}
+
+main(process.argv.slice(2))
+  .then(({ output, exitCode }) => {
+    console.log(output);
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error(`price-rules: ${error.message}`);
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+      console.error(`\n${USAGE}`);
+    }
+    process.exitCode = 2;
+  });
@@ -0,0 +1,27 @@
+/**
+ * Local webhook listener for testing watcher alerts. Prints every POSTed
+ * JSON payload. Run with `npm run webhook:listen` and set
+ * WATCH_WEBHOOK_URL=http://localhost:3002/alerts
+ */
+import http from 'node:http';
+
+const PORT = Number(process.env.WEBHOOK_PORT) || 3002;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    console.log(`📣 ${new Date().toISOString()} ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(PORT, () => {
+  console.log(`Webhook listener running on http://localhost:${PORT}`);
+});
@@ -0,0 +1,213 @@
+/**
+ * Checkout quote parsing
+ * Extracts the quote payload the checkout page embeds in its HTML and
+ * turns it into a structured result: price, nightly breakdown, currency,
+ * error details and a failure classification.
+ */
+
+// Failure classes, matched against error codes and messages in order
+const FAILURE_PATTERNS = [
+  { outcome: 'minStayViolation', pattern: /min(imum)?[\s_-]*(stay|nights|los)|stay[\s_-]*too[\s_-]*short/i },
+  { outcome: 'notSaleable', pattern: /not[\s_-]*(saleable|sellable|available|bookable)|unavailable|sold[\s_-]*out|no[\s_-]*availability/i }
+];
+
+// Where the quote payload keeps its price details, as paths from its top level
+const QUOTE_PATHS = [[], ['quote'], ['price'], ['pricing'], ['priceDetails'], ['priceSummary']];
+// Where it keeps the details of a failed quote
+const ERROR_PATHS = [['error'], ['errors', 0], ['quote', 'error'], ['quote', 'errors', 0]];
+
+const TOTAL_KEYS = ['totalPrice', 'totalAmount', 'grandTotal', 'total'];
+const CURRENCY_KEYS = ['currency', 'currencyCode', 'currencyIsoCode'];
+const NIGHTLY_KEYS = ['nightlyPrices', 'nightlyBreakdown', 'dailyPrices', 'priceBreakdown', 'nights', 'prices'];
+const ERROR_CODE_KEYS = ['errorCode', 'reasonCode', 'code'];
+const ERROR_MESSAGE_KEYS = ['errorMessage', 'message', 'reason', 'description'];
+// Generic keys, only trusted at the top level of the payload: deeper down
+// they also name nightly prices and currency codes
+const FALLBACK_TOTAL_KEYS = ['price', 'amount'];
+
+// Elements whose text is never shown as the page's message
+const HIDDEN_ELEMENTS = ['script', 'style', 'noscript', 'template', 'head', 'header', 'nav', 'footer'];
+// Elements that hold the page's error message
+const ERROR_CONTAINER_PATTERN = /<(\w+)\b[^>]*(?:role="alert"|(?:class|id)="[^"]*\b(?:error|alert)[^"]*")[^>]*>([\s\S]*?)<\/\1>/gi;
+
+/**
+ * Read the JSON value starting at `start` in `text`, by matching brackets
+ * outside of strings.
+ */
+function readJsonValue(text, start) {
+  const open = text[start];
+  const close = open === '{' ? '}' : open === '[' ? ']' : null;
+  if (!close) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the embedded quoteResponse object. The page embeds it either as
+ * plain JSON or inside a JavaScript string with escaped quotes.
+ * @param {string} html The checkout page
+ * @returns {Object|null} The quote payload
+ */
+export function extractQuotePayload(html) {
+  const candidates = [html];
+  if (html.includes('\\"quoteResponse\\"')) {
+    candidates.push(html.replace(/\\"/g, '"').replace(/\\\\/g, '\\'));
+  }
+  for (const text of candidates) {
+    const match = /"quoteResponse"\s*:\s*/g;
+    let result;
+    while ((result = match.exec(text)) !== null) {
+      const value = readJsonValue(text, result.index + result[0].length);
+      if (value && typeof value === 'object') return value;
+    }
+  }
+  return null;
+}
+
+function getPath(node, path) {
+  return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), node);
+}
+
+// The value under the first of `keys` on `node` that `accept` accepts
+function findKey(node, keys, accept) {
+  if (!node || typeof node !== 'object') return undefined;
+  const key = keys.find((candidate) => candidate in node && accept(node[candidate]));
+  return key === undefined ? undefined : node[key];
+}
+
+// The first value under one of `keys` at the first of `paths` that has one
+function findAtPaths(payload, paths, keys, accept) {
+  for (const path of paths) {
+    const found = findKey(getPath(payload, path), keys, accept);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+  if (value && typeof value === 'object') {
+    const nested = value.amount ?? value.value ?? value.total;
+    return nested !== undefined ? toNumber(nested) : null;
+  }
+  return null;
+}
+
+const isNumeric = (value) => toNumber(value) !== null;
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+const isCurrency = (value) => isText(value) || Boolean(value && isText(value.code));
+
+function parseNightly(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((night) => ({
+      date: night.date || night.day || night.startDate || null,
+      price: toNumber(night.price ?? night.amount ?? night.total ?? night.value)
+    }))
+    .filter((night) => night.price !== null);
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read the message a checkout page shows the user: the text of its error
+ * containers (role="alert", or a class or id with "error" or "alert"), or
+ * else the visible body text. Scripts, styles, headers, navigation and
+ * footers are left out, so their wording cannot pass for the page's error.
+ * @param {string} html The checkout page
+ * @returns {string} The message text
+ */
+export function extractPageMessage(html) {
+  const hiddenPattern = new RegExp(`<(${HIDDEN_ELEMENTS.join('|')})\\b[\\s\\S]*?<\\/\\1\\s*>`, 'gi');
+  const visible = html.replace(/<!--[\s\S]*?-->/g, '').replace(hiddenPattern, '');
+  const containers = Array.from(visible.matchAll(ERROR_CONTAINER_PATTERN), (match) => htmlToText(match[2]))
+    .filter(Boolean);
+  if (containers.length > 0) return containers.join(' ');
+  const body = /<body\b[^>]*>([\s\S]*?)(<\/body>|$)/i.exec(visible);
+  return htmlToText(body ? body[1] : visible);
+}
+
+/**
+ * Classify a failed checkout from its error code and message.
+ * @param {Object|null} error { code, message }
+ * @param {string} html The checkout page, whose message is searched when
+ *   there is no error
+ * @returns {string} 'minStayViolation' | 'notSaleable' | 'unknown'
+ */
+export function classifyFailure(error, html = '') {
+  const text = error ? `${error.code || ''} ${error.message || ''}` : extractPageMessage(html);
+  const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.outcome : 'unknown';
+}
+
+/**
+ * Turn a checkout page into a structured probe result.
+ * @param {string} html The checkout page
+ * @returns {Object} { success, outcome, quote, error } where quote is
+ *   { totalPrice, currency, nightly: [{ date, price }] } or null when the
+ *   price cannot be read, and error is { code, message }; outcome is 'ok'
+ *   on success
+ */
+export function parseCheckoutResponse(html) {
+  const payload = extractQuotePayload(html);
+  const errorNode = payload
+    ? ERROR_PATHS.map((path) => getPath(payload, path)).find((value) => isText(value) || (value && typeof value === 'object'))
+    : undefined;
+  const errorSource = typeof errorNode === 'string' ? { message: errorNode } : errorNode;
+  const code = findKey(errorSource || payload, ERROR_CODE_KEYS, isText);
+  const message = findKey(errorSource || payload, ERROR_MESSAGE_KEYS, isText);
+  const total = payload
+    ? findAtPaths(payload, QUOTE_PATHS, TOTAL_KEYS, isNumeric) ?? findKey(payload, FALLBACK_TOTAL_KEYS, isNumeric)
+    : undefined;
+  const totalPrice = total !== undefined ? toNumber(total) : null;
+
+  const hasError = Boolean(errorSource) || (totalPrice === null && Boolean(code || message));
+  const error = hasError ? { code: code || null, message: message || null } : null;
+  const currency = payload ? findAtPaths(payload, QUOTE_PATHS, CURRENCY_KEYS, isCurrency) : undefined;
+  const quote = payload && totalPrice !== null
+    ? {
+        totalPrice,
+        currency: currency ? (currency.code || currency) : null,
+        nightly: parseNightly(findAtPaths(payload, QUOTE_PATHS, NIGHTLY_KEYS, Array.isArray))
+      }
+    : null;
+
+  // The page only embeds a quote response when checkout can proceed; its
+  // details are best effort, so a quote we cannot read still counts
+  const success = html.includes('quoteResponse') && !error;
+  return {
+    success,
+    outcome: success ? 'ok' : classifyFailure(error, payload ? '' : html),
+    quote,
+    error
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * In-memory cache for upstream responses
+ * Price rules and saleability responses are kept for CACHE_TTL_SECONDS
+ * (default 300, 0 disables caching), keyed by kind and request parameters.
+ * Entries remember when they were stored so the UI can show how stale the
+ * data it is debugging against is.
+ */
+
+const DEFAULT_TTL_SECONDS = 300;
+
+const entries = new Map();
+
+/**
+ * Cache time-to-live, from the CACHE_TTL_SECONDS environment variable.
+ * @returns {number} TTL in seconds
+ */
+export function getCacheTtlSeconds() {
+  const raw = process.env.CACHE_TTL_SECONDS;
+  if (raw === undefined || raw === '') return DEFAULT_TTL_SECONDS;
+  const ttl = Number(raw);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function entryKey(kind, key) {
+  return `${kind}:${key}`;
+}
+
+function describeEntry(entry, status) {
+  const ageSeconds = Math.floor((Date.now() - entry.storedAt) / 1000);
+  return {
+    status,
+    storedAt: new Date(entry.storedAt).toISOString(),
+    ageSeconds,
+    ttlSeconds: getCacheTtlSeconds()
+  };
+}
+
+/**
+ * Return a cached response, or load and cache it.
+ * @param {string} kind 'price-rules' | 'saleability'
+ * @param {string} key Request key, e.g. from fixtureKey
+ * @param {Function} load Resolves to the response to cache
+ * @param {Object} options
+ * @param {boolean} options.bypass Ignore any cached entry and reload
+ * @returns {Promise<Object>} { value, cache } where cache is
+ *   { status: 'hit'|'miss'|'bypass', storedAt, ageSeconds, ttlSeconds }
+ */
+export async function withCache(kind, key, load, { bypass = false } = {}) {
+  const id = entryKey(kind, key);
+  const ttlMs = getCacheTtlSeconds() * 1000;
+  const cached = entries.get(id);
+
+  if (!bypass && cached && Date.now() - cached.storedAt < ttlMs) {
+    return { value: cached.value, cache: describeEntry(cached, 'hit') };
+  }
+
+  const value = await load();
+  const entry = { kind, key, value, storedAt: Date.now() };
+  if (ttlMs > 0) {
+    entries.set(id, entry);
+  } else {
+    entries.delete(id);
+  }
+  return { value, cache: describeEntry(entry, bypass ? 'bypass' : 'miss') };
+}
+
+/**
+ * Drop cached entries.
+ * @param {Object} filter
+ * @param {string} filter.kind Only entries of this kind
+ * @param {string} filter.key Only entries with this key
+ * @returns {number} Number of entries removed
+ */
+export function clearCache({ kind, key } = {}) {
+  let removed = 0;
+  for (const [id, entry] of entries) {
+    if ((kind && entry.kind !== kind) || (key && entry.key !== key)) continue;
+    entries.delete(id);
+    removed++;
+  }
+  return removed;
+}
+
+/**
+ * List cached entries, expired ones excluded.
+ * @returns {Array} { kind, key, storedAt, ageSeconds, ttlSeconds }
+ */
+export function listCache() {
+  const ttlMs = getCacheTtlSeconds() * 1000;
+  const list = [];
+  for (const [id, entry] of entries) {
+    if (Date.now() - entry.storedAt >= ttlMs) {
+      entries.delete(id);
+      continue;
+    }
+    const { status, ...details } = describeEntry(entry, 'hit');
+    list.push({ kind: entry.kind, key: entry.key, ...details });
+  }
+  return list;
+}
+
+/**
+ * Expose cache details on a response, see CACHE_HEADERS.
+ * @param {Object} res Express response
+ * @param {Object} cache Cache details from withCache
+ */
+export function setCacheHeaders(res, cache) {
+  res.set('X-Cache', cache.status.toUpperCase());
+  res.set('X-Cache-Stored-At', cache.storedAt);
+  res.set('X-Cache-Age', String(cache.ageSeconds));
+  res.set('X-Cache-TTL', String(cache.ttlSeconds));
+}
+
+// Response headers the browser needs to read, for the CORS configuration
+export const CACHE_HEADERS = ['X-Cache', 'X-Cache-Stored-At', 'X-Cache-Age', 'X-Cache-TTL', 'X-Upstream-Source'];
+
+/**
+ * Whether a request asks to skip the cache (?refresh=true or ?refresh=1).
+ * @param {Object} req Express request
+ * @returns {boolean}
+ */
+export function isRefreshRequested(req) {
+  const { refresh } = req.query;
+  return refresh === 'true' || refresh === '1';
+}
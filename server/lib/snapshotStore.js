@@ -0,0 +1,126 @@
+/**
+ * File-based store of fetched rule sets
+ * Every price rules response fetched from upstream is kept as a snapshot in
+ * SNAPSHOTS_DIR/<property>/<snapshotId>.json (default directory "snapshots").
+ * A fetch identical to the latest snapshot of the same season and sales
+ * market only bumps that snapshot's lastFetchedAt and fetchCount, so each
+ * snapshot marks a point where the rules changed.
+ */
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fixtureKey } from './upstream.js';
+
+function getSnapshotsDir() {
+  return path.resolve(process.env.SNAPSHOTS_DIR || 'snapshots');
+}
+
+function propertyDir(propertyCode) {
+  return path.join(getSnapshotsDir(), fixtureKey([propertyCode]));
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+// Snapshot metadata, without the (large) XML body
+function summarise({ body, ...meta }) {
+  return meta;
+}
+
+async function readSnapshots(propertyCode) {
+  const dir = propertyDir(propertyCode);
+  let files;
+  try {
+    files = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const snapshots = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .map(async (file) => JSON.parse(await readFile(path.join(dir, file), 'utf8')))
+  );
+  return snapshots.sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt));
+}
+
+async function writeSnapshot(snapshot) {
+  const dir = propertyDir(snapshot.propertyCode);
+  await mkdir(dir, { recursive: true });
+  await writeFile(path.join(dir, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+}
+
+/**
+ * Store a fetched price rules response.
+ * @param {Object} details
+ * @param {string} details.propertyCode Accommodation code
+ * @param {string|number} details.season Season year
+ * @param {string|number} details.salesmarket Sales market
+ * @param {string} details.body Price rules XML
+ * @param {string} details.source Upstream source ('live', 'recorded', 'fixture')
+ * @returns {Promise<Object>} { snapshot, created } with the snapshot metadata;
+ *   created is false when the rules were unchanged since the latest snapshot
+ */
+export async function saveSnapshot({ propertyCode, season, salesmarket, body, source }) {
+  const hash = createHash('sha256').update(body).digest('hex');
+  const now = new Date().toISOString();
+  const previous = (await readSnapshots(propertyCode))
+    .filter((snapshot) => String(snapshot.season) === String(season) && String(snapshot.salesmarket) === String(salesmarket))
+    .pop();
+
+  if (previous && previous.hash === hash) {
+    const updated = { ...previous, lastFetchedAt: now, fetchCount: previous.fetchCount + 1 };
+    await writeSnapshot(updated);
+    return { snapshot: summarise(updated), created: false };
+  }
+
+  const snapshot = {
+    id: fixtureKey([season, salesmarket, now.replace(/[:.]/g, '-')]),
+    propertyCode,
+    season: String(season),
+    salesmarket: String(salesmarket),
+    fetchedAt: now,
+    lastFetchedAt: now,
+    fetchCount: 1,
+    source,
+    hash,
+    previousId: previous ? previous.id : null,
+    body
+  };
+  await writeSnapshot(snapshot);
+  return { snapshot: summarise(snapshot), created: true };
+}
+
+/**
+ * List the snapshots of a property, oldest first.
+ * @param {string} propertyCode Accommodation code
+ * @param {Object} filter
+ * @param {string} filter.season Only snapshots of this season
+ * @returns {Promise<Array>} Snapshot metadata without the XML body
+ */
+export async function listSnapshots(propertyCode, { season } = {}) {
+  const snapshots = await readSnapshots(propertyCode);
+  return snapshots
+    .filter((snapshot) => !season || snapshot.season === String(season))
+    .map(summarise);
+}
+
+/**
+ * Load one snapshot including its XML body.
+ * @param {string} propertyCode Accommodation code
+ * @param {string} snapshotId Snapshot id from listSnapshots
+ * @returns {Promise<Object>} The snapshot
+ */
+export async function loadSnapshot(propertyCode, snapshotId) {
+  if (!/^[A-Za-z0-9._-]+$/.test(snapshotId)) throw notFound(`No snapshot ${snapshotId} for ${propertyCode}`);
+  const file = path.join(propertyDir(propertyCode), `${snapshotId}.json`);
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw notFound(`No snapshot ${snapshotId} for ${propertyCode}`);
+    throw error;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Upstream record/replay layer
+ * Every call to an upstream API (price rules, saleability, checkout) goes
+ * through fetchUpstream, which depending on UPSTREAM_MODE:
+ *   - live: calls the upstream API (default)
+ *   - record: calls the upstream API and saves each successful response
+ *     to FIXTURES_DIR/recorded/<kind>/<key>.json
+ *   - replay: serves previously recorded responses, without network access
+ *   - fixtures: serves hand-written files from FIXTURES_DIR/<kind>/, using
+ *     <key>.<ext> when present and default.<ext> otherwise
+ */
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const UPSTREAM_MODES = ['live', 'record', 'replay', 'fixtures'];
+
+// File extension of hand-written fixtures per kind of upstream response
+const FIXTURE_EXTENSIONS = {
+  'price-rules': 'xml',
+  saleability: 'json',
+  checkout: 'html'
+};
+
+/**
+ * Current upstream mode, from the UPSTREAM_MODE environment variable.
+ * @returns {string} One of UPSTREAM_MODES
+ */
+export function getUpstreamMode() {
+  const mode = (process.env.UPSTREAM_MODE || 'live').toLowerCase();
+  if (!UPSTREAM_MODES.includes(mode)) {
+    throw new Error(`Unknown UPSTREAM_MODE "${mode}", expected one of ${UPSTREAM_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function getFixturesDir() {
+  return path.resolve(process.env.FIXTURES_DIR || 'fixtures');
+}
+
+/**
+ * Turn request parameters into a file-safe fixture key.
+ * @param {Array} parts Values identifying the request
+ * @returns {string} e.g. "FRA278_2026_999"
+ */
+export function fixtureKey(parts) {
+  return parts
+    .filter((part) => part !== undefined && part !== null && part !== '')
+    .map((part) => String(part).replace(/[^A-Za-z0-9.-]+/g, '-'))
+    .join('_');
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
+async function readRecorded(kind, key) {
+  const file = path.join(getFixturesDir(), 'recorded', kind, `${key}.json`);
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw notFound(`No recorded ${kind} response for ${key} (looked for ${file})`);
+    throw error;
+  }
+}
+
+async function writeRecorded(kind, key, response) {
+  const dir = path.join(getFixturesDir(), 'recorded', kind);
+  await mkdir(dir, { recursive: true });
+  const record = { ...response, key, recordedAt: new Date().toISOString() };
+  await writeFile(path.join(dir, `${key}.json`), JSON.stringify(record, null, 2));
+}
+
+async function readHandWritten(kind, key) {
+  const dir = path.join(getFixturesDir(), kind);
+  const extension = FIXTURE_EXTENSIONS[kind];
+  for (const name of [`${key}.${extension}`, `default.${extension}`]) {
+    try {
+      const body = await readFile(path.join(dir, name), 'utf8');
+      return { body, contentType: extension === 'json' ? 'application/json' : `text/${extension}` };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  throw notFound(`No ${kind} fixture for ${key} in ${dir}`);
+}
+
+/**
+ * Fetch an upstream response through the record/replay layer.
+ * @param {string} kind 'price-rules' | 'saleability' | 'checkout'
+ * @param {string} key Fixture key of the request, see fixtureKey
+ * @param {Function} fetchLive Performs the real request and resolves to
+ *   { body, contentType }; it should throw on upstream errors
+ * @returns {Promise<Object>} { body, contentType, source } where source is
+ *   'live', 'recorded' or 'fixture'
+ */
+export async function fetchUpstream(kind, key, fetchLive) {
+  const mode = getUpstreamMode();
+  if (mode === 'replay') {
+    const { body, contentType } = await readRecorded(kind, key);
+    return { body, contentType, source: 'recorded' };
+  }
+  if (mode === 'fixtures') {
+    return { ...(await readHandWritten(kind, key)), source: 'fixture' };
+  }
+  const response = await fetchLive();
+  if (mode === 'record') {
+    await writeRecorded(kind, key, response);
+    console.log(`💾 Recorded ${kind} response ${key}`);
+  }
+  return { ...response, source: 'live' };
+}
@@ -0,0 +1,121 @@
+/**
+ * Upstream API clients
+ * Loads price rules and saleability through the record/replay layer and
+ * the response cache, and stores every newly fetched rule set as a
+ * snapshot. Shared by the route handlers and the watcher.
+ */
+import { fetchUpstream, fixtureKey } from './upstream.js';
+import { withCache } from './responseCache.js';
+import { saveSnapshot } from './snapshotStore.js';
+
+function missingKey(variable) {
+  const error = new Error(`API key not configured. Please set ${variable} in environment variables.`);
+  error.statusCode = 500;
+  return error;
+}
+
+/**
+ * Load the price rules XML of a property season from the NOVASOL API.
+ * @param {Object} request
+ * @param {string} request.accommodationCode Accommodation code
+ * @param {string|number} request.season Season year
+ * @param {string|number} request.salesmarket Sales market
+ * @param {boolean} request.refresh Skip the response cache
+ * @param {boolean} request.storeSnapshot Store the rules as a snapshot (default true)
+ * @returns {Promise<Object>} { body, source, cache, snapshot } where snapshot
+ *   is { snapshot, created } from saveSnapshot, or null for cache hits
+ */
+export async function loadPriceRules({ accommodationCode, season, salesmarket = 999, refresh = false, storeSnapshot = true }) {
+  const key = fixtureKey([accommodationCode, season, salesmarket]);
+  const { value: { body, source }, cache } = await withCache('price-rules', key, () => fetchUpstream(
+    'price-rules',
+    key,
+    async () => {
+      const apiKey = process.env.API_KEY;
+      if (!apiKey) throw missingKey('API_KEY');
+
+      const response = await fetch(
+        `http://internalapi.novasol.com/api/products/${accommodationCode}?salesmarket=${salesmarket}&season=${season}&showdescriptions=true&sections=pricerules`,
+        {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+            'Key': apiKey
+          }
+        }
+      );
+      
+      if (!response.ok) {
+        throw new Error(`Price rules API request failed: ${response.status} ${response.statusText}`);
+      }
+      
+      return { body: await response.text(), contentType: 'application/xml' };
+    }
+  ), { bypass: refresh });
+
+  // Cache hits were already stored when first fetched
+  let snapshot = null;
+  if (storeSnapshot && cache.status !== 'hit') {
+    try {
+      snapshot = await saveSnapshot({ propertyCode: accommodationCode, season, salesmarket, body, source });
+      if (snapshot.created) console.log(`📸 Stored new rules snapshot ${snapshot.snapshot.id} for ${accommodationCode}`);
+    } catch (error) {
+      console.warn(`⚠️ Failed to store rules snapshot for ${accommodationCode}:`, error.message);
+    }
+  }
+
+  return { body, source, cache, snapshot };
+}
+
+function parseSaleability(response) {
+  try {
+    return { ...response, data: JSON.parse(response.body) };
+  } catch (error) {
+    const invalid = new Error(`Saleability API returned invalid JSON: ${error.message}`);
+    invalid.statusCode = 502;
+    throw invalid;
+  }
+}
+
+/**
+ * Load the saleability JSON of a property from the APEX API.
+ * @param {Object} request
+ * @param {string} request.propertyCode Property code
+ * @param {boolean} request.refresh Skip the response cache
+ * @returns {Promise<Object>} { body, data, source, cache } with the raw JSON
+ *   body and its parsed data
+ */
+export async function loadSaleability({ propertyCode, refresh = false }) {
+  const key = fixtureKey([propertyCode]);
+  // Parsed before caching, so an invalid or truncated body is never served again
+  const { value: { body, data, source }, cache } = await withCache('saleability', key, async () => parseSaleability(await fetchUpstream(
+    'saleability',
+    key,
+    async () => {
+      const apiKey = process.env.SALEABILITY_API_KEY;
+      if (!apiKey) throw missingKey('SALEABILITY_API_KEY');
+
+      const response = await fetch(
+        `https://saleability-api.apex.awaze.com/saleability/${propertyCode}`,
+        {
+          method: 'GET',
+          headers: {
+            'Content-Type': 'application/json',
+            'x-awaze-client': 'price-rule-debugger',
+            'x-awaze-client-env': 'prod',
+            'x-api-key': apiKey,
+            'x-apex-expose-novasol-saleability': 'true'
+          }
+        }
+      );
+
+      if (!response.ok) {
+        throw new Error(`Saleability API request failed: ${response.status} ${response.statusText}`);
+      }
+
+      return { body: await response.text(), contentType: 'application/json' };
+    }
+  )), { bypass: refresh });
+
+  return { body, data, source, cache };
+}
@@ -0,0 +1,356 @@
+/**
+ * Property watcher
+ * Registered properties are re-fetched every WATCH_INTERVAL_MINUTES
+ * (default 60, 0 disables the schedule). Each check records rule changes
+ * and saleability changes, runs the rule analysis, coverage gap and APEX
+ * reconciliation checks, and posts newly appeared issues to
+ * WATCH_WEBHOOK_URL. Registrations, the last known state and the event log
+ * are kept in WATCH_STATE_FILE (default "watcher-state.json").
+ *
+ * The first check of a property records its current issues as a baseline
+ * without alerting; later checks alert on issues that were not there before.
+ */
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { startOfDay, format } from 'date-fns';
+import { parseXmlRules } from '../../src/utils/ruleUtils.js';
+import { analyseRules } from '../../src/utils/ruleAnalysis.js';
+import { findCoverageGaps, getSeasonBounds, describeGap } from '../../src/utils/coverageUtils.js';
+import { diffRuleSets } from '../../src/utils/ruleDiff.js';
+import {
+  getSaleabilityByDate,
+  getSaleableLengths,
+  reconcileSaleability,
+  groupMismatches,
+  formatLengths
+} from '../../src/utils/reconciliation.js';
+import { RECONCILIATION_STATUS_LABELS } from '../../src/utils/constants.js';
+import { loadPriceRules, loadSaleability } from './upstreamApis.js';
+import { loadSnapshot } from './snapshotStore.js';
+import { fixtureKey } from './upstream.js';
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MAX_EVENTS = 500;
+
+let timer = null;
+let runningCheck = null;
+
+/**
+ * Interval between scheduled checks, from WATCH_INTERVAL_MINUTES.
+ * @returns {number} Minutes, 0 when the schedule is disabled
+ */
+export function getWatchIntervalMinutes() {
+  const raw = process.env.WATCH_INTERVAL_MINUTES;
+  if (raw === undefined || raw === '') return DEFAULT_INTERVAL_MINUTES;
+  const minutes = Number(raw);
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_INTERVAL_MINUTES;
+}
+
+function getStateFile() {
+  return path.resolve(process.env.WATCH_STATE_FILE || 'watcher-state.json');
+}
+
+async function readState() {
+  try {
+    return JSON.parse(await readFile(getStateFile(), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return { properties: [], events: [] };
+    throw error;
+  }
+}
+
+async function writeState(state) {
+  await writeFile(getStateFile(), JSON.stringify(state, null, 2));
+}
+
+function hashOf(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Register a property season to watch.
+ * @param {Object} watch { propertyCode, season, salesmarket }
+ * @returns {Promise<Object>} The registration
+ */
+export async function addWatch({ propertyCode, season, salesmarket = 999 }) {
+  if (!propertyCode || !season) throw badRequest('propertyCode and season are required');
+  const state = await readState();
+  const id = fixtureKey([propertyCode, season, salesmarket]);
+  if (state.properties.some((watch) => watch.id === id)) {
+    throw badRequest(`${propertyCode} season ${season} is already watched`);
+  }
+  const watch = {
+    id,
+    propertyCode,
+    season: String(season),
+    salesmarket: String(salesmarket),
+    addedAt: new Date().toISOString(),
+    lastCheckedAt: null,
+    lastError: null,
+    rulesHash: null,
+    snapshotId: null,
+    saleabilityHash: null,
+    saleabilityLengths: null,
+    issues: null
+  };
+  state.properties.push(watch);
+  await writeState(state);
+  console.log(`👀 Watching ${propertyCode} season ${season}`);
+  return watch;
+}
+
+/**
+ * Stop watching a property season.
+ * @param {string} id Registration id
+ * @returns {Promise<boolean>} Whether a registration was removed
+ */
+export async function removeWatch(id) {
+  const state = await readState();
+  const remaining = state.properties.filter((watch) => watch.id !== id);
+  if (remaining.length === state.properties.length) return false;
+  await writeState({ ...state, properties: remaining });
+  return true;
+}
+
+/**
+ * Registrations with their last known state, and the most recent events.
+ * @param {Object} options
+ * @param {number} options.eventLimit Maximum number of events, newest first
+ * @returns {Promise<Object>} { properties, events }
+ */
+export async function getWatchStatus({ eventLimit = 50 } = {}) {
+  const state = await readState();
+  return {
+    properties: state.properties.map(({ saleabilityLengths, ...watch }) => watch),
+    events: state.events.slice(-eventLimit).reverse()
+  };
+}
+
+/**
+ * Stay lengths sold per arrival date, compressed for storage and comparison.
+ * Dates whose entries carry no stay lengths are left out.
+ * @param {Object} saleabilityData Response of /api/saleability/:propertyCode
+ * @returns {Object} Map of yyyy-MM-dd to formatted stay lengths
+ */
+export function summariseSaleability(saleabilityData) {
+  const byDate = getSaleabilityByDate(saleabilityData);
+  const summary = {};
+  Object.keys(byDate).sort().forEach((date) => {
+    const lengths = getSaleableLengths(byDate[date]);
+    if (lengths && lengths.length > 0) summary[date] = formatLengths(lengths);
+  });
+  return summary;
+}
+
+function describeSaleabilityChange(before, after) {
+  const dates = new Set([...Object.keys(before), ...Object.keys(after)]);
+  let added = 0;
+  let removed = 0;
+  let changed = 0;
+  dates.forEach((date) => {
+    if (!(date in before)) added++;
+    else if (!(date in after)) removed++;
+    else if (before[date] !== after[date]) changed++;
+  });
+  return `Saleability changed: ${added} arrival date(s) added, ${removed} removed, ${changed} with different stay lengths`;
+}
+
+async function describeRuleChange(watch, rules) {
+  if (!watch.snapshotId) return 'Price rules changed';
+  try {
+    const previous = await loadSnapshot(watch.propertyCode, watch.snapshotId);
+    const diff = diffRuleSets(parseXmlRules(previous.body), rules);
+    return `Price rules changed: +${diff.added.length} added, −${diff.removed.length} removed, ~${diff.modified.length} modified`;
+  } catch (error) {
+    return 'Price rules changed';
+  }
+}
+
+/**
+ * Collect the issues of a rule set: rule analysis findings (overlaps,
+ * duplicates, shadowed and unreachable rules), coverage gaps within the
+ * season, and days where the rules and APEX disagree. Keys leave out
+ * start dates that move with the booking creation date, so an issue
+ * keeps its key from one day to the next.
+ */
+function collectIssues(rules, saleabilityData, bookingCreationDate) {
+  const issues = [];
+  analyseRules(rules, { bookingCreationDate }).forEach((finding) => {
+    issues.push({ key: `analysis:${finding.id}`, kind: finding.type, severity: finding.severity, message: finding.message });
+  });
+
+  findCoverageGaps(rules, { bookingCreationDate }).forEach((gap) => {
+    issues.push({
+      key: `gap:${gap.minLength}-${gap.maxLength}:${gap.to}:${gap.weekdays.join('')}`,
+      kind: 'gap',
+      severity: 'warning',
+      message: describeGap(gap)
+    });
+  });
+
+  const bounds = getSeasonBounds(rules);
+  if (saleabilityData && bounds) {
+    const seasonEnd = format(bounds.end, 'yyyy-MM-dd');
+    const seasonStart = format(bounds.start, 'yyyy-MM-dd');
+    const days = reconcileSaleability(rules, saleabilityData, { bookingCreationDate })
+      .filter((day) => day.date >= seasonStart && day.date <= seasonEnd);
+    groupMismatches(days).forEach((range) => {
+      const lengths = [
+        range.missingInRules.length > 0 ? `APEX only LOS ${formatLengths(range.missingInRules)}` : null,
+        range.missingInApex.length > 0 ? `rules only LOS ${formatLengths(range.missingInApex)}` : null
+      ].filter(Boolean).join(', ');
+      issues.push({
+        key: `drift:${range.status}:${range.to}:${range.missingInRules.join(',')}:${range.missingInApex.join(',')}`,
+        kind: 'drift',
+        severity: 'warning',
+        message: `${RECONCILIATION_STATUS_LABELS[range.status]} ${range.from} → ${range.to}${lengths ? ` (${lengths})` : ''}`
+      });
+    });
+  }
+  return issues;
+}
+
+async function sendAlert(payload) {
+  const url = process.env.WATCH_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    console.log(`📣 Sent watcher alert for ${payload.propertyCode} to ${url}`);
+  } catch (error) {
+    console.warn(`⚠️ Failed to send watcher alert to ${url}:`, error.message);
+  }
+}
+
+// Check one registration, updating it in place and returning its new events
+async function checkWatch(watch) {
+  const now = new Date();
+  const events = [];
+  const addEvent = (type, message, details) => {
+    events.push({
+      at: now.toISOString(),
+      watchId: watch.id,
+      propertyCode: watch.propertyCode,
+      season: watch.season,
+      type,
+      message,
+      ...(details ? { details } : {})
+    });
+  };
+
+  try {
+    const priceRules = await loadPriceRules({
+      accommodationCode: watch.propertyCode,
+      season: watch.season,
+      salesmarket: watch.salesmarket,
+      refresh: true
+    });
+    const rules = parseXmlRules(priceRules.body);
+    const rulesHash = hashOf(priceRules.body);
+    if (watch.rulesHash && watch.rulesHash !== rulesHash) {
+      addEvent('rulesChanged', await describeRuleChange(watch, rules));
+    }
+    watch.rulesHash = rulesHash;
+    if (priceRules.snapshot) watch.snapshotId = priceRules.snapshot.snapshot.id;
+
+    let saleabilityData = null;
+    try {
+      const saleability = await loadSaleability({ propertyCode: watch.propertyCode, refresh: true });
+      saleabilityData = saleability.data;
+      const saleabilityHash = hashOf(saleability.body);
+      const lengths = summariseSaleability(saleabilityData);
+      if (watch.saleabilityHash && watch.saleabilityHash !== saleabilityHash) {
+        addEvent('saleabilityChanged', describeSaleabilityChange(watch.saleabilityLengths || {}, lengths));
+      }
+      watch.saleabilityHash = saleabilityHash;
+      watch.saleabilityLengths = lengths;
+    } catch (error) {
+      // Rule checks still run; only the reconciliation is skipped
+      addEvent('checkFailed', `Saleability could not be fetched: ${error.message}`);
+    }
+
+    const bookingCreationDate = startOfDay(now);
+    const issues = collectIssues(rules, saleabilityData, bookingCreationDate);
+    if (watch.issues === null) {
+      addEvent('baseline', `First check: ${rules.length} rules, ${issues.length} open issue(s)`);
+    } else {
+      const previousKeys = new Set(watch.issues.map((issue) => issue.key));
+      const currentKeys = new Set(issues.map((issue) => issue.key));
+      const appeared = issues.filter((issue) => !previousKeys.has(issue.key));
+      const resolved = watch.issues.filter((issue) => !currentKeys.has(issue.key));
+      if (appeared.length > 0) {
+        addEvent('newIssues', `${appeared.length} new issue(s)`, appeared);
+        await sendAlert({
+          type: 'newIssues',
+          propertyCode: watch.propertyCode,
+          season: watch.season,
+          salesmarket: watch.salesmarket,
+          checkedAt: now.toISOString(),
+          issues: appeared,
+          changes: events.filter((event) => event.type === 'rulesChanged' || event.type === 'saleabilityChanged')
+            .map((event) => event.message)
+        });
+      }
+      if (resolved.length > 0) {
+        addEvent('resolvedIssues', `${resolved.length} issue(s) resolved`, resolved);
+      }
+    }
+    watch.issues = issues;
+    watch.lastError = null;
+  } catch (error) {
+    watch.lastError = error.message;
+    addEvent('checkFailed', `Check failed: ${error.message}`);
+  }
+  watch.lastCheckedAt = now.toISOString();
+  return events;
+}
+
+/**
+ * Check every registered property, one after the other. Concurrent calls
+ * share the running check.
+ * @returns {Promise<Array>} Events recorded by this run
+ */
+export function runWatchChecks() {
+  if (runningCheck) return runningCheck;
+  runningCheck = (async () => {
+    const state = await readState();
+    const events = [];
+    for (const watch of state.properties) {
+      console.log(`👀 Checking ${watch.propertyCode} season ${watch.season}`);
+      events.push(...(await checkWatch(watch)));
+    }
+    // Registrations may have changed while checking; merge by id
+    const latest = await readState();
+    const checked = new Map(state.properties.map((watch) => [watch.id, watch]));
+    latest.properties = latest.properties.map((watch) => checked.get(watch.id) || watch);
+    latest.events = [...latest.events, ...events].slice(-MAX_EVENTS);
+    await writeState(latest);
+    return events;
+  })().finally(() => {
+    runningCheck = null;
+  });
+  return runningCheck;
+}
+
+/**
+ * Start the periodic checks, unless WATCH_INTERVAL_MINUTES is 0.
+ */
+export function startWatcher() {
+  const minutes = getWatchIntervalMinutes();
+  if (minutes === 0 || timer) return;
+  timer = setInterval(() => {
+    runWatchChecks().catch((error) => console.error('❌ Watcher run failed:', error));
+  }, minutes * 60 * 1000);
+  console.log(`👀 Watcher checks registered properties every ${minutes} min`);
+}
@@ -0,0 +1,26 @@
+/**
+ * Response Cache Route Handlers
+ * Inspect and clear the server-side cache of price rules and saleability
+ * responses
+ */
+import { clearCache, getCacheTtlSeconds, listCache } from '../lib/responseCache.js';
+
+export function cacheListHandler(req, res) {
+  res.status(200).json({
+    ttlSeconds: getCacheTtlSeconds(),
+    entries: listCache()
+  });
+}
+
+/**
+ * Clear the cache; ?kind= and ?key= restrict which entries are dropped.
+ */
+export function cacheClearHandler(req, res) {
+  const { kind, key } = req.query;
+  const removed = clearCache({ kind, key });
+  console.log(`🧹 Cleared ${removed} cached response(s)${kind ? ` of kind ${kind}` : ''}${key ? ` for ${key}` : ''}`);
+  res.status(200).json({
+    removed,
+    timestamp: new Date().toISOString()
+  });
+}
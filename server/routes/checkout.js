@@ -0,0 +1,264 @@
+/**
+ * Checkout API Route Handlers
+ * Probe checkout.novasol.com to see whether a booking reaches the quote page
+ */
+import { randomUUID } from 'node:crypto';
+import { parseCheckoutResponse } from '../lib/quoteParser.js';
+import { fetchUpstream, fixtureKey } from '../lib/upstream.js';
+import { DEFAULT_CHECKOUT_OPTIONS } from '../../src/utils/constants.js';
+
+// Upper bounds for batch probing, to stay polite towards the checkout site
+const MAX_BATCH_SIZE = 500;
+const MAX_CONCURRENCY = 8;
+const DEFAULT_CONCURRENCY = 4;
+
+const NUMERIC_OPTIONS = ['adults', 'children', 'infants', 'pets', 'salesMarket', 'amount'];
+
+/**
+ * Read probe options from request parameters, falling back to the
+ * defaults. Throws when a numeric option is not a non-negative number.
+ * @param {Object} source Query string or request body options
+ * @returns {Object} Complete probe options
+ */
+export function parseProbeOptions(source = {}) {
+  const options = { ...DEFAULT_CHECKOUT_OPTIONS };
+  Object.keys(DEFAULT_CHECKOUT_OPTIONS).forEach((key) => {
+    const value = source[key];
+    if (value === undefined || value === '') return;
+    if (NUMERIC_OPTIONS.includes(key)) {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${key} must be a non-negative number`);
+      }
+      options[key] = number;
+    } else {
+      options[key] = String(value);
+    }
+  });
+  if (options.adults < 1) {
+    throw new Error('adults must be at least 1');
+  }
+  return options;
+}
+
+/**
+ * Build the checkout URL for a booking. Every probe gets a fresh
+ * correlation id so checkout logs can be matched to a single probe.
+ * @param {string} propertyCode The property code
+ * @param {string} formattedStartDate Arrival date as DD-MM-YYYY
+ * @param {string} formattedEndDate Departure date as DD-MM-YYYY
+ * @param {number|string} lengthOfStay Number of nights
+ * @param {Object} options Probe options, see DEFAULT_CHECKOUT_OPTIONS
+ * @returns {string} The checkout URL
+ */
+export function buildCheckoutUrl(propertyCode, formattedStartDate, formattedEndDate, lengthOfStay, options) {
+  const params = new URLSearchParams({
+    acode: propertyCode,
+    ucode: propertyCode,
+    start: formattedStartDate,
+    nights: String(lengthOfStay),
+    adult: String(options.adults),
+    child: String(options.children),
+    infant: String(options.infants),
+    pets: String(options.pets),
+    pdpAmt: String(options.amount),
+    contentfulLocale: options.locale,
+    L: String(options.salesMarket),
+    correlationId: `pdpmfe-${randomUUID()}`,
+    COM: options.brand,
+    end: formattedEndDate,
+    exp: 'newage'
+  });
+  return `https://checkout.novasol.com/?${params.toString()}`;
+}
+
+/**
+ * Probe the checkout page for one booking.
+ * @param {string} propertyCode The property code
+ * @param {string} startDate Arrival date (YYYY-MM-DD)
+ * @param {number|string} lengthOfStay Number of nights
+ * @param {Object} options Probe options, see DEFAULT_CHECKOUT_OPTIONS
+ * @returns {Promise<Object>} { success, outcome, quote, error }, see parseCheckoutResponse
+ */
+export async function probeCheckout(propertyCode, startDate, lengthOfStay, options = DEFAULT_CHECKOUT_OPTIONS) {
+  // Calculate end date based on start date and length of stay
+  const start = new Date(startDate);
+  const end = new Date(start);
+  end.setDate(start.getDate() + parseInt(lengthOfStay));
+  
+  // Format dates as DD-MM-YYYY (matching expected format)
+  const formattedStartDate = start.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  }).replace(/\//g, '-');
+  const formattedEndDate = end.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  }).replace(/\//g, '-');
+
+  const checkoutUrl = buildCheckoutUrl(propertyCode, formattedStartDate, formattedEndDate, lengthOfStay, options);
+
+  // The correlation id differs per probe, so it is not part of the fixture key
+  const key = fixtureKey([
+    propertyCode, formattedStartDate, lengthOfStay,
+    options.adults, options.children, options.infants, options.pets,
+    options.brand, options.locale, options.salesMarket
+  ]);
+  const { body: htmlData } = await fetchUpstream('checkout', key, async () => {
+    const response = await fetch(checkoutUrl, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/139.0.0.0 Safari/537.36',
+        'Accept': '*/*',
+        'Connection': 'keep-alive'
+      }
+    });
+
+    console.log(`Checkout API called for ${propertyCode}, start: ${formattedStartDate}, nights: ${lengthOfStay}, ` +
+      `guests: ${options.adults}/${options.children}/${options.infants}, pets: ${options.pets}, ${options.brand} ${options.locale}`);
+    console.log(`Response status: ${response.status}`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      // The URL is only worth its length in the log when the probe failed
+      console.log(`Checkout URL: ${checkoutUrl}`);
+      console.log(`Error response body: ${errorText}`);
+      throw new Error(`Checkout API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    return { body: await response.text(), contentType: 'text/html' };
+  });
+
+  const result = parseCheckoutResponse(htmlData);
+  console.log(`Checkout outcome: ${result.outcome}${result.quote ? `, total ${result.quote.totalPrice} ${result.quote.currency || ''}` : ''}`);
+  return result;
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight at once.
+ * Results keep the order of the items.
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * GET /api/pdp/:propertyCode?startDate&lengthOfStay
+ *   [&adults&children&infants&pets&brand&locale&salesMarket&amount]
+ * Probe checkout for a single booking
+ */
+export async function pdpHandler(req, res) {
+  const { propertyCode } = req.params;
+  const { startDate, lengthOfStay } = req.query;
+  
+  if (!startDate || !lengthOfStay) {
+    return res.status(400).json({ error: 'startDate and lengthOfStay parameters are required' });
+  }
+
+  let options;
+  try {
+    options = parseProbeOptions(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await probeCheckout(propertyCode, startDate, lengthOfStay, options);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Checkout API error:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+}
+
+/**
+ * POST /api/pdp/:propertyCode/batch
+ * Body: { probes: [{ startDate, lengthOfStay }], concurrency, options }
+ * where options holds the probe options shared by every booking.
+ * Probes checkout for every booking with bounded concurrency and streams
+ * the outcome of each probe as newline-delimited JSON while it runs:
+ *   { type: 'start', total }
+ *   { type: 'result', index, startDate, lengthOfStay, success, error }
+ *   { type: 'done', completed }
+ */
+export async function batchCheckoutHandler(req, res) {
+  const { propertyCode } = req.params;
+  const { probes, concurrency = DEFAULT_CONCURRENCY, options: rawOptions } = req.body || {};
+
+  if (!Array.isArray(probes) || probes.length === 0) {
+    return res.status(400).json({ 
+      error: 'probes must be a non-empty array of { startDate, lengthOfStay }',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (probes.length > MAX_BATCH_SIZE) {
+    return res.status(400).json({ 
+      error: `A batch may contain at most ${MAX_BATCH_SIZE} probes`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const invalid = probes.find((probe) => !probe || !probe.startDate || !probe.lengthOfStay);
+  if (invalid) {
+    return res.status(400).json({ 
+      error: 'Every probe requires startDate and lengthOfStay',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let options;
+  try {
+    options = parseProbeOptions(rawOptions);
+  } catch (error) {
+    return res.status(400).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const limit = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(concurrency, 10) || DEFAULT_CONCURRENCY));
+  console.log(`🔍 Batch checkout probe for ${propertyCode}: ${probes.length} bookings, concurrency ${limit}`);
+
+  res.status(200);
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Cache-Control', 'no-cache');
+  const send = (message) => res.write(`${JSON.stringify(message)}\n`);
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) aborted = true;
+  });
+
+  send({ type: 'start', total: probes.length });
+  let completed = 0;
+  await runWithConcurrency(probes, limit, async (probe, index) => {
+    if (aborted) return;
+    // Only the booking is echoed back, so extra probe fields cannot override type or index
+    const { startDate, lengthOfStay } = probe;
+    let message;
+    try {
+      const result = await probeCheckout(propertyCode, startDate, lengthOfStay, options);
+      message = { type: 'result', index, startDate, lengthOfStay, ...result };
+    } catch (error) {
+      message = { type: 'result', index, startDate, lengthOfStay, success: false, outcome: 'requestFailed', error: { code: null, message: error.message } };
+    }
+    completed += 1;
+    if (!aborted) send(message);
+  });
+
+  console.log(`✅ Batch checkout probe for ${propertyCode} finished: ${completed}/${probes.length}`);
+  send({ type: 'done', completed });
+  res.end();
+}
@@ -0,0 +1,97 @@
+/**
+ * Rule Evaluation Route Handler
+ * Evaluates bookings against a property's price rules, fetched from the
+ * NOVASOL API or passed as raw XML, with the same engine as the browser
+ */
+import { parseISO, isValid, startOfDay, format } from 'date-fns';
+import { parseXmlRules } from '../../src/utils/ruleUtils.js';
+import { evaluateBookings } from '../../src/utils/evaluation.js';
+import { PRECEDENCE_STRATEGIES, DEFAULT_PRECEDENCE } from '../../src/utils/constants.js';
+import { loadPriceRules } from '../lib/upstreamApis.js';
+
+const MAX_BOOKINGS = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && isValid(parseISO(value));
+}
+
+// Returns an error message for an invalid request body, or null
+function validate({ propertyCode, season, xml, bookings, bookingCreationDate, precedence }) {
+  if (!xml && !(propertyCode && season)) {
+    return 'Either xml or propertyCode and season are required';
+  }
+  if (xml && typeof xml !== 'string') return 'xml must be a string';
+  if (!Array.isArray(bookings) || bookings.length === 0) {
+    return 'bookings must be a non-empty array of { startDate, length }';
+  }
+  if (bookings.length > MAX_BOOKINGS) return `At most ${MAX_BOOKINGS} bookings can be evaluated at once`;
+  const invalid = bookings.findIndex((booking) =>
+    !booking || !isDate(booking.startDate) || !Number.isInteger(booking.length) || booking.length < 1
+  );
+  if (invalid !== -1) {
+    return `bookings[${invalid}] needs a startDate (YYYY-MM-DD) and a positive integer length`;
+  }
+  if (bookingCreationDate !== undefined && !isDate(bookingCreationDate)) {
+    return 'bookingCreationDate must be a date (YYYY-MM-DD)';
+  }
+  if (precedence !== undefined) {
+    const known = PRECEDENCE_STRATEGIES.map((strategy) => strategy.id);
+    if (!Array.isArray(precedence) || precedence.some((id) => !known.includes(id))) {
+      return `precedence must be an array of ${known.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * POST /api/evaluate
+ * Body: { propertyCode, season, salesmarket } or { xml }, plus
+ *   bookings: [{ startDate, length }], bookingCreationDate (default today),
+ *   precedence (default DEFAULT_PRECEDENCE) and explain (default true)
+ */
+export async function evaluateHandler(req, res) {
+  const body = req.body || {};
+  const validationError = validate(body);
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { propertyCode, season, salesmarket = 999, xml, bookings, precedence = DEFAULT_PRECEDENCE, explain = true } = body;
+  const bookingCreationDate = body.bookingCreationDate ? parseISO(body.bookingCreationDate) : startOfDay(new Date());
+
+  let rules;
+  let source = 'xml';
+  try {
+    if (xml) {
+      rules = parseXmlRules(xml);
+    } else {
+      const priceRules = await loadPriceRules({ accommodationCode: propertyCode, season, salesmarket });
+      rules = parseXmlRules(priceRules.body);
+      source = priceRules.source;
+    }
+  } catch (error) {
+    console.error('❌ Evaluation rule loading error:', error);
+    // Unparseable XML from the caller is their error, upstream failures are ours
+    return res.status(xml ? 400 : error.statusCode || 500).json({
+      error: error.message,
+      propertyCode,
+      season,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  console.log(`🔍 Evaluating ${bookings.length} booking(s) against ${rules.length} rules (${propertyCode ? `${propertyCode} ${season}` : 'raw XML'})`);
+  res.status(200).json({
+    propertyCode: propertyCode || null,
+    season: season || null,
+    source,
+    ruleCount: rules.length,
+    bookingCreationDate: format(bookingCreationDate, 'yyyy-MM-dd'),
+    precedence,
+    results: evaluateBookings(rules, bookings, { bookingCreationDate, strategies: precedence, explain })
+  });
+}
@@ -2,10 +2,12 @@
  * Price Rules API Route Handler
  * Fetches price rules from the internal NOVASOL API
  */
+import { loadPriceRules } from '../lib/upstreamApis.js';
+import { setCacheHeaders, isRefreshRequested } from '../lib/responseCache.js';
+
 export async function priceRulesHandler(req, res) {
   const { accommodationCode } = req.params;
   const { season, salesmarket = 999 } = req.query;
-  const apiKey = process.env.API_KEY;
   
   // Validation
   if (!accommodationCode) {
@@ -21,40 +23,25 @@ export async function priceRulesHandler(req, res) {
       timestamp: new Date().toISOString()
     });
   }
-  
-  if (!apiKey) {
-    return res.status(500).json({ 
-      error: 'API key not configured. Please set API_KEY in environment variables.',
-      timestamp: new Date().toISOString()
-    });
-  }
 
   try {
     console.log(`🔍 Fetching price rules for ${accommodationCode}, season: ${season}, salesmarket: ${salesmarket}`);
     
-    const response = await fetch(
-      `http://internalapi.novasol.com/api/products/${accommodationCode}?salesmarket=${salesmarket}&season=${season}&showdescriptions=true&sections=pricerules`,
-      {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-          'Key': apiKey
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Price rules API request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const xmlText = await response.text();
-    console.log(`✅ Successfully fetched price rules for ${accommodationCode}`);
+    const { body: xmlText, source, cache } = await loadPriceRules({
+      accommodationCode,
+      season,
+      salesmarket,
+      refresh: isRefreshRequested(req)
+    });
+    console.log(`✅ Successfully fetched price rules for ${accommodationCode} (${source}, cache ${cache.status})`);
     
     res.set('Content-Type', 'application/xml');
+    res.set('X-Upstream-Source', source);
+    setCacheHeaders(res, cache);
     res.status(200).send(xmlText);
   } catch (error) {
     console.error('❌ Price rules API error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       error: error.message,
       accommodationCode,
       season,
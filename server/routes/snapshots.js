@@ -0,0 +1,39 @@
+/**
+ * Rule Set Snapshot Route Handlers
+ * List and load the price rules snapshots stored by the price rules endpoint
+ */
+import { listSnapshots, loadSnapshot } from '../lib/snapshotStore.js';
+
+export async function snapshotListHandler(req, res) {
+  const { propertyCode } = req.params;
+  const { season } = req.query;
+
+  try {
+    const snapshots = await listSnapshots(propertyCode, { season });
+    res.status(200).json({ propertyCode, snapshots });
+  } catch (error) {
+    console.error('❌ Snapshot list error:', error);
+    res.status(500).json({
+      error: error.message,
+      propertyCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export async function snapshotHandler(req, res) {
+  const { propertyCode, snapshotId } = req.params;
+
+  try {
+    const snapshot = await loadSnapshot(propertyCode, snapshotId);
+    res.status(200).json(snapshot);
+  } catch (error) {
+    console.error('❌ Snapshot load error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      propertyCode,
+      snapshotId,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
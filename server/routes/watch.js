@@ -0,0 +1,73 @@
+/**
+ * Watcher Route Handlers
+ * Register properties to watch, list their state and recent events, and
+ * trigger a check outside of the schedule
+ */
+import { addWatch, removeWatch, getWatchStatus, runWatchChecks, getWatchIntervalMinutes } from '../lib/watcher.js';
+
+export async function watchStatusHandler(req, res) {
+  try {
+    const status = await getWatchStatus();
+    res.status(200).json({
+      intervalMinutes: getWatchIntervalMinutes(),
+      webhookConfigured: Boolean(process.env.WATCH_WEBHOOK_URL),
+      ...status
+    });
+  } catch (error) {
+    console.error('❌ Watcher status error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export async function addWatchHandler(req, res) {
+  const { propertyCode, season, salesmarket } = req.body || {};
+
+  try {
+    const watch = await addWatch({ propertyCode, season, salesmarket });
+    res.status(201).json(watch);
+  } catch (error) {
+    console.error('❌ Watcher registration error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.message,
+      propertyCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export async function removeWatchHandler(req, res) {
+  const { watchId } = req.params;
+
+  try {
+    const removed = await removeWatch(watchId);
+    if (!removed) {
+      return res.status(404).json({
+        error: `No watched property ${watchId}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    res.status(200).json({ removed: watchId });
+  } catch (error) {
+    console.error('❌ Watcher removal error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+export async function runWatchHandler(req, res) {
+  try {
+    const events = await runWatchChecks();
+    res.status(200).json({ events });
+  } catch (error) {
+    console.error('❌ Watcher run error:', error);
+    res.status(500).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -5,18 +5,40 @@ import './App.css';
 // Import components
 import APIConfiguration from './components/APIConfiguration.jsx';
 import CheckoutTester from './components/CheckoutTester.jsx';
+import BatchCheckoutTester from './components/BatchCheckoutTester.jsx';
 import BookingSelector from './components/BookingSelector.jsx';
 import Timeline from './components/Timeline.jsx';
+import EligibilityMatrix from './components/EligibilityMatrix.jsx';
+import LeadTimeSweep from './components/LeadTimeSweep.jsx';
+import RuleAnalysisPanel from './components/RuleAnalysisPanel.jsx';
+import CoverageGapPanel from './components/CoverageGapPanel.jsx';
+import RuleDiffView from './components/RuleDiffView.jsx';
+import RuleEditor from './components/RuleEditor.jsx';
+import SnapshotHistory from './components/SnapshotHistory.jsx';
+import WatcherPanel from './components/WatcherPanel.jsx';
+import TestSuitePanel from './components/TestSuitePanel.jsx';
+import ReconciliationPanel from './components/ReconciliationPanel.jsx';
+import PriceCalendarLoader from './components/PriceCalendarLoader.jsx';
+import ParseReportPanel from './components/ParseReportPanel.jsx';
+import RuleImportPanel from './components/RuleImportPanel.jsx';
 
 // Import utilities
-import { parseXmlRules, isBookingAllowedByRule } from './utils/ruleUtils.js';
+import { resolveBooking } from './utils/ruleUtils.js';
+import { analyseRules } from './utils/ruleAnalysis.js';
+import { findCoverageGaps } from './utils/coverageUtils.js';
+import { reconcileSaleability, groupMismatches } from './utils/reconciliation.js';
+import { createEditHistory, applyEdit, moveRuleDates } from './utils/ruleEditing.js';
+import { DEFAULT_PRECEDENCE } from './utils/constants.js';
 
 /**
  * Main application component. Coordinates the upload of rules, state
  * management, and renders the various child components.
  */
 export default function App() {
-  const [rules, setRules] = useState([]);
+  const [loadedRules, setLoadedRules] = useState([]);
+  const [editHistory, setEditHistory] = useState(null); // What-if editing session, null when not editing
+  const [ruleDocument, setRuleDocument] = useState(null); // { xml, metadata } the loaded rules came from, for the XML download
+  const [parseReports, setParseReports] = useState([]); // Metadata and problems of the loaded XML, per source
   const [year, setYear] = useState(() => new Date().getFullYear());
   const [bookingDate, setBookingDate] = useState(() => new Date());
   const [bookingEntries, setBookingEntries] = useState([{ startDate: '', length: '' }]);
@@ -25,6 +47,23 @@ export default function App() {
   const [isDarkMode, setIsDarkMode] = useState(false); // Default to light mode
   const [searchHistory, setSearchHistory] = useState([]); // Search history state
   const [saleabilityData, setSaleabilityData] = useState(null); // Saleability data state
+  const [precedence, setPrecedence] = useState(DEFAULT_PRECEDENCE); // Rule precedence strategies
+  const [focusedRuleId, setFocusedRuleId] = useState(null); // Rule row to scroll to on the timeline
+  const [showCoverageGaps, setShowCoverageGaps] = useState(false); // Gap analysis is computed on demand
+  const [showReconciliation, setShowReconciliation] = useState(false); // Rules vs APEX comparison
+  const [priceCalendar, setPriceCalendar] = useState(null); // Base nightly prices for stay totals
+  const [showDiff, setShowDiff] = useState(false); // Rule set comparison mode
+  const [diffSides, setDiffSides] = useState({ base: null, compare: null }); // Rule sets being compared
+
+  // Every view follows the edited rules while an editing session is open
+  const rules = editHistory ? editHistory.present : loadedRules;
+
+  // Loading a new rule set ends any editing session
+  const setRules = (nextRules, sourceDocument = null) => {
+    setLoadedRules(nextRules);
+    setRuleDocument(sourceDocument);
+    setEditHistory(null);
+  };
 
   // Apply theme to body
   useEffect(() => {
@@ -70,54 +109,129 @@ export default function App() {
     setViewMode('year');
   };
 
-  // When booking entries change, compute which rules are matched to highlight them on the timeline
-  const highlightedRuleIds = useMemo(() => {
-    const ids = [];
+  // When booking entries change, resolve them against the rules to highlight the winning
+  // rules and the rules that matched but lost on the timeline
+  const { highlightedRuleIds, winningRuleIds } = useMemo(() => {
+    const matched = [];
+    const winners = [];
     bookingEntries.forEach((entry) => {
       if (!entry.startDate || !entry.length) return;
       const length = parseInt(entry.length, 10);
-      rules.forEach((rule) => {
-        if (isBookingAllowedByRule(rule, entry.startDate, length, bookingDate)) {
-          if (!ids.includes(rule.id)) {
-            ids.push(rule.id);
-          }
+      const { matches, winner } = resolveBooking(rules, entry.startDate, length, bookingDate, precedence);
+      matches.forEach((rule) => {
+        if (!matched.includes(rule.id)) {
+          matched.push(rule.id);
         }
       });
+      if (winner && !winners.includes(winner.id)) {
+        winners.push(winner.id);
+      }
     });
-    return ids;
-  }, [bookingEntries, rules, bookingDate]);
+    return { highlightedRuleIds: matched, winningRuleIds: winners };
+  }, [bookingEntries, rules, bookingDate, precedence]);
 
-  // Handle file upload and parse rules
-  const handleFileChange = async (event) => {
-    const file = event.target.files && event.target.files[0];
-    if (!file) return;
-    try {
-      const text = await file.text();
-      const parsed = parseXmlRules(text);
-      setRules(parsed);
-      
-      // Set year to the minimum year from the uploaded rules
-      if (parsed && parsed.length > 0) {
-        let minYear = Infinity;
-        parsed.forEach((rule) => {
-          const fromYear = parseISO(rule.from).getFullYear();
-          const toYear = parseISO(rule.to).getFullYear();
-          if (fromYear < minYear) minYear = fromYear;
-          if (toYear < minYear) minYear = toYear;
-        });
-        if (minYear !== Infinity) {
-          setYear(minYear);
-        }
+  // Overlap, duplicate and dead-rule findings for the current rule set
+  const analysisFindings = useMemo(
+    () => analyseRules(rules, { bookingCreationDate: bookingDate, strategies: precedence }),
+    [rules, bookingDate, precedence]
+  );
+
+  // Arrival date and stay length regions that no rule allows
+  const coverageGaps = useMemo(
+    () => (showCoverageGaps ? findCoverageGaps(rules, { bookingCreationDate: bookingDate }) : null),
+    [showCoverageGaps, rules, bookingDate]
+  );
+
+  // Days where the rules and the APEX saleability disagree
+  const reconciliationDays = useMemo(
+    () => (showReconciliation && saleabilityData
+      ? reconcileSaleability(rules, saleabilityData, { bookingCreationDate: bookingDate })
+      : null),
+    [showReconciliation, saleabilityData, rules, bookingDate]
+  );
+  const reconciliationMismatches = useMemo(
+    () => (reconciliationDays ? groupMismatches(reconciliationDays) : null),
+    [reconciliationDays]
+  );
+
+  // Jump to a rule's row on the timeline, switching to the year it starts in
+  const handleFocusRule = (ruleId) => {
+    const rule = rules.find((r) => r.id === ruleId);
+    if (!rule) return;
+    setViewMode('year');
+    setYear(parseISO(rule.from).getFullYear());
+    setFocusedRuleId(ruleId);
+  };
+
+  // Load one side of the rule set comparison
+  const handleDiffSideChange = (side, ruleSet) => {
+    setDiffSides((prev) => ({ ...prev, [side]: ruleSet }));
+  };
+
+  // Open two stored snapshots in the rule set comparison
+  const handleCompareSnapshots = (base, compare) => {
+    setDiffSides({ base, compare });
+    setShowDiff(true);
+  };
+
+  // Commit a dragged timeline bar edge as one editing step
+  const handleRuleDatesChange = (ruleId, dates) => {
+    setEditHistory((prev) => applyEdit(prev, moveRuleDates(prev.present, ruleId, dates)));
+  };
+
+  // Compare the edited rules with the loaded ones
+  const handleCompareEdits = () => {
+    setDiffSides({
+      base: { label: 'Loaded rules', rules: editHistory.original },
+      compare: { label: 'Edited rules', rules: editHistory.present, followsEdits: true }
+    });
+    setShowDiff(true);
+  };
+
+  // An "Edited rules" comparison side keeps following the editing session
+  const shownDiffSides = useMemo(() => {
+    const { compare } = diffSides;
+    if (!editHistory || !compare || !compare.followsEdits) return diffSides;
+    return { ...diffSides, compare: { ...compare, rules: editHistory.present } };
+  }, [diffSides, editHistory]);
+
+  // Open a booking as a test row, reusing the last row when it is still empty
+  const handleOpenBookingTest = (startDate, length) => {
+    setBookingEntries((prev) => {
+      const entry = { startDate, length: String(length) };
+      const last = prev[prev.length - 1];
+      if (last && !last.startDate && !last.length) {
+        return [...prev.slice(0, -1), entry];
+      }
+      return [...prev, entry];
+    });
+  };
+
+  // Handle a rule set imported from a file or pasted XML, in any format
+  const handleDocumentLoaded = (source, { rules: parsed, metadata, diagnostics, xml = null }) => {
+    setParseReports([{ source, metadata, diagnostics }]);
+    // A broken document is listed in the import report; keep the current rules
+    if (diagnostics.some((diagnostic) => diagnostic.ruleNumber === null)) return;
+    setRules(parsed, { xml, metadata });
+
+    // Set year to the minimum year from the imported rules
+    if (parsed && parsed.length > 0) {
+      let minYear = Infinity;
+      parsed.forEach((rule) => {
+        const fromYear = parseISO(rule.from).getFullYear();
+        const toYear = parseISO(rule.to).getFullYear();
+        if (fromYear < minYear) minYear = fromYear;
+        if (toYear < minYear) minYear = toYear;
+      });
+      if (minYear !== Infinity) {
+        setYear(minYear);
       }
-    } catch (err) {
-      console.error(err);
-      alert('Failed to parse the uploaded file. Please ensure it is valid XML containing price rules.');
     }
   };
 
   // Handle rules loaded from API
-  const handleRulesLoaded = (loadedRules) => {
-    setRules(loadedRules);
+  const handleRulesLoaded = (loadedRules, sourceDocument) => {
+    setRules(loadedRules, sourceDocument);
     
     // Set year to the minimum year from the loaded rules
     if (loadedRules && loadedRules.length > 0) {
@@ -181,13 +295,14 @@ export default function App() {
         </button>
       </div>
       <p>
-        Upload your price rule file (XML) or fetch rules from API to visualise how the rules cover the calendar and test
+        Upload your price rule file (XML, CSV or JSON) or fetch rules from API to visualise how the rules cover the calendar and test
         bookings against them.
       </p>
       
       {/* API Configuration Section */}
       <APIConfiguration 
         onRulesLoaded={handleRulesLoaded}
+        onParseReports={setParseReports}
         searchHistory={searchHistory}
         onAddToHistory={handleAddToHistory}
         onSaleabilityLoaded={handleSaleabilityLoaded}
@@ -195,10 +310,13 @@ export default function App() {
       />
       
       {/* File Upload Section */}
-      <div className="upload-section">
-        <h3>Or upload XML file</h3>
-        <input type="file" accept=".xml" onChange={handleFileChange} />
-      </div>
+      <RuleImportPanel onDocumentLoaded={handleDocumentLoaded} />
+      <ParseReportPanel
+        reports={parseReports}
+        onRuleClick={parseReports.length === 1 ? handleFocusRule : undefined}
+      />
+      
+      <PriceCalendarLoader priceCalendar={priceCalendar} onCalendarLoaded={setPriceCalendar} />
       
       {rules.length > 0 && (
         <>
@@ -233,6 +351,10 @@ export default function App() {
             rules={rules} 
             year={year} 
             highlightedRuleIds={highlightedRuleIds} 
+            winningRuleIds={winningRuleIds}
+            focusedRuleId={focusedRuleId}
+            coverageGaps={coverageGaps}
+            reconciliationDays={reconciliationDays}
             bookingCreationDate={bookingDate}
             viewMode={viewMode}
             selectedMonth={selectedMonth}
@@ -242,6 +364,49 @@ export default function App() {
             saleabilityData={saleabilityData}
             isDarkMode={isDarkMode}
             ruleYears={ruleYears}
+            onRuleDatesChange={editHistory ? handleRuleDatesChange : undefined}
+          />
+          <ReconciliationPanel
+            mismatches={reconciliationMismatches}
+            isEnabled={showReconciliation}
+            onToggle={() => setShowReconciliation((v) => !v)}
+            hasSaleability={Boolean(saleabilityData)}
+          />
+          <RuleEditor
+            rules={rules}
+            history={editHistory}
+            onHistoryChange={setEditHistory}
+            onStartEditing={() => setEditHistory(createEditHistory(loadedRules))}
+            onDiscard={() => setEditHistory(null)}
+            ruleDocument={ruleDocument}
+            bookingDate={bookingDate}
+            onCompare={handleCompareEdits}
+          />
+          <EligibilityMatrix
+            rules={rules}
+            year={year}
+            viewMode={viewMode}
+            selectedMonth={selectedMonth}
+            bookingCreationDate={bookingDate}
+            precedence={precedence}
+            onCellClick={handleOpenBookingTest}
+          />
+          <LeadTimeSweep
+            rules={rules}
+            precedence={precedence}
+            bookingEntries={bookingEntries}
+            bookingDate={bookingDate}
+            onBookingDateChange={setBookingDate}
+          />
+          <RuleAnalysisPanel
+            findings={analysisFindings}
+            onRuleClick={handleFocusRule}
+          />
+          <CoverageGapPanel
+            gaps={coverageGaps}
+            isEnabled={showCoverageGaps}
+            onToggle={() => setShowCoverageGaps(!showCoverageGaps)}
+            bookingCreationDate={bookingDate}
           />
           <BookingSelector
             bookingDate={bookingDate}
@@ -249,12 +414,48 @@ export default function App() {
             bookingEntries={bookingEntries}
             setBookingEntries={setBookingEntries}
             rules={rules}
+            precedence={precedence}
+            onPrecedenceChange={setPrecedence}
+            priceCalendar={priceCalendar}
+          />
+          <TestSuitePanel
+            rules={rules}
+            bookingEntries={bookingEntries}
+            onEntriesChange={setBookingEntries}
+            bookingDate={bookingDate}
+            onBookingDateChange={setBookingDate}
+            precedence={precedence}
+            onPrecedenceChange={setPrecedence}
           />
         </>
       )}
       
+      {/* Rule set comparison */}
+      <div className="diff-toggle-section">
+        <button className="matrix-toggle" onClick={() => setShowDiff(!showDiff)}>
+          {showDiff ? 'Close comparison' : 'Compare rule sets'}
+        </button>
+      </div>
+      {showDiff && (
+        <RuleDiffView
+          currentRules={rules}
+          diffSides={shownDiffSides}
+          onDiffSideChange={handleDiffSideChange}
+          isDarkMode={isDarkMode}
+        />
+      )}
+      <SnapshotHistory onCompare={handleCompareSnapshots} />
+      <WatcherPanel />
+      
       {/* Checkout Tester - At the bottom of the page */}
       <CheckoutTester />
+      <BatchCheckoutTester
+        rules={rules}
+        bookingDate={bookingDate}
+        precedence={precedence}
+        bookingEntries={bookingEntries}
+        priceCalendar={priceCalendar}
+      />
     </div>
   );
 }
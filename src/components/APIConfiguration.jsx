@@ -1,13 +1,33 @@
-import React, { useState } from 'react';
-import { fetchPriceRulesFromAPI, fetchSaleabilityFromAPI } from '../services/apiService.js';
+import React, { useEffect, useState } from 'react';
+import { fetchPriceRulesFromAPI, fetchSaleabilityFromAPI, clearServerCache } from '../services/apiService.js';
+
+function formatAge(seconds) {
+  if (seconds < 5) return 'just now';
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  return `${Math.floor(seconds / 3600)} h ${Math.floor((seconds % 3600) / 60)} min ago`;
+}
 
 /**
  * API Configuration component for setting up API endpoint and making requests
  */
-export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddToHistory, onSaleabilityLoaded, saleabilityData }) {
+export default function APIConfiguration({
+  onRulesLoaded, onParseReports, searchHistory, onAddToHistory, onSaleabilityLoaded, saleabilityData
+}) {
   const [accommodationCode, setAccommodationCode] = useState('');
   const [season, setSeason] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [bypassCache, setBypassCache] = useState(false);
+  const [cacheInfo, setCacheInfo] = useState([]);
+  const [cacheMessage, setCacheMessage] = useState('');
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the displayed data age current
+  useEffect(() => {
+    if (cacheInfo.length === 0) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, [cacheInfo.length]);
 
   // Generate season options (current year and next few years)
   const currentYear = new Date().getFullYear();
@@ -23,6 +43,17 @@ export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddTo
     }
 
     setIsLoading(true);
+    setCacheMessage('');
+    const fetchedInfo = [];
+    const recordCacheInfo = (label) => (info) => {
+      if (info) fetchedInfo.push({ label, ...info, receivedAt: Date.now() });
+    };
+    const parseReports = [];
+    const documents = [];
+    const recordParseReport = (source) => ({ xml, ...report }) => {
+      parseReports.push({ source, ...report });
+      documents.push({ xml, metadata: report.metadata });
+    };
     try {
       let allRules = [];
 
@@ -40,7 +71,11 @@ export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddTo
           };
 
           try {
-            const rules = await fetchPriceRulesFromAPI(accommodationCode, payload);
+            const rules = await fetchPriceRulesFromAPI(accommodationCode, payload, {
+              refresh: bypassCache,
+              onCacheInfo: recordCacheInfo(`Price rules ${yearSeason}`),
+              onParseReport: recordParseReport(`${accommodationCode} ${yearSeason}`)
+            });
             allRules = [...allRules, ...rules];
           } catch (error) {
             console.warn(`Failed to fetch rules for season ${yearSeason}:`, error.message);
@@ -65,17 +100,26 @@ export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddTo
           sections: 'pricerules'
         };
 
-        allRules = await fetchPriceRulesFromAPI(accommodationCode, payload);
+        allRules = await fetchPriceRulesFromAPI(accommodationCode, payload, {
+          refresh: bypassCache,
+          onCacheInfo: recordCacheInfo(`Price rules ${payload.season}`),
+          onParseReport: recordParseReport(`${accommodationCode} ${payload.season}`)
+        });
         
         // Add to search history
         onAddToHistory({ accommodationCode, season: parseInt(season, 10) });
       }
 
-      onRulesLoaded(allRules);
+      onParseReports(parseReports);
+      // Rules merged from several seasons have no single document to keep
+      onRulesLoaded(allRules, documents.length === 1 ? documents[0] : null);
 
       // Automatically fetch saleability data using the same accommodation code
       try {
-        const saleabilityData = await fetchSaleabilityFromAPI(accommodationCode);
+        const saleabilityData = await fetchSaleabilityFromAPI(accommodationCode, {
+          refresh: bypassCache,
+          onCacheInfo: recordCacheInfo('Saleability')
+        });
         onSaleabilityLoaded(saleabilityData);
       } catch (error) {
         console.warn('Failed to fetch saleability data:', error.message);
@@ -87,10 +131,22 @@ export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddTo
       console.error('Failed to fetch from API:', error);
       alert(`Failed to fetch price rules from API: ${error.message}`);
     } finally {
+      setCacheInfo(fetchedInfo);
+      setNow(Date.now());
       setIsLoading(false);
     }
   };
 
+  const handleClearCache = async () => {
+    try {
+      const removed = await clearServerCache();
+      setCacheMessage(`Cleared ${removed} cached response${removed === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      setCacheMessage(`Failed to clear cache: ${error.message}`);
+    }
+  };
+
   // Handle clicking on a history item
   const handleHistoryClick = (historyItem) => {
     setAccommodationCode(historyItem.accommodationCode);
@@ -136,6 +192,42 @@ export default function APIConfiguration({ onRulesLoaded, searchHistory, onAddTo
             {isLoading ? 'Fetching...' : 'Fetch Rules & Availability'}
           </button>
         </div>
+
+        <div className="cache-controls">
+          <label className="cache-bypass">
+            <input
+              type="checkbox"
+              checked={bypassCache}
+              onChange={(e) => setBypassCache(e.target.checked)}
+            />
+            Bypass server cache
+          </label>
+          <button onClick={handleClearCache} className="copy-button">
+            Clear server cache
+          </button>
+          {cacheMessage && <span className="cache-message">{cacheMessage}</span>}
+        </div>
+
+        {cacheInfo.length > 0 && (
+          <ul className="cache-info">
+            {cacheInfo.map((info) => {
+              const age = info.ageSeconds + Math.floor((now - info.receivedAt) / 1000);
+              const isCached = info.status === 'hit';
+              return (
+                <li
+                  key={info.label}
+                  className={isCached ? 'cache-hit' : 'cache-fresh'}
+                  title={`Fetched from ${info.source || 'upstream'} at ${new Date(info.storedAt).toLocaleString()}, cache TTL ${info.ttlSeconds}s`}
+                >
+                  <strong>{info.label}:</strong>{' '}
+                  {isCached ? 'from server cache' : 'fresh from upstream'}
+                  {info.source && info.source !== 'live' && ` (${info.source})`}
+                  , fetched {formatAge(age)}
+                </li>
+              );
+            })}
+          </ul>
+        )}
         
         {/* Search History */}
         {searchHistory.length > 0 && (
@@ -0,0 +1,230 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { runBatchCheckout } from '../services/apiService.js';
+import { resolveBooking } from '../utils/ruleUtils.js';
+import { DEFAULT_CHECKOUT_OPTIONS, CHECKOUT_OUTCOME_LABELS } from '../utils/constants.js';
+import { formatPrice, computeStayPrice } from '../utils/pricing.js';
+import CheckoutOptionsFields from './CheckoutOptionsFields.jsx';
+
+// Keep batches within what the server accepts
+const MAX_PROBES = 500;
+
+/**
+ * BatchCheckoutTester probes checkout for many bookings at once, either a
+ * date range × stay lengths grid or the rows of BookingSelector, and
+ * compares every real checkout outcome with the rule engine's prediction.
+ * With a base price calendar loaded, quoted prices are compared too.
+ */
+export default function BatchCheckoutTester({ rules, bookingDate, precedence, bookingEntries, priceCalendar }) {
+  const [propertyCode, setPropertyCode] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [lengths, setLengths] = useState('7');
+  const [concurrency, setConcurrency] = useState(4);
+  const [checkoutOptions, setCheckoutOptions] = useState(DEFAULT_CHECKOUT_OPTIONS);
+  const [probes, setProbes] = useState([]);
+  const [results, setResults] = useState({}); // Probe index -> result message
+  const [isRunning, setIsRunning] = useState(false);
+  const [showDisagreementsOnly, setShowDisagreementsOnly] = useState(false);
+  const abortRef = useRef(null);
+
+  // Probes from the date range and the comma separated stay lengths
+  const buildRangeProbes = () => {
+    const stayLengths = lengths.split(',').map((l) => parseInt(l.trim(), 10)).filter((l) => l > 0);
+    if (!fromDate || !toDate || stayLengths.length === 0) return [];
+    const dayCount = differenceInCalendarDays(parseISO(toDate), parseISO(fromDate)) + 1;
+    const list = [];
+    for (let i = 0; i < dayCount; i++) {
+      const startDate = format(addDays(parseISO(fromDate), i), 'yyyy-MM-dd');
+      stayLengths.forEach((lengthOfStay) => list.push({ startDate, lengthOfStay }));
+    }
+    return list;
+  };
+
+  // Probes from the BookingSelector rows
+  const buildEntryProbes = () => bookingEntries
+    .filter((entry) => entry.startDate && entry.length)
+    .map((entry) => ({ startDate: entry.startDate, lengthOfStay: parseInt(entry.length, 10) }));
+
+  const handleRun = async (list) => {
+    if (!propertyCode.trim()) {
+      alert('Please enter a property code');
+      return;
+    }
+    if (list.length === 0) {
+      alert('No bookings to probe: choose a date range and stay lengths, or add booking tests');
+      return;
+    }
+    if (list.length > MAX_PROBES) {
+      alert(`That is ${list.length} probes; please keep a batch to ${MAX_PROBES} or fewer`);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProbes(list);
+    setResults({});
+    setIsRunning(true);
+    try {
+      await runBatchCheckout(propertyCode.trim(), list, {
+        probeOptions: checkoutOptions,
+        concurrency,
+        signal: controller.signal,
+        onResult: (message) => setResults((prev) => ({ ...prev, [message.index]: message }))
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Batch checkout failed:', error);
+        alert(`Batch checkout failed: ${error.message}`);
+      }
+    } finally {
+      setIsRunning(false);
+      abortRef.current = null;
+    }
+  };
+
+  const handleCancel = () => {
+    if (abortRef.current) abortRef.current.abort();
+  };
+
+  // Predicted outcome per probe, and whether checkout agreed with it
+  const rows = useMemo(() => probes.map((probe, index) => {
+    const { winner } = resolveBooking(rules, probe.startDate, probe.lengthOfStay, bookingDate, precedence);
+    const result = results[index];
+    let agreement = 'pending';
+    if (result) {
+      if (result.outcome === 'requestFailed') agreement = 'error';
+      else agreement = result.success === (winner !== null) ? 'agree' : 'disagree';
+    }
+    const stayPrice = priceCalendar && winner
+      ? computeStayPrice(priceCalendar, probe.startDate, probe.lengthOfStay, winner)
+      : null;
+    const quotedPrice = result && result.quote ? result.quote.totalPrice : null;
+    const priceDiffers = stayPrice !== null && quotedPrice !== null &&
+      stayPrice.missingDates.length === 0 && Math.abs(stayPrice.total - quotedPrice) >= 0.01;
+    return { ...probe, index, predicted: winner, result, agreement, stayPrice, priceDiffers };
+  }), [probes, results, rules, bookingDate, precedence, priceCalendar]);
+
+  const doneCount = Object.keys(results).length;
+  const disagreeCount = rows.filter((row) => row.agreement === 'disagree').length;
+  const visibleRows = showDisagreementsOnly ? rows.filter((row) => row.agreement === 'disagree') : rows;
+
+  return (
+    <div className="checkout-tester batch-checkout">
+      <h3>Batch Checkout Probe</h3>
+      <p>Probe checkout for many bookings and compare the outcome with what the rules predict.</p>
+      <div className="checkout-form-row">
+        <label>
+          Property Code:
+          <input
+            type="text"
+            value={propertyCode}
+            onChange={(e) => setPropertyCode(e.target.value)}
+            placeholder="e.g., FRA278"
+            className="checkout-input"
+          />
+        </label>
+        <label>
+          From:
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className="checkout-input" />
+        </label>
+        <label>
+          To:
+          <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} className="checkout-input" />
+        </label>
+        <label>
+          Stay lengths:
+          <input
+            type="text"
+            value={lengths}
+            onChange={(e) => setLengths(e.target.value)}
+            placeholder="e.g., 3,7,14"
+            className="checkout-input"
+          />
+        </label>
+        <label>
+          Concurrency:
+          <input
+            type="number"
+            min="1"
+            max="8"
+            value={concurrency}
+            onChange={(e) => setConcurrency(parseInt(e.target.value, 10) || 1)}
+            className="checkout-input"
+          />
+        </label>
+      </div>
+      <CheckoutOptionsFields options={checkoutOptions} onChange={setCheckoutOptions} />
+      <div className="checkout-form-row">
+        <button className="checkout-test-button" onClick={() => handleRun(buildRangeProbes())} disabled={isRunning}>
+          Probe date range
+        </button>
+        <button className="checkout-test-button" onClick={() => handleRun(buildEntryProbes())} disabled={isRunning}>
+          Probe booking tests
+        </button>
+        {isRunning && (
+          <button className="checkout-clear-button" onClick={handleCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {probes.length > 0 && (
+        <>
+          <div className="batch-progress">
+            <progress value={doneCount} max={probes.length} />
+            <span>
+              {doneCount}/{probes.length} probed, {disagreeCount} disagreement{disagreeCount === 1 ? '' : 's'}
+            </span>
+            <label className="batch-filter">
+              <input
+                type="checkbox"
+                checked={showDisagreementsOnly}
+                onChange={(e) => setShowDisagreementsOnly(e.target.checked)}
+              />
+              Disagreements only
+            </label>
+          </div>
+          <table className="explanation-table">
+            <thead>
+              <tr>
+                <th>Arrival</th>
+                <th>Nights</th>
+                <th>Rules predict</th>
+                <th>Checkout</th>
+                {priceCalendar && <th>Expected price</th>}
+                <th>Verdict</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.index} className={`batch-${row.agreement}`}>
+                  <td>{row.startDate}</td>
+                  <td>{row.lengthOfStay}</td>
+                  <td>{row.predicted ? `Allowed (rule ${row.predicted.id})` : 'Blocked'}</td>
+                  <td>
+                    {!row.result && '…'}
+                    {row.result && (CHECKOUT_OUTCOME_LABELS[row.result.outcome] || row.result.outcome)}
+                    {row.result && row.result.quote && ` (${formatPrice(row.result.quote.totalPrice, row.result.quote.currency)})`}
+                    {row.result && row.result.error && row.result.error.message && `: ${row.result.error.message}`}
+                  </td>
+                  {priceCalendar && (
+                    <td className={row.priceDiffers ? 'check-failed' : ''}>
+                      {row.stayPrice ? formatPrice(row.stayPrice.total, row.stayPrice.currency) : '–'}
+                      {row.priceDiffers && ' ≠ quote'}
+                    </td>
+                  )}
+                  <td>
+                    {row.agreement === 'agree' && '✓'}
+                    {row.agreement === 'disagree' && '✗ Disagrees'}
+                    {row.agreement === 'error' && '⚠️'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
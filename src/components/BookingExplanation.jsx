@@ -0,0 +1,57 @@
+import React from 'react';
+
+/**
+ * BookingExplanation renders the per-rule, per-constraint breakdown of a
+ * single booking test. Each row is a rule and each column a constraint;
+ * failed checks show the actual value against the expected one. Rules
+ * that fail exactly one constraint are highlighted as near-misses, and the
+ * rule that wins precedence is marked as applied.
+ */
+export default function BookingExplanation({ explanations, winnerId }) {
+  if (!explanations || explanations.length === 0) return null;
+  const columns = explanations[0].checks;
+
+  return (
+    <div className="booking-explanation">
+      <table className="explanation-table">
+        <thead>
+          <tr>
+            <th>Rule</th>
+            {columns.map((check) => (
+              <th key={check.key}>{check.label}</th>
+            ))}
+            <th>Result</th>
+          </tr>
+        </thead>
+        <tbody>
+          {explanations.map((explanation) => {
+            const isNearMiss = explanation.failedCount === 1;
+            const isWinner = explanation.ruleId === winnerId;
+            const rowClass = isWinner
+              ? 'explanation-allowed explanation-winner'
+              : explanation.allowed ? 'explanation-allowed' : isNearMiss ? 'near-miss' : '';
+            return (
+              <tr key={explanation.ruleId} className={rowClass}>
+                <td>Rule {explanation.ruleId}</td>
+                {explanation.checks.map((check) => (
+                  <td
+                    key={check.key}
+                    className={check.passed ? 'check-passed' : 'check-failed'}
+                    title={`Actual: ${check.actual}, expected: ${check.expected}`}
+                  >
+                    {!check.applicable ? '–' : check.passed ? '✓' : `✗ ${check.actual} (${check.expected})`}
+                  </td>
+                ))}
+                <td>
+                  {isWinner && 'Applied'}
+                  {!isWinner && explanation.allowed && 'Matched, overridden'}
+                  {!explanation.allowed && (isNearMiss ? 'Near miss' : `${explanation.failedCount} failed`)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,19 +1,55 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { format, parseISO } from 'date-fns';
-import { isBookingAllowedByRule } from '../utils/ruleUtils.js';
+import {
+  explainBookingAgainstRule, resolveBooking, getDepartureDate, isoWeekday, formatPercentage
+} from '../utils/ruleUtils.js';
+import { WEEKDAY_NAMES, PRECEDENCE_STRATEGIES } from '../utils/constants.js';
+import { computeStayPrice, formatPrice } from '../utils/pricing.js';
+import { runBookingTest, describeFailure } from '../utils/testSuites.js';
+import BookingExplanation from './BookingExplanation.jsx';
+import StayPriceBreakdown from './StayPriceBreakdown.jsx';
 
 /**
  * BookingSelector allows users to test arbitrary bookings against the
  * uploaded rules. Users can dynamically add or remove test cases
  * consisting of a start date and a length of stay. Results for each
- * test case are displayed inline.
+ * test case are displayed inline: the rule that wins under the selected
+ * precedence strategies, the rules that matched but lost, and an expandable
+ * per-rule explanation of which constraints passed or failed. With a base
+ * price calendar loaded, the stay total under the winning rule is shown too.
+ * Each row may carry an expected outcome (allowed or blocked, winning rule,
+ * percentage), which is checked against the current rules on every change.
  */
-export default function BookingSelector({ bookingDate, onBookingDateChange, bookingEntries, setBookingEntries, rules }) {
+export default function BookingSelector({
+  bookingDate, onBookingDateChange, bookingEntries, setBookingEntries, rules,
+  precedence, onPrecedenceChange, priceCalendar
+}) {
+  const [expandedEntries, setExpandedEntries] = useState([]); // Indexes of rows showing the explanation
+
   // Update a specific booking entry field
   const updateEntry = (index, field, value) => {
     const updated = bookingEntries.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry));
     setBookingEntries(updated);
   };
+  // Set or clear one expected outcome field of a row; empty input clears it
+  const updateExpected = (index, field, value) => {
+    const entry = bookingEntries[index];
+    const expected = { ...(entry.expected || {}) };
+    if (value === '' || value === undefined) {
+      delete expected[field];
+    } else {
+      expected[field] = value;
+    }
+    updateEntry(index, 'expected', expected);
+  };
+  // Take the current outcome of a row as its expected outcome
+  const captureExpected = (index, resolution) => {
+    updateEntry(index, 'expected', {
+      allowed: Boolean(resolution.winner),
+      winnerId: resolution.winner ? resolution.winner.id : null,
+      percentage: resolution.effectivePercentage
+    });
+  };
   // Add a new empty test row
   const addEntry = () => {
     setBookingEntries([...bookingEntries, { startDate: '', length: '' }]);
@@ -22,6 +58,17 @@ export default function BookingSelector({ bookingDate, onBookingDateChange, book
   const removeEntry = (index) => {
     const updated = bookingEntries.filter((_, i) => i !== index);
     setBookingEntries(updated);
+    setExpandedEntries((prev) => prev.filter((i) => i !== index).map((i) => (i > index ? i - 1 : i)));
+  };
+  // Show or hide the explanation table of a test row
+  const toggleExplanation = (index) => {
+    setExpandedEntries((prev) => (prev.includes(index) ? prev.filter((i) => i !== index) : [...prev, index]));
+  };
+  // Replace one level of the precedence chain; an empty value drops it
+  const updatePrecedence = (level, value) => {
+    const updated = [...precedence];
+    updated[level] = value;
+    onPrecedenceChange(updated.filter(Boolean));
   };
 
   return (
@@ -36,16 +83,46 @@ export default function BookingSelector({ bookingDate, onBookingDateChange, book
             onChange={(e) => onBookingDateChange(parseISO(e.target.value))}
           />
         </label>
+        <label>
+          Precedence:
+          <select value={precedence[0] || ''} onChange={(e) => updatePrecedence(0, e.target.value)}>
+            {PRECEDENCE_STRATEGIES.map((strategy) => (
+              <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+            ))}
+          </select>
+          then by
+          <select value={precedence[1] || ''} onChange={(e) => updatePrecedence(1, e.target.value)}>
+            <option value="">Document order</option>
+            {PRECEDENCE_STRATEGIES.filter((strategy) => strategy.id !== 'documentOrder').map((strategy) => (
+              <option key={strategy.id} value={strategy.id}>{strategy.label}</option>
+            ))}
+          </select>
+        </label>
       </div>
       {bookingEntries.map((entry, index) => {
         const startDateIso = entry.startDate;
         const length = parseInt(entry.length, 10);
-        let allowedRules = [];
+        let explanations = [];
+        let resolution = null;
+        let nearMissCount = 0;
+        let departure = null;
         if (entry.startDate && entry.length) {
-          allowedRules = rules.filter((rule) =>
-            isBookingAllowedByRule(rule, startDateIso, length, bookingDate)
+          explanations = rules.map((rule) =>
+            explainBookingAgainstRule(rule, startDateIso, length, bookingDate)
           );
+          resolution = resolveBooking(rules, startDateIso, length, bookingDate, precedence);
+          nearMissCount = explanations.filter((explanation) => explanation.failedCount === 1).length;
+          departure = getDepartureDate(startDateIso, length);
         }
+        const stayPrice = priceCalendar && resolution && resolution.winner
+          ? computeStayPrice(priceCalendar, startDateIso, length, resolution.winner)
+          : null;
+        const isExpanded = expandedEntries.includes(index);
+        const expected = entry.expected || {};
+        const hasExpectation = Object.keys(expected).length > 0;
+        const testResult = resolution && hasExpectation
+          ? runBookingTest(rules, { startDate: startDateIso, length, expected }, { bookingCreationDate: bookingDate, strategies: precedence })
+          : null;
         return (
           <div key={index} className="booking-entry">
             <label>
@@ -70,17 +147,93 @@ export default function BookingSelector({ bookingDate, onBookingDateChange, book
             </button>
             <div className="booking-result">
               {entry.startDate && entry.length ? (
-                allowedRules.length > 0 ? (
-                  <span className="allowed">
-                    ✓ Allowed by rule{allowedRules.length > 1 ? 's' : ''} {allowedRules.map((r) => r.id).join(', ')}
-                  </span>
+                resolution.winner ? (
+                  <>
+                    <span className="allowed">
+                      ✓ Rule {resolution.winner.id} applies ({formatPercentage(resolution.effectivePercentage)})
+                    </span>
+                    {resolution.losers.length > 0 && (
+                      <span className="overridden-rules">
+                        Also matched: rule{resolution.losers.length > 1 ? 's' : ''} {resolution.losers.map((r) => r.id).join(', ')}
+                      </span>
+                    )}
+                  </>
                 ) : (
                   <span className="not-allowed">✗ Not allowed by any rule</span>
                 )
               ) : (
                 <span className="enter-data">Enter start date and length</span>
               )}
+              {stayPrice && (
+                <span className="departure-info">
+                  Stay total {formatPrice(stayPrice.total, stayPrice.currency)}
+                  {stayPrice.missingDates.length > 0 && ' (incomplete)'}
+                </span>
+              )}
+              {departure && !isNaN(departure.getTime()) && (
+                <span className="departure-info">
+                  Departs {WEEKDAY_NAMES[isoWeekday(departure) - 1]} {format(departure, 'yyyy-MM-dd')}
+                </span>
+              )}
+              {explanations.length > 0 && (
+                <button className="explain-toggle" onClick={() => toggleExplanation(index)}>
+                  {isExpanded ? 'Hide details' : 'Why?'}
+                  {nearMissCount > 0 && ` (${nearMissCount} near miss${nearMissCount > 1 ? 'es' : ''})`}
+                </button>
+              )}
             </div>
+            <div className="booking-expectation">
+              <label>
+                Expect:
+                <select
+                  value={expected.allowed === undefined ? '' : String(expected.allowed)}
+                  onChange={(e) => updateExpected(index, 'allowed', e.target.value === '' ? '' : e.target.value === 'true')}
+                >
+                  <option value="">Any outcome</option>
+                  <option value="true">Allowed</option>
+                  <option value="false">Blocked</option>
+                </select>
+              </label>
+              <label>
+                Winning rule:
+                <input
+                  type="number"
+                  min="1"
+                  value={expected.winnerId ?? ''}
+                  placeholder={expected.winnerId === null ? 'none' : ''}
+                  onChange={(e) => updateExpected(index, 'winnerId', e.target.value === '' ? '' : parseInt(e.target.value, 10))}
+                />
+              </label>
+              <label>
+                Percentage:
+                <input
+                  type="number"
+                  step="0.01"
+                  value={expected.percentage ?? ''}
+                  placeholder={expected.percentage === null ? 'none' : ''}
+                  onChange={(e) => updateExpected(index, 'percentage', e.target.value === '' ? '' : parseFloat(e.target.value))}
+                />
+              </label>
+              {resolution && (
+                <button className="explain-toggle" onClick={() => captureExpected(index, resolution)}>
+                  Expect current result
+                </button>
+              )}
+              {testResult && (
+                <span className={testResult.passed ? 'test-pass' : 'test-fail'}>
+                  {testResult.passed ? 'PASS' : `FAIL: ${testResult.failures.map(describeFailure).join('; ')}`}
+                </span>
+              )}
+            </div>
+            {isExpanded && stayPrice && (
+              <StayPriceBreakdown stayPrice={stayPrice} percentage={resolution.effectivePercentage} />
+            )}
+            {isExpanded && (
+              <BookingExplanation
+                explanations={explanations}
+                winnerId={resolution && resolution.winner ? resolution.winner.id : null}
+              />
+            )}
           </div>
         );
       })}
@@ -0,0 +1,44 @@
+import React, { useMemo, useState } from 'react';
+import { generateBoundaryCases, casesToEntries } from '../utils/boundaryCases.js';
+
+/**
+ * BoundaryCaseGenerator proposes booking tests at the edges of each rule
+ * (date range, stay length, weekdays and max days to arrival) and loads them
+ * into the test bookings, with or without the engine's current answers as
+ * the expected baseline, or saves them as a suite.
+ */
+export default function BoundaryCaseGenerator({ rules, bookingDate, precedence, onLoad, onSaveSuite }) {
+  const [ruleFilter, setRuleFilter] = useState('all');
+
+  const cases = useMemo(() => {
+    const selected = ruleFilter === 'all' ? rules : rules.filter((rule) => String(rule.id) === ruleFilter);
+    return generateBoundaryCases(selected, { bookingCreationDate: bookingDate });
+  }, [rules, ruleFilter, bookingDate]);
+
+  const toEntries = (withBaseline) =>
+    casesToEntries(cases, { rules, bookingCreationDate: bookingDate, strategies: precedence, withBaseline });
+
+  return (
+    <div className="boundary-generator">
+      <h4>Boundary cases</h4>
+      <div className="loader-row">
+        <select value={ruleFilter} onChange={(e) => setRuleFilter(e.target.value)} className="api-input">
+          <option value="all">All rules</option>
+          {rules.map((rule) => (
+            <option key={rule.id} value={String(rule.id)}>Rule {rule.id}</option>
+          ))}
+        </select>
+        <span>{cases.length} cases</span>
+        <button className="copy-button" disabled={cases.length === 0} onClick={() => onLoad(toEntries(false))}>
+          Load as test bookings
+        </button>
+        <button className="copy-button" disabled={cases.length === 0} onClick={() => onLoad(toEntries(true))}>
+          Load with current results expected
+        </button>
+        <button className="copy-button" disabled={cases.length === 0} onClick={() => onSaveSuite(toEntries(true))}>
+          Save as baseline suite
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+
+const NUMBER_FIELDS = [
+  { key: 'adults', label: 'Adults', min: 1 },
+  { key: 'children', label: 'Children', min: 0 },
+  { key: 'infants', label: 'Infants', min: 0 },
+  { key: 'pets', label: 'Pets', min: 0 }
+];
+
+const TEXT_FIELDS = [
+  { key: 'brand', label: 'Brand', placeholder: 'NOV' },
+  { key: 'locale', label: 'Locale', placeholder: 'en-EU' },
+  { key: 'salesMarket', label: 'Sales market', placeholder: '999' },
+  { key: 'amount', label: 'Amount', placeholder: '627' }
+];
+
+/**
+ * CheckoutOptionsFields edits the guest and market parameters sent with a
+ * checkout probe, so pet and family scenarios can be tested.
+ */
+export default function CheckoutOptionsFields({ options, onChange }) {
+  const update = (key, value) => onChange({ ...options, [key]: value });
+
+  return (
+    <div className="checkout-form-row checkout-options">
+      {NUMBER_FIELDS.map((field) => (
+        <label key={field.key}>
+          {field.label}:
+          <input
+            type="number"
+            min={field.min}
+            value={options[field.key]}
+            onChange={(e) => update(field.key, e.target.value)}
+            className="checkout-input"
+          />
+        </label>
+      ))}
+      {TEXT_FIELDS.map((field) => (
+        <label key={field.key}>
+          {field.label}:
+          <input
+            type="text"
+            value={options[field.key]}
+            onChange={(e) => update(field.key, e.target.value)}
+            placeholder={field.placeholder}
+            className="checkout-input"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
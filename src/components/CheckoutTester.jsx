@@ -1,13 +1,19 @@
 import React, { useState } from 'react';
 import { testCheckoutAvailability } from '../services/apiService.js';
+import { DEFAULT_CHECKOUT_OPTIONS, CHECKOUT_OUTCOME_LABELS } from '../utils/constants.js';
+import { formatPrice } from '../utils/pricing.js';
+import CheckoutOptionsFields from './CheckoutOptionsFields.jsx';
 
 /**
- * CheckoutTester allows users to test checkout availability for specific bookings
+ * CheckoutTester allows users to test checkout availability for specific bookings,
+ * with configurable guests, pets, brand, locale, sales market and amount
  */
 export default function CheckoutTester() {
   const [propertyCode, setPropertyCode] = useState('');
   const [startDate, setStartDate] = useState('');
   const [lengthOfStay, setLengthOfStay] = useState('');
+  const [checkoutOptions, setCheckoutOptions] = useState(DEFAULT_CHECKOUT_OPTIONS);
+  const [testedOptions, setTestedOptions] = useState(null); // Options of the displayed result
   const [isLoading, setIsLoading] = useState(false);
   const [result, setResult] = useState(null);
   const [error, setError] = useState(null);
@@ -48,8 +54,9 @@ export default function CheckoutTester() {
     setResult(null);
 
     try {
-      const result = await testCheckoutAvailability(trimmedPropertyCode, trimmedStartDate, lengthOfStayNumber);
+      const result = await testCheckoutAvailability(trimmedPropertyCode, trimmedStartDate, lengthOfStayNumber, checkoutOptions);
       setResult(result);
+      setTestedOptions(checkoutOptions);
     } catch (error) {
       console.error('Failed to test checkout:', error);
       setError(error.message);
@@ -123,6 +130,7 @@ export default function CheckoutTester() {
             </button>
           )}
         </div>
+        <CheckoutOptionsFields options={checkoutOptions} onChange={setCheckoutOptions} />
         
         {/* Results Display */}
         {result && (
@@ -131,18 +139,51 @@ export default function CheckoutTester() {
             {result.success ? (
               <div className="success-message">
                 <span className="status-icon">✅</span>
-                <span>Booking is available - checkout would proceed normally</span>
+                <span>
+                  Booking is available - checkout would proceed normally
+                  {result.quote && ` at ${formatPrice(result.quote.totalPrice, result.quote.currency)}`}
+                </span>
               </div>
             ) : (
               <div className="error-message">
                 <span className="status-icon">❌</span>
-                <span>Booking has issues - checkout would show error page</span>
+                <span>
+                  {CHECKOUT_OUTCOME_LABELS[result.outcome] || 'Booking has issues'} - checkout would show error page
+                  {result.error && (result.error.code || result.error.message) && (
+                    <> ({[result.error.code, result.error.message].filter(Boolean).join(': ')})</>
+                  )}
+                </span>
               </div>
             )}
+            {result.quote && result.quote.nightly.length > 0 && (
+              <table className="explanation-table quote-nightly">
+                <thead>
+                  <tr>
+                    <th>Night</th>
+                    <th>Price</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.quote.nightly.map((night, index) => (
+                    <tr key={night.date || index}>
+                      <td>{night.date || `Night ${index + 1}`}</td>
+                      <td>{formatPrice(night.price, result.quote.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
             <div className="test-details">
               <p><strong>Property:</strong> {propertyCode}</p>
               <p><strong>Check-in:</strong> {startDate}</p>
               <p><strong>Nights:</strong> {lengthOfStay}</p>
+              {testedOptions && (
+                <p>
+                  <strong>Guests:</strong> {testedOptions.adults} adults, {testedOptions.children} children,
+                  {' '}{testedOptions.infants} infants, {testedOptions.pets} pets
+                  {' '}({testedOptions.brand}, {testedOptions.locale}, market {testedOptions.salesMarket})
+                </p>
+              )}
               <p><strong>Check-out:</strong> {(() => {
                 try {
                   const checkIn = new Date(startDate);
@@ -0,0 +1,53 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { describeGap, gapsToCsv } from '../utils/coverageUtils.js';
+import { downloadFile } from '../utils/download.js';
+
+/**
+ * CoverageGapPanel lists the arrival date and length-of-stay regions no
+ * rule allows. The gaps are only computed while the panel is enabled,
+ * because walking a full season of stay lengths takes a moment.
+ */
+export default function CoverageGapPanel({ gaps, isEnabled, onToggle, bookingCreationDate }) {
+  const handleExportCsv = () => {
+    downloadFile('coverage-gaps.csv', gapsToCsv(gaps), 'text/csv');
+  };
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(gaps.map(describeGap).join('\n')).catch((err) => {
+      console.error('Failed to copy gaps:', err);
+    });
+  };
+
+  return (
+    <div className="coverage-gaps">
+      <div className="matrix-header">
+        <h3>Coverage gaps</h3>
+        <button className="matrix-toggle" onClick={onToggle}>
+          {isEnabled ? 'Hide gaps' : 'Find gaps'}
+        </button>
+      </div>
+      {isEnabled && gaps && (
+        gaps.length === 0 ? (
+          <p className="analysis-empty">Every arrival date and stay length in the season is bookable.</p>
+        ) : (
+          <>
+            <p className="gap-summary">
+              {gaps.length} uncovered region{gaps.length > 1 ? 's' : ''}, evaluated for bookings created
+              on {format(bookingCreationDate, 'yyyy-MM-dd')}. Gaps are hatched on the timeline.
+            </p>
+            <div className="gap-actions">
+              <button className="copy-button" onClick={handleCopy}>Copy list</button>
+              <button className="copy-button" onClick={handleExportCsv}>Export CSV</button>
+            </div>
+            <ul className="gap-list">
+              {gaps.map((gap) => (
+                <li key={gap.id}>{describeGap(gap)}</li>
+              ))}
+            </ul>
+          </>
+        )
+      )}
+    </div>
+  );
+}
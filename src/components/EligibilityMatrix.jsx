@@ -0,0 +1,109 @@
+import React, { useMemo, useState } from 'react';
+import { buildEligibilityMatrix, getMaxStayLength } from '../utils/matrixUtils.js';
+import { formatPercentage } from '../utils/ruleUtils.js';
+
+/**
+ * Colour of an allowed cell: low percentages are blue, high ones red.
+ * @param {number|null} percentage The effective percentage of the cell
+ * @param {Object} range { min, max } of all effective percentages
+ * @returns {string} A CSS colour
+ */
+function percentageColour(percentage, range) {
+  const span = range.max - range.min;
+  const ratio = span > 0 ? ((percentage || 0) - range.min) / span : 0;
+  const hue = 210 - ratio * 210;
+  return `hsl(${hue}, 70%, 50%)`;
+}
+
+/**
+ * EligibilityMatrix shows, for every arrival date in the displayed year or
+ * month and every length of stay, whether the booking is allowed and at
+ * which effective percentage. Clicking a cell opens it as a booking test.
+ */
+export default function EligibilityMatrix({
+  rules, year, viewMode, selectedMonth, bookingCreationDate, precedence, onCellClick
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const isYearView = viewMode === 'year';
+
+  const matrix = useMemo(() => {
+    if (!isOpen) return null;
+    const start = isYearView ? new Date(year, 0, 1) : new Date(year, selectedMonth, 1);
+    const end = isYearView ? new Date(year, 11, 31) : new Date(year, selectedMonth + 1, 0);
+    return buildEligibilityMatrix(rules, {
+      start,
+      end,
+      maxLength: getMaxStayLength(rules),
+      bookingCreationDate,
+      strategies: precedence
+    });
+  }, [isOpen, rules, year, selectedMonth, isYearView, bookingCreationDate, precedence]);
+
+  const percentageRange = useMemo(() => {
+    if (!matrix) return { min: 0, max: 0 };
+    let min = Infinity;
+    let max = -Infinity;
+    matrix.cells.forEach((row) => row.forEach((cell) => {
+      if (!cell.allowed) return;
+      const value = cell.percentage || 0;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }));
+    return min === Infinity ? { min: 0, max: 0 } : { min, max };
+  }, [matrix]);
+
+  return (
+    <div className="eligibility-matrix">
+      <div className="matrix-header">
+        <h3>Arrival × length-of-stay matrix</h3>
+        <button className="matrix-toggle" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? 'Hide matrix' : 'Show matrix'}
+        </button>
+      </div>
+      {matrix && (
+        <>
+          <div className="matrix-legend">
+            <span className="matrix-legend-item">
+              <span className="matrix-swatch blocked" /> Blocked
+            </span>
+            <span className="matrix-legend-item">
+              <span className="matrix-swatch" style={{ backgroundColor: percentageColour(percentageRange.min, percentageRange) }} />
+              {formatPercentage(percentageRange.min)}
+            </span>
+            <span className="matrix-legend-item">
+              <span className="matrix-swatch" style={{ backgroundColor: percentageColour(percentageRange.max, percentageRange) }} />
+              {formatPercentage(percentageRange.max)}
+            </span>
+            <span className="matrix-hint">Rows: nights, columns: arrival date. Click a cell to test it.</span>
+          </div>
+          <div
+            className="matrix-grid"
+            style={{ gridTemplateColumns: `32px repeat(${matrix.dates.length}, minmax(2px, 1fr))` }}
+          >
+            {matrix.lengths.map((length, lengthIndex) => (
+              <React.Fragment key={length}>
+                <div className="matrix-row-label">{length === 1 || length % 7 === 0 ? length : ''}</div>
+                {matrix.cells.map((row) => {
+                  const cell = row[lengthIndex];
+                  return (
+                    <div
+                      key={cell.startDate}
+                      className={`matrix-cell ${cell.allowed ? '' : 'blocked'}`}
+                      style={cell.allowed ? { backgroundColor: percentageColour(cell.percentage, percentageRange) } : undefined}
+                      title={`${cell.startDate}, ${length} night${length > 1 ? 's' : ''}: ${
+                        cell.allowed
+                          ? `rule ${cell.winnerId} (${formatPercentage(cell.percentage)})`
+                          : 'not allowed'
+                      }`}
+                      onClick={() => onCellClick(cell.startDate, length)}
+                    />
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,130 @@
+import React, { useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { buildCreationDateSweep } from '../utils/matrixUtils.js';
+import { formatPercentage } from '../utils/ruleUtils.js';
+
+/**
+ * LeadTimeSweep fixes one booking (arrival date and nights) and runs it
+ * with every booking creation date before the arrival. Each bar is one
+ * creation date, coloured by the winning rule and as tall as its effective
+ * percentage, so last-minute (maxDaysToArrival) rules can be seen switching
+ * on. Clicking a bar makes that day the booking creation date.
+ */
+export default function LeadTimeSweep({ rules, precedence, bookingEntries, bookingDate, onBookingDateChange }) {
+  const firstEntry = bookingEntries.find((entry) => entry.startDate && entry.length);
+  const [isOpen, setIsOpen] = useState(false);
+  const [startDate, setStartDate] = useState(firstEntry ? firstEntry.startDate : '');
+  const [length, setLength] = useState(firstEntry ? firstEntry.length : '7');
+
+  const nights = parseInt(length, 10);
+  const sweep = useMemo(() => {
+    if (!isOpen || !startDate || !(nights > 0)) return null;
+    return buildCreationDateSweep(rules, { startDate, length: nights, strategies: precedence });
+  }, [isOpen, rules, startDate, nights, precedence]);
+
+  const ruleColours = useMemo(() => new Map(rules.map((rule) => [rule.id, rule.colour])), [rules]);
+  const maxPercentage = useMemo(() => {
+    if (!sweep) return 0;
+    return Math.max(0, ...sweep.days.map((day) => day.percentage || 0));
+  }, [sweep]);
+  const selectedCreationDate = bookingDate ? format(bookingDate, 'yyyy-MM-dd') : null;
+
+  const describeDays = (fromDays, toDays) =>
+    fromDays === toDays ? `${fromDays} days before` : `${fromDays}–${toDays} days before`;
+
+  return (
+    <div className="eligibility-matrix lead-time-sweep">
+      <div className="matrix-header">
+        <h3>Booking creation date sweep</h3>
+        <button className="matrix-toggle" onClick={() => setIsOpen(!isOpen)}>
+          {isOpen ? 'Hide sweep' : 'Show sweep'}
+        </button>
+      </div>
+      {isOpen && (
+        <>
+          <div className="loader-row">
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              className="api-input"
+              title="Arrival date"
+            />
+            <input
+              type="number"
+              min="1"
+              value={length}
+              onChange={(e) => setLength(e.target.value)}
+              className="api-input sweep-nights"
+              title="Nights"
+            />
+            <span>nights</span>
+          </div>
+          {!sweep && <p className="analysis-empty">Pick an arrival date and a number of nights.</p>}
+          {sweep && (
+            <>
+              <div className="matrix-legend">
+                <span className="matrix-legend-item">
+                  <span className="matrix-swatch blocked" /> Blocked
+                </span>
+                <span className="matrix-legend-item">Bar height: effective percentage (max {formatPercentage(maxPercentage)})</span>
+                <span className="matrix-hint">Earliest creation date left, arrival day right. Click a bar to book on that day.</span>
+              </div>
+              <div className="sweep-chart">
+                {sweep.days.map((day) => {
+                  const height = day.allowed && maxPercentage > 0 ? Math.max(4, (day.percentage || 0) / maxPercentage * 100) : 100;
+                  const isThreshold = sweep.thresholds.some((threshold) => threshold.creationDate === day.creationDate);
+                  return (
+                    <div
+                      key={day.creationDate}
+                      className={`sweep-column ${isThreshold ? 'threshold' : ''} ${day.creationDate === selectedCreationDate ? 'selected' : ''}`}
+                      title={`Booked ${day.creationDate} (${day.daysToArrival} days before arrival): ${
+                        day.allowed ? `rule ${day.winnerId} (${formatPercentage(day.percentage)})` : 'not allowed'
+                      }`}
+                      onClick={() => onBookingDateChange(parseISO(day.creationDate))}
+                    >
+                      <div
+                        className={`sweep-bar ${day.allowed ? '' : 'blocked'}`}
+                        style={{
+                          height: `${height}%`,
+                          backgroundColor: day.allowed ? ruleColours.get(day.winnerId) : undefined
+                        }}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+              <table className="explanation-table sweep-table">
+                <thead>
+                  <tr>
+                    <th>Booked</th>
+                    <th>Creation dates</th>
+                    <th>Winning rule</th>
+                    <th>Percentage</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sweep.segments.map((segment) => (
+                    <tr key={segment.from}>
+                      <td>{describeDays(segment.fromDays, segment.toDays)}</td>
+                      <td>{segment.from === segment.to ? segment.from : `${segment.from} – ${segment.to}`}</td>
+                      <td>{segment.allowed ? `Rule ${segment.winnerId}` : 'Not allowed'}</td>
+                      <td>{segment.allowed ? formatPercentage(segment.percentage) : '–'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {sweep.thresholds.length > 0 && (
+                <p className="sweep-thresholds">
+                  Lead-time thresholds (dashed): {sweep.thresholds
+                    .map((threshold) => `rule ${threshold.ruleId} matches from ${threshold.creationDate} (${threshold.daysToArrival} days before)`)
+                    .join(', ')}
+                </p>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React from 'react';
+
+/**
+ * ParseReportPanel lists what the parser found in the imported rules (XML,
+ * CSV or JSON): the product metadata (season, sales market, …) and every
+ * problem per rule with its line number. Rules with broken dates are
+ * ignored rather than failing the whole file, so this panel is where they
+ * show up.
+ */
+export default function ParseReportPanel({ reports, onRuleClick }) {
+  if (!reports || reports.length === 0) return null;
+  const withContent = reports.filter((report) =>
+    report.diagnostics.length > 0 || Object.keys(report.metadata).length > 0
+  );
+  if (withContent.length === 0) return null;
+
+  return (
+    <div className="parse-report">
+      <h3>Import report</h3>
+      {withContent.map((report) => {
+        const errorCount = report.diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length;
+        const warningCount = report.diagnostics.length - errorCount;
+        const metadata = Object.entries(report.metadata);
+        return (
+          <div key={report.source} className="parse-report-source">
+            <h4>
+              {report.source}
+              {report.diagnostics.length > 0 && (
+                <span className="parse-report-counts">
+                  {errorCount} error{errorCount === 1 ? '' : 's'}, {warningCount} warning{warningCount === 1 ? '' : 's'}
+                </span>
+              )}
+            </h4>
+            {metadata.length > 0 && (
+              <dl className="parse-report-metadata">
+                {metadata.map(([name, value]) => (
+                  <React.Fragment key={name}>
+                    <dt>{name}</dt>
+                    <dd>{value || '–'}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            )}
+            {report.diagnostics.length === 0 ? (
+              <p className="analysis-empty">No problems found.</p>
+            ) : (
+              <ul className="analysis-findings">
+                {report.diagnostics.map((diagnostic, index) => (
+                  <li
+                    key={`${diagnostic.ruleNumber}-${diagnostic.line}-${index}`}
+                    className={`analysis-finding ${diagnostic.severity}`}
+                  >
+                    <span className="finding-type">
+                      {diagnostic.line != null ? `Line ${diagnostic.line}` : 'File'}
+                    </span>
+                    <span className="finding-message">{diagnostic.message}</span>
+                    {diagnostic.ruleNumber != null && (
+                      <span className="finding-rules">
+                        {onRuleClick ? (
+                          <button className="finding-rule-link" onClick={() => onRuleClick(diagnostic.ruleNumber)}>
+                            Rule {diagnostic.ruleNumber}
+                          </button>
+                        ) : (
+                          `Rule ${diagnostic.ruleNumber}`
+                        )}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React from 'react';
+import { parsePriceCalendar } from '../utils/pricing.js';
+
+/**
+ * PriceCalendarLoader uploads a base nightly price calendar (CSV or JSON),
+ * used to turn rule percentages into stay prices.
+ */
+export default function PriceCalendarLoader({ priceCalendar, onCalendarLoaded }) {
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      onCalendarLoaded({ ...parsePriceCalendar(text, file.name), filename: file.name });
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to parse the price calendar: ${err.message}`);
+    }
+  };
+
+  const dates = priceCalendar ? Object.keys(priceCalendar.prices).sort() : [];
+
+  return (
+    <div className="upload-section">
+      <h3>Base price calendar (CSV or JSON)</h3>
+      <input type="file" accept=".csv,.json" onChange={handleFileChange} />
+      {priceCalendar && (
+        <p className="gap-summary">
+          {priceCalendar.filename}: {dates.length} nightly prices from {dates[0]} to {dates[dates.length - 1]}
+          {priceCalendar.currency && ` in ${priceCalendar.currency}`}
+          {' '}
+          <button className="finding-rule-link" onClick={() => onCalendarLoaded(null)}>Remove</button>
+        </p>
+      )}
+    </div>
+  );
+}
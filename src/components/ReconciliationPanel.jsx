@@ -0,0 +1,53 @@
+import React from 'react';
+import { formatLengths } from '../utils/reconciliation.js';
+import { RECONCILIATION_STATUS_LABELS } from '../utils/constants.js';
+
+/**
+ * ReconciliationPanel reports where the price rules and the APEX
+ * saleability disagree. Mismatched days are also highlighted in the
+ * saleability row of the Timeline.
+ */
+export default function ReconciliationPanel({ mismatches, isEnabled, onToggle, hasSaleability }) {
+  return (
+    <div className="coverage-gaps reconciliation">
+      <div className="matrix-header">
+        <h3>Rules vs APEX saleability</h3>
+        <button className="matrix-toggle" onClick={onToggle} disabled={!hasSaleability}>
+          {isEnabled ? 'Hide reconciliation' : 'Reconcile'}
+        </button>
+      </div>
+      {!hasSaleability && (
+        <p className="gap-summary">Fetch rules from the API to load saleability data first.</p>
+      )}
+      {isEnabled && mismatches && (
+        mismatches.length === 0 ? (
+          <p className="analysis-empty">Rules and APEX saleability agree on every upcoming day.</p>
+        ) : (
+          <table className="explanation-table">
+            <thead>
+              <tr>
+                <th>Dates</th>
+                <th>Days</th>
+                <th>Mismatch</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mismatches.map((range) => (
+                <tr key={`${range.from}-${range.status}`} className={`reconciliation-${range.status}`}>
+                  <td>{range.from === range.to ? range.from : `${range.from} → ${range.to}`}</td>
+                  <td>{range.dayCount}</td>
+                  <td>{RECONCILIATION_STATUS_LABELS[range.status]}</td>
+                  <td>
+                    {range.missingInRules.length > 0 && `APEX only: LOS ${formatLengths(range.missingInRules)}. `}
+                    {range.missingInApex.length > 0 && `Rules only: LOS ${formatLengths(range.missingInApex)}.`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )
+      )}
+    </div>
+  );
+}
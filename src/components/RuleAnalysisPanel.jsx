@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+
+const TYPE_LABELS = {
+  unreachable: 'Unreachable',
+  duplicate: 'Duplicate',
+  shadowed: 'Shadowed',
+  overlap: 'Conflicting overlap'
+};
+
+/**
+ * RuleAnalysisPanel lists the findings of the rule set analysis. Each
+ * finding links to the rules involved; clicking a rule scrolls the
+ * Timeline to its row.
+ */
+export default function RuleAnalysisPanel({ findings, onRuleClick }) {
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const counts = findings.reduce((acc, finding) => {
+    acc[finding.type] = (acc[finding.type] || 0) + 1;
+    return acc;
+  }, {});
+  const visibleFindings = typeFilter === 'all'
+    ? findings
+    : findings.filter((finding) => finding.type === typeFilter);
+
+  return (
+    <div className="rule-analysis">
+      <h3>Rule analysis</h3>
+      {findings.length === 0 ? (
+        <p className="analysis-empty">No overlaps, duplicates or unreachable rules found.</p>
+      ) : (
+        <>
+          <div className="analysis-filters">
+            <button
+              className={`analysis-filter ${typeFilter === 'all' ? 'active' : ''}`}
+              onClick={() => setTypeFilter('all')}
+            >
+              All ({findings.length})
+            </button>
+            {Object.keys(TYPE_LABELS).filter((type) => counts[type]).map((type) => (
+              <button
+                key={type}
+                className={`analysis-filter ${typeFilter === type ? 'active' : ''}`}
+                onClick={() => setTypeFilter(type)}
+              >
+                {TYPE_LABELS[type]} ({counts[type]})
+              </button>
+            ))}
+          </div>
+          <ul className="analysis-findings">
+            {visibleFindings.map((finding) => (
+              <li key={finding.id} className={`analysis-finding ${finding.severity}`}>
+                <span className="finding-type">{TYPE_LABELS[finding.type]}</span>
+                <span className="finding-message">{finding.message}</span>
+                <span className="finding-rules">
+                  {finding.ruleIds.map((ruleId) => (
+                    <button key={ruleId} className="finding-rule-link" onClick={() => onRuleClick(ruleId)}>
+                      Rule {ruleId}
+                    </button>
+                  ))}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
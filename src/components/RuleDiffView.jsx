@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import { parseISO } from 'date-fns';
+import RuleSetLoader from './RuleSetLoader.jsx';
+import Timeline from './Timeline.jsx';
+import { diffRuleSets, getDiffStatuses } from '../utils/ruleDiff.js';
+import { describeRule } from '../utils/ruleUtils.js';
+
+// First year covered by a rule set, used as the initial timeline year
+function firstYear(rules) {
+  if (rules.length === 0) return new Date().getFullYear();
+  return Math.min(...rules.map((rule) => parseISO(rule.from).getFullYear()));
+}
+
+/**
+ * RuleDiffView compares two rule sets (e.g. season 2026 against 2027, or
+ * yesterday's fetch against today's). Rules are paired semantically and
+ * the added, removed and modified rules are listed with their field-level
+ * changes, above the two timelines side by side.
+ */
+export default function RuleDiffView({ currentRules, diffSides, onDiffSideChange, isDarkMode }) {
+  const [yearOffset, setYearOffset] = useState(0);
+  const { base, compare } = diffSides;
+
+  const diff = useMemo(
+    () => (base && compare ? diffRuleSets(base.rules, compare.rules) : null),
+    [base, compare]
+  );
+  const statuses = useMemo(() => (diff ? getDiffStatuses(diff) : null), [diff]);
+
+  const renderTimeline = (side, sideStatuses) => (
+    <Timeline
+      rules={side.rules}
+      year={firstYear(side.rules) + yearOffset}
+      highlightedRuleIds={[]}
+      winningRuleIds={[]}
+      viewMode="year"
+      selectedMonth={0}
+      onMonthClick={() => {}}
+      diffStatuses={sideStatuses}
+      isDarkMode={isDarkMode}
+    />
+  );
+
+  return (
+    <div className="rule-diff">
+      <h3>Compare rule sets</h3>
+      <div className="diff-loaders">
+        <RuleSetLoader
+          title="Base"
+          currentRules={currentRules}
+          ruleSet={base}
+          onLoaded={(ruleSet) => onDiffSideChange('base', ruleSet)}
+        />
+        <RuleSetLoader
+          title="Compare"
+          currentRules={currentRules}
+          ruleSet={compare}
+          onLoaded={(ruleSet) => onDiffSideChange('compare', ruleSet)}
+        />
+      </div>
+
+      {diff && (
+        <>
+          <div className="diff-summary">
+            <span className="diff-badge added">+{diff.added.length} added</span>
+            <span className="diff-badge removed">−{diff.removed.length} removed</span>
+            <span className="diff-badge modified">~{diff.modified.length} modified</span>
+            <span className="diff-badge unchanged">{diff.unchanged.length} unchanged</span>
+          </div>
+
+          <ul className="diff-changes">
+            {diff.removed.map((rule) => (
+              <li key={`removed-${rule.id}`} className="diff-change removed">
+                <strong>Removed base rule {rule.id}:</strong> {describeRule(rule)}
+              </li>
+            ))}
+            {diff.added.map((rule) => (
+              <li key={`added-${rule.id}`} className="diff-change added">
+                <strong>Added compare rule {rule.id}:</strong> {describeRule(rule)}
+              </li>
+            ))}
+            {diff.modified.map(({ base: before, compare: after, changes }) => (
+              <li key={`modified-${before.id}-${after.id}`} className="diff-change modified">
+                <strong>Rule {before.id} → {after.id}:</strong>
+                <table className="explanation-table diff-fields">
+                  <tbody>
+                    {changes.map((change) => (
+                      <tr key={change.field}>
+                        <td>{change.label}</td>
+                        <td className="check-failed">{change.before}</td>
+                        <td className="diff-after">{change.after}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </li>
+            ))}
+          </ul>
+
+          <div className="year-selector">
+            <span className="year-label">Year offset:</span>
+            <div className="year-navigation">
+              <button className="year-nav-button" onClick={() => setYearOffset(yearOffset - 1)} title="Previous year">
+                ←
+              </button>
+              <span className="current-year">{yearOffset >= 0 ? `+${yearOffset}` : yearOffset}</span>
+              <button className="year-nav-button" onClick={() => setYearOffset(yearOffset + 1)} title="Next year">
+                →
+              </button>
+            </div>
+          </div>
+          <div className="diff-timelines">
+            <div>
+              <h4>{base.label}</h4>
+              {renderTimeline(base, statuses.base)}
+            </div>
+            <div>
+              <h4>{compare.label}</h4>
+              {renderTimeline(compare, statuses.compare)}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
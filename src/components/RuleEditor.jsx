@@ -0,0 +1,219 @@
+import React, { useEffect, useMemo } from 'react';
+import { diffRuleSets } from '../utils/ruleDiff.js';
+import {
+  updateRuleField, addRule, deleteRule, validateRule, undoEdit, redoEdit, applyEdit
+} from '../utils/ruleEditing.js';
+import { serialiseRules } from '../utils/ruleSerializer.js';
+import { rulesToCsv, rulesToJson } from '../utils/ruleFormats.js';
+import { downloadFile } from '../utils/download.js';
+import { WEEKDAY_NAMES } from '../utils/constants.js';
+
+/**
+ * RuleEditor turns the loaded rules into a what-if sandbox: fields can be
+ * changed, rules added, cloned or deleted, with undo and redo. The rest of
+ * the page (timeline, matrix, bookings, analysis) follows the edited set,
+ * while the loaded set is kept as the original to compare against. The
+ * current rules can be downloaded as product XML at any time, written
+ * into the document they were loaded from (ruleDocument) when there is one.
+ */
+export default function RuleEditor({
+  rules, history, onHistoryChange, onStartEditing, onDiscard, bookingDate, onCompare, ruleDocument
+}) {
+  const isEditing = history !== null;
+  const editedRules = isEditing ? history.present : rules;
+
+  const diff = useMemo(
+    () => (isEditing ? diffRuleSets(history.original, history.present) : null),
+    [isEditing, history]
+  );
+  const changeCount = diff ? diff.added.length + diff.removed.length + diff.modified.length : 0;
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y), except inside inputs,
+  // which keep their own text undo
+  useEffect(() => {
+    if (!isEditing) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        onHistoryChange(undoEdit(history));
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        onHistoryChange(redoEdit(history));
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isEditing, history, onHistoryChange]);
+
+  const edit = (nextRules, key) => {
+    // Rejected input (e.g. a half-typed date) leaves the set as it was; that is no undo step
+    if (nextRules === editedRules) return;
+    onHistoryChange(applyEdit(history, nextRules, key));
+  };
+  const setField = (rule, field, value) => edit(updateRuleField(editedRules, rule.id, field, value), `${rule.id}.${field}`);
+  const toggleWeekday = (rule, field, weekday) => {
+    const current = rule[field] || [];
+    const next = current.includes(weekday) ? current.filter((day) => day !== weekday) : [...current, weekday];
+    edit(updateRuleField(editedRules, rule.id, field, next));
+  };
+
+  const renderWeekdays = (rule, field) => (
+    <div className="weekday-toggles" title="None selected = any day">
+      {WEEKDAY_NAMES.map((name, index) => (
+        <button
+          key={name}
+          className={`weekday-toggle ${(rule[field] || []).includes(index + 1) ? 'active' : ''}`}
+          onClick={() => toggleWeekday(rule, field, index + 1)}
+        >
+          {name[0]}
+        </button>
+      ))}
+    </div>
+  );
+
+  const numberInput = (rule, field, step = '1') => (
+    <input
+      type="number"
+      step={step}
+      value={rule[field] ?? ''}
+      onChange={(e) => setField(rule, field, e.target.value)}
+      className="editor-number"
+    />
+  );
+
+  const handleDownload = (format) => {
+    const basename = isEditing ? 'price-rules-edited' : 'price-rules';
+    if (format === 'csv') {
+      downloadFile(`${basename}.csv`, rulesToCsv(editedRules), 'text/csv');
+    } else if (format === 'json') {
+      downloadFile(`${basename}.json`, rulesToJson(editedRules), 'application/json');
+    } else {
+      downloadFile(
+        `${basename}.xml`,
+        serialiseRules(editedRules, { source: ruleDocument?.xml, metadata: ruleDocument?.metadata }),
+        'application/xml'
+      );
+    }
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="rule-editor">
+        <div className="matrix-header">
+          <h3>What-if editor</h3>
+          <div className="editor-actions">
+            <button className="copy-button" onClick={() => handleDownload('xml')} disabled={rules.length === 0}>
+              Download XML
+            </button>
+            <button className="copy-button" onClick={() => handleDownload('csv')} disabled={rules.length === 0}>
+              Download CSV
+            </button>
+            <button className="copy-button" onClick={() => handleDownload('json')} disabled={rules.length === 0}>
+              Download JSON
+            </button>
+            <button className="matrix-toggle" onClick={onStartEditing} disabled={rules.length === 0}>
+              Edit rules
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="rule-editor editing">
+      <div className="matrix-header">
+        <h3>What-if editor</h3>
+        <div className="editor-actions">
+          <button className="copy-button" onClick={() => onHistoryChange(undoEdit(history))} disabled={history.past.length === 0}>
+            Undo
+          </button>
+          <button className="copy-button" onClick={() => onHistoryChange(redoEdit(history))} disabled={history.future.length === 0}>
+            Redo
+          </button>
+          <button className="copy-button" onClick={() => edit(addRule(editedRules, { startDate: bookingDate }).rules)}>
+            Add rule
+          </button>
+          <button className="copy-button" onClick={onCompare} disabled={changeCount === 0}>
+            Compare with original
+          </button>
+          <button className="copy-button" onClick={() => handleDownload('xml')}>
+            Download XML
+          </button>
+          <button className="copy-button" onClick={() => handleDownload('csv')}>
+            Download CSV
+          </button>
+          <button className="copy-button" onClick={() => handleDownload('json')}>
+            Download JSON
+          </button>
+          <button
+            className="matrix-toggle"
+            onClick={() => {
+              if (changeCount === 0 || window.confirm('Discard all edits and return to the loaded rules?')) {
+                onDiscard();
+              }
+            }}
+          >
+            Discard edits
+          </button>
+        </div>
+      </div>
+      <p className="editor-summary">
+        {changeCount === 0
+          ? 'No changes yet. Drag the edges of the timeline bars to move rule dates.'
+          : `${diff.modified.length} modified, ${diff.added.length} added, ${diff.removed.length} removed against the loaded rules.`}
+      </p>
+      <table className="explanation-table editor-table">
+        <thead>
+          <tr>
+            <th>Rule</th>
+            <th>From</th>
+            <th>To</th>
+            <th>%</th>
+            <th>Min stay</th>
+            <th>Max stay</th>
+            <th>Max days to arrival</th>
+            <th>Arrival</th>
+            <th>Departure</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {editedRules.map((rule) => {
+            const problems = validateRule(rule);
+            return (
+              <tr key={rule.id} className={problems.length > 0 ? 'editor-invalid' : ''} title={problems.join('; ')}>
+                <td>
+                  <span className="matrix-swatch" style={{ backgroundColor: rule.colour }} /> {rule.id}
+                </td>
+                <td>
+                  <input type="date" value={rule.from || ''} onChange={(e) => setField(rule, 'from', e.target.value)} />
+                </td>
+                <td>
+                  <input type="date" value={rule.to || ''} onChange={(e) => setField(rule, 'to', e.target.value)} />
+                </td>
+                <td>{numberInput(rule, 'percentage', '0.01')}</td>
+                <td>{numberInput(rule, 'minStay')}</td>
+                <td>{numberInput(rule, 'maxStay')}</td>
+                <td>{numberInput(rule, 'maxDaysToArrival')}</td>
+                <td>{renderWeekdays(rule, 'arrivalWeekdays')}</td>
+                <td>{renderWeekdays(rule, 'departureWeekdays')}</td>
+                <td className="editor-row-actions">
+                  <button className="explain-toggle" onClick={() => edit(addRule(editedRules, { template: rule }).rules)}>
+                    Clone
+                  </button>
+                  <button className="explain-toggle" onClick={() => edit(deleteRule(editedRules, rule.id))}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { parseRuleDocument } from '../utils/ruleUtils.js';
+import {
+  parseCsv,
+  guessCsvMapping,
+  csvToRuleDocument,
+  jsonToRuleDocument,
+  xmlSnippetToRuleDocument
+} from '../utils/ruleFormats.js';
+import { RULE_FIELDS } from '../utils/ruleFields.js';
+
+const PREVIEW_ROWS = 3;
+
+/**
+ * RuleImportPanel loads rules from a file (XML, CSV or JSON) or from XML
+ * pasted into a text area. CSV files go through a mapping step first, where
+ * each rule field is assigned a column. Every import hands a parse result
+ * to onDocumentLoaded, so the import report works the same for all formats.
+ */
+export default function RuleImportPanel({ onDocumentLoaded }) {
+  const [csvImport, setCsvImport] = useState(null); // { name, rows, mapping } while mapping columns
+  const [showPaste, setShowPaste] = useState(false);
+  const [pastedXml, setPastedXml] = useState('');
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    // Let the same file be picked again after editing it
+    event.target.value = '';
+    setCsvImport(null);
+
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.json')) {
+      onDocumentLoaded(file.name, jsonToRuleDocument(text));
+    } else if (name.endsWith('.csv') || name.endsWith('.tsv') || name.endsWith('.txt')) {
+      const { rows } = parseCsv(text);
+      if (rows.length < 2) {
+        onDocumentLoaded(file.name, csvToRuleDocument(rows, {}));
+        return;
+      }
+      setCsvImport({ name: file.name, rows, mapping: guessCsvMapping(rows[0].cells) });
+    } else {
+      onDocumentLoaded(file.name, parseRuleDocument(text));
+    }
+  };
+
+  const handlePasteLoad = () => {
+    onDocumentLoaded('Pasted XML', xmlSnippetToRuleDocument(pastedXml));
+  };
+
+  const setColumn = (key, value) => {
+    setCsvImport((prev) => ({
+      ...prev,
+      mapping: { ...prev.mapping, [key]: value === '' ? null : Number(value) }
+    }));
+  };
+
+  const handleCsvImport = () => {
+    onDocumentLoaded(csvImport.name, csvToRuleDocument(csvImport.rows, csvImport.mapping));
+    setCsvImport(null);
+  };
+
+  const headers = csvImport ? csvImport.rows[0].cells : [];
+  const previewRows = csvImport ? csvImport.rows.slice(1, PREVIEW_ROWS + 1) : [];
+  const missingRequired = csvImport
+    ? RULE_FIELDS.filter((field) => field.required && csvImport.mapping[field.key] == null).map((field) => field.key)
+    : [];
+
+  return (
+    <div className="upload-section rule-import">
+      <h3>Or upload a rule file (XML, CSV or JSON)</h3>
+      <div className="rule-import-sources">
+        <input type="file" accept=".xml,.csv,.tsv,.txt,.json" onChange={handleFileChange} />
+        <button className="matrix-toggle" onClick={() => setShowPaste((prev) => !prev)}>
+          {showPaste ? 'Hide XML paste' : 'Paste XML'}
+        </button>
+      </div>
+
+      {showPaste && (
+        <div className="rule-import-paste">
+          <textarea
+            value={pastedXml}
+            onChange={(e) => setPastedXml(e.target.value)}
+            placeholder="Paste a rule document or one or more <rule> elements"
+            rows={8}
+            spellCheck={false}
+          />
+          <button className="copy-button" onClick={handlePasteLoad} disabled={pastedXml.trim() === ''}>
+            Load pasted XML
+          </button>
+        </div>
+      )}
+
+      {csvImport && (
+        <div className="rule-import-mapping">
+          <h4>
+            Map the columns of {csvImport.name}
+            <span className="gap-summary"> ({csvImport.rows.length - 1} rows)</span>
+          </h4>
+          <div className="rule-import-fields">
+            {RULE_FIELDS.map((field) => (
+              <label key={field.key}>
+                <span>{field.key}{field.required ? ' *' : ''}</span>
+                <select
+                  value={csvImport.mapping[field.key] ?? ''}
+                  onChange={(e) => setColumn(field.key, e.target.value)}
+                >
+                  <option value="">— not mapped —</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <table className="rule-import-preview">
+            <thead>
+              <tr>
+                {RULE_FIELDS.map((field) => <th key={field.key}>{field.key}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.map((row) => (
+                <tr key={row.line}>
+                  {RULE_FIELDS.map((field) => {
+                    const column = csvImport.mapping[field.key];
+                    return <td key={field.key}>{column == null ? '–' : row.cells[column] ?? ''}</td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="gap-summary">
+            Unmapped columns are kept with the rule under their header name.
+          </p>
+
+          <div className="editor-actions">
+            <button className="copy-button" onClick={handleCsvImport} disabled={missingRequired.length > 0}>
+              Import {csvImport.rows.length - 1} rule{csvImport.rows.length === 2 ? '' : 's'}
+            </button>
+            <button className="matrix-toggle" onClick={() => setCsvImport(null)}>
+              Cancel
+            </button>
+            {missingRequired.length > 0 && (
+              <span className="rule-import-missing">Map {missingRequired.join(' and ')} to import</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { fetchPriceRulesFromAPI } from '../services/apiService.js';
+import { parseXmlRules } from '../utils/ruleUtils.js';
+
+/**
+ * RuleSetLoader loads one side of a rule set comparison: the rules
+ * currently on screen, a season fetched from the API, or an uploaded XML
+ * file. The loaded set is reported as { label, rules }.
+ */
+export default function RuleSetLoader({ title, currentRules, ruleSet, onLoaded }) {
+  const [accommodationCode, setAccommodationCode] = useState('');
+  const [season, setSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleUseCurrent = () => {
+    onLoaded({ label: 'Current rules', rules: currentRules });
+  };
+
+  const handleFetch = async () => {
+    if (!accommodationCode || !season) {
+      alert('Please fill in the accommodation code and season');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const rules = await fetchPriceRulesFromAPI(accommodationCode, { season, salesmarket: 999 });
+      onLoaded({ label: `${accommodationCode} ${season}`, rules });
+    } catch (error) {
+      console.error('Failed to fetch rules for comparison:', error);
+      alert(`Failed to fetch price rules from API: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      onLoaded({ label: file.name, rules: parseXmlRules(text) });
+    } catch (err) {
+      console.error(err);
+      alert('Failed to parse the uploaded file. Please ensure it is valid XML containing price rules.');
+    }
+  };
+
+  return (
+    <div className="rule-set-loader">
+      <h4>{title}: {ruleSet ? `${ruleSet.label} (${ruleSet.rules.length} rules)` : 'not loaded'}</h4>
+      <button className="copy-button" onClick={handleUseCurrent} disabled={currentRules.length === 0}>
+        Use current rules
+      </button>
+      <div className="loader-row">
+        <input
+          type="text"
+          value={accommodationCode}
+          onChange={(e) => setAccommodationCode(e.target.value)}
+          placeholder="e.g., FRA278"
+          className="api-input"
+        />
+        <input
+          type="number"
+          value={season}
+          onChange={(e) => setSeason(e.target.value)}
+          placeholder="Season"
+          className="api-input"
+        />
+        <button className="copy-button" onClick={handleFetch} disabled={isLoading}>
+          {isLoading ? 'Fetching...' : 'Fetch'}
+        </button>
+      </div>
+      <input type="file" accept=".xml" onChange={handleFileChange} />
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { fetchSnapshots, fetchSnapshotRules } from '../services/apiService.js';
+
+function formatTimestamp(iso) {
+  return new Date(iso).toLocaleString();
+}
+
+/**
+ * SnapshotHistory lists the rule set snapshots the server stored for a
+ * property, one per change of its rules, and opens any two of them in the
+ * rule set comparison.
+ */
+export default function SnapshotHistory({ onCompare }) {
+  const [propertyCode, setPropertyCode] = useState('');
+  const [season, setSeason] = useState('');
+  const [snapshots, setSnapshots] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleLoad = async () => {
+    if (!propertyCode) {
+      alert('Please fill in the accommodation code');
+      return;
+    }
+    setIsLoading(true);
+    try {
+      const list = await fetchSnapshots(propertyCode, season);
+      setSnapshots(list);
+      // Preselect the latest change: the newest snapshot against its predecessor
+      const latest = list[list.length - 1];
+      setCompareId(latest ? latest.id : null);
+      setBaseId(latest ? latest.previousId : null);
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+      alert(`Failed to load snapshots: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCompare = async () => {
+    const byId = new Map(snapshots.map((snapshot) => [snapshot.id, snapshot]));
+    const label = (snapshot) => `${propertyCode} ${snapshot.season} @ ${formatTimestamp(snapshot.fetchedAt)}`;
+    setIsLoading(true);
+    try {
+      const [baseRules, compareRules] = await Promise.all([
+        fetchSnapshotRules(propertyCode, baseId),
+        fetchSnapshotRules(propertyCode, compareId)
+      ]);
+      onCompare(
+        { label: label(byId.get(baseId)), rules: baseRules },
+        { label: label(byId.get(compareId)), rules: compareRules }
+      );
+    } catch (error) {
+      console.error('Failed to load snapshot rules:', error);
+      alert(`Failed to load snapshot rules: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="snapshot-history">
+      <h3>Rule set history</h3>
+      <div className="loader-row">
+        <input
+          type="text"
+          value={propertyCode}
+          onChange={(e) => setPropertyCode(e.target.value)}
+          placeholder="e.g., FRA278"
+          className="api-input"
+        />
+        <input
+          type="number"
+          value={season}
+          onChange={(e) => setSeason(e.target.value)}
+          placeholder="Season (all)"
+          className="api-input"
+        />
+        <button className="copy-button" onClick={handleLoad} disabled={isLoading}>
+          {isLoading ? 'Loading...' : 'Load snapshots'}
+        </button>
+      </div>
+
+      {snapshots && snapshots.length === 0 && (
+        <p className="analysis-empty">
+          No snapshots stored for {propertyCode} yet. Snapshots are taken whenever its price rules are fetched.
+        </p>
+      )}
+
+      {snapshots && snapshots.length > 0 && (
+        <>
+          <table className="explanation-table snapshot-table">
+            <thead>
+              <tr>
+                <th>Base</th>
+                <th>Compare</th>
+                <th>Season</th>
+                <th>Rules changed at</th>
+                <th>Last fetched</th>
+                <th>Fetches</th>
+                <th>Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...snapshots].reverse().map((snapshot) => (
+                <tr key={snapshot.id}>
+                  <td>
+                    <input
+                      type="radio"
+                      name="snapshot-base"
+                      checked={baseId === snapshot.id}
+                      onChange={() => setBaseId(snapshot.id)}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="radio"
+                      name="snapshot-compare"
+                      checked={compareId === snapshot.id}
+                      onChange={() => setCompareId(snapshot.id)}
+                    />
+                  </td>
+                  <td>{snapshot.season}</td>
+                  <td>
+                    {formatTimestamp(snapshot.fetchedAt)}
+                    {!snapshot.previousId && ' (first snapshot)'}
+                  </td>
+                  <td>{formatTimestamp(snapshot.lastFetchedAt)}</td>
+                  <td>{snapshot.fetchCount}</td>
+                  <td>{snapshot.source}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="copy-button"
+            onClick={handleCompare}
+            disabled={isLoading || !baseId || !compareId || baseId === compareId}
+          >
+            Compare selected snapshots
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
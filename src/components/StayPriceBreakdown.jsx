@@ -0,0 +1,44 @@
+import React from 'react';
+import { formatPrice } from '../utils/pricing.js';
+import { formatPercentage } from '../utils/ruleUtils.js';
+
+/**
+ * StayPriceBreakdown shows the per-night base price, the surcharge of the
+ * winning rule and the resulting stay total.
+ */
+export default function StayPriceBreakdown({ stayPrice, percentage }) {
+  const { nights, baseTotal, surchargeTotal, total, currency, missingDates } = stayPrice;
+  return (
+    <div className="booking-explanation">
+      <table className="explanation-table stay-price">
+        <thead>
+          <tr>
+            <th>Night</th>
+            <th>Base</th>
+            <th>Surcharge ({formatPercentage(percentage)})</th>
+            <th>Price</th>
+          </tr>
+        </thead>
+        <tbody>
+          {nights.map((night) => (
+            <tr key={night.date}>
+              <td>{night.date}</td>
+              <td>{formatPrice(night.basePrice, currency)}</td>
+              <td>{formatPrice(night.surcharge, currency)}</td>
+              <td>{formatPrice(night.price, currency)}</td>
+            </tr>
+          ))}
+          <tr className="explanation-winner">
+            <td>Total</td>
+            <td>{formatPrice(baseTotal, currency)}</td>
+            <td>{formatPrice(surchargeTotal, currency)}</td>
+            <td>{formatPrice(total, currency)}</td>
+          </tr>
+        </tbody>
+      </table>
+      {missingDates.length > 0 && (
+        <p className="not-allowed">No base price for {missingDates.join(', ')}; the total excludes these nights.</p>
+      )}
+    </div>
+  );
+}
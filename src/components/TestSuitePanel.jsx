@@ -0,0 +1,183 @@
+import React, { useMemo, useState } from 'react';
+import { normaliseSuite, runSuite } from '../utils/testSuites.js';
+import {
+  entriesToSuite, suiteToEntries, listSavedSuites, saveSuite, deleteSuite
+} from '../utils/suiteStorage.js';
+import { downloadFile } from '../utils/download.js';
+import BoundaryCaseGenerator from './BoundaryCaseGenerator.jsx';
+
+/**
+ * TestSuitePanel saves the booking tests, with their expected outcomes, as
+ * named suites per property in the browser, and imports or exports them as
+ * JSON (the format the CLI's `test` command runs). It also summarises how
+ * the current tests fare against the loaded rules, and can generate tests
+ * at the boundaries of every rule.
+ */
+export default function TestSuitePanel({
+  rules, bookingEntries, onEntriesChange, bookingDate, onBookingDateChange, precedence, onPrecedenceChange
+}) {
+  const [propertyCode, setPropertyCode] = useState('');
+  const [suiteName, setSuiteName] = useState('');
+  const [savedSuites, setSavedSuites] = useState(() => listSavedSuites());
+
+  const currentSuite = useMemo(
+    () => entriesToSuite({ name: suiteName, propertyCode, entries: bookingEntries, bookingDate, precedence }),
+    [suiteName, propertyCode, bookingEntries, bookingDate, precedence]
+  );
+
+  // Only tests with an expectation count towards pass/fail
+  const summary = useMemo(() => {
+    const asserted = {
+      ...currentSuite,
+      tests: currentSuite.tests.filter((test) => Object.keys(test.expected).length > 0)
+    };
+    return runSuite(rules, asserted, { bookingCreationDate: bookingDate, strategies: precedence });
+  }, [rules, currentSuite, bookingDate, precedence]);
+
+  const loadSuite = (suite) => {
+    const { entries, bookingDate: suiteDate, precedence: suitePrecedence } = suiteToEntries(suite);
+    onEntriesChange(entries.length > 0 ? entries : [{ startDate: '', length: '' }]);
+    if (suiteDate) onBookingDateChange(suiteDate);
+    if (suitePrecedence) onPrecedenceChange(suitePrecedence);
+    setSuiteName(suite.name);
+    setPropertyCode(suite.propertyCode || '');
+  };
+
+  const handleSave = () => {
+    if (!suiteName) {
+      alert('Please name the suite');
+      return;
+    }
+    try {
+      saveSuite(currentSuite);
+      setSavedSuites(listSavedSuites());
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  // Generated cases are saved under the suite name in the inputs above
+  const handleSaveGenerated = (entries) => {
+    if (!suiteName) {
+      alert('Please name the suite');
+      return;
+    }
+    try {
+      saveSuite(entriesToSuite({ name: suiteName, propertyCode, entries, bookingDate, precedence }));
+      setSavedSuites(listSavedSuites());
+      onEntriesChange(entries);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = (suite) => {
+    if (!window.confirm(`Delete suite "${suite.name}"?`)) return;
+    deleteSuite(suite.propertyCode, suite.name);
+    setSavedSuites(listSavedSuites());
+  };
+
+  const handleExport = () => {
+    const { name, propertyCode: code } = currentSuite;
+    const filename = `${[code, name || 'booking-tests'].filter(Boolean).join('-').replace(/\s+/g, '-')}.json`;
+    downloadFile(filename, JSON.stringify(currentSuite, null, 2), 'application/json');
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+      loadSuite(normaliseSuite(JSON.parse(await file.text())));
+    } catch (error) {
+      console.error(error);
+      alert(`Failed to import the suite: ${error.message}`);
+    }
+    event.target.value = '';
+  };
+
+  const visibleSuites = savedSuites.filter((suite) => !propertyCode || suite.propertyCode === propertyCode);
+  const failedResults = summary.results.filter((result) => !result.passed);
+
+  return (
+    <div className="test-suite-panel">
+      <h3>Test suites</h3>
+      <div className="loader-row">
+        <input
+          type="text"
+          value={propertyCode}
+          onChange={(e) => setPropertyCode(e.target.value)}
+          placeholder="Property, e.g. FRA278"
+          className="api-input"
+        />
+        <input
+          type="text"
+          value={suiteName}
+          onChange={(e) => setSuiteName(e.target.value)}
+          placeholder="Suite name"
+          className="api-input"
+        />
+        <button className="copy-button" onClick={handleSave}>Save suite</button>
+        <button className="copy-button" onClick={handleExport}>Export JSON</button>
+        <label className="suite-import">
+          Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} />
+        </label>
+      </div>
+
+      {rules.length > 0 && (
+        <BoundaryCaseGenerator
+          rules={rules}
+          bookingDate={bookingDate}
+          precedence={precedence}
+          onLoad={onEntriesChange}
+          onSaveSuite={handleSaveGenerated}
+        />
+      )}
+
+      {summary.total > 0 ? (
+        <p className={summary.failed > 0 ? 'test-fail' : 'test-pass'}>
+          {summary.passed} passed, {summary.failed} failed of {summary.total} tests with expectations
+        </p>
+      ) : (
+        <p className="analysis-empty">No test has an expected outcome yet.</p>
+      )}
+      {failedResults.length > 0 && (
+        <ul className="suite-failures">
+          {failedResults.map(({ test }) => (
+            <li key={`${test.startDate}-${test.length}-${test.name}`}>
+              {test.name} ({test.startDate}, {test.length} nights)
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {visibleSuites.length > 0 && (
+        <table className="explanation-table suite-table">
+          <thead>
+            <tr>
+              <th>Property</th>
+              <th>Suite</th>
+              <th>Tests</th>
+              <th>Saved</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleSuites.map((suite) => (
+              <tr key={`${suite.propertyCode}-${suite.name}`}>
+                <td>{suite.propertyCode || '–'}</td>
+                <td>{suite.name}</td>
+                <td>{suite.tests.length}</td>
+                <td>{suite.savedAt ? new Date(suite.savedAt).toLocaleString() : '–'}</td>
+                <td>
+                  <button className="copy-button" onClick={() => loadSuite(suite)}>Load</button>{' '}
+                  <button className="copy-button" onClick={() => handleDelete(suite)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,14 +1,31 @@
 import React, { useRef, useEffect, useState, useMemo } from 'react';
-import { parseISO, differenceInCalendarDays, format } from 'date-fns';
+import { parseISO, differenceInCalendarDays, format, addDays } from 'date-fns';
 import XMLPopup from './XMLPopup.jsx';
+import { formatWeekdays } from '../utils/ruleUtils.js';
+import { describeGap } from '../utils/coverageUtils.js';
+
+// Dates of a rule with the dragged edge moved, never past the other edge
+function getDraggedDates(rule, { edge, dayDelta }) {
+  const from = parseISO(rule.from);
+  const to = parseISO(rule.to);
+  if (edge === 'start') {
+    const moved = addDays(from, dayDelta);
+    return { from: format(moved > to ? to : moved, 'yyyy-MM-dd'), to: rule.to };
+  }
+  const moved = addDays(to, dayDelta);
+  return { from: rule.from, to: format(moved < from ? from : moved, 'yyyy-MM-dd') };
+}
 
 export default function Timeline({
-  rules, year, highlightedRuleIds, bookingCreationDate,
+  rules, year, highlightedRuleIds, winningRuleIds, focusedRuleId, bookingCreationDate,
   viewMode, selectedMonth, onMonthClick, onNavigateMonth, onBackToYear,
-  saleabilityData, isDarkMode, ruleYears
+  saleabilityData, coverageGaps, reconciliationDays, diffStatuses, isDarkMode, ruleYears, onRuleDatesChange
 }) {
   const isYearView = viewMode === 'year';
   const [selectedRule, setSelectedRule] = useState(null); // For XML popup
+  // Bar edge being dragged in the rule editor: { ruleId, edge, startX, pxPerDay, dayDelta }
+  const [drag, setDrag] = useState(null);
+  const dragRef = useRef(null);
 
   // 1. 用 ref 拿 info 和 bar 宽度
   const infoRef = useRef(null);
@@ -27,6 +44,13 @@ export default function Timeline({
     return () => window.removeEventListener('resize', updateWidths);
   }, []);
 
+  // Scroll a rule row into view when it is focused from elsewhere (e.g. the analysis panel)
+  useEffect(() => {
+    if (focusedRuleId == null) return;
+    const row = document.getElementById(`rule-row-${focusedRuleId}`);
+    if (row) row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusedRuleId, year, viewMode]);
+
   // 3. 时间范围
   const { start, end, totalDays } = useMemo(() => {
     if (isYearView) {
@@ -74,6 +98,15 @@ export default function Timeline({
     return ticks;
   }, [year, start, isYearView, selectedMonth, totalDays]);
 
+  // Reconciliation status per date, for highlighting mismatches in the saleability row
+  const reconciliationByDate = useMemo(() => {
+    const byDate = {};
+    (reconciliationDays || []).forEach((day) => {
+      if (day.status !== 'match') byDate[day.date] = day.status;
+    });
+    return byDate;
+  }, [reconciliationDays]);
+
   // 5. booking creation 红线逻辑
   const bookingDatePosition = useMemo(() => {
     if (!bookingCreationDate) return null;
@@ -82,6 +115,41 @@ export default function Timeline({
     return (dayIndex / totalDays) * 100; // Return percentage directly
   }, [bookingCreationDate, start, totalDays]);
 
+  // Follow the mouse while a bar edge is dragged and commit the new date
+  // once on release, so a whole drag is a single undo step
+  const isDragging = drag !== null;
+  useEffect(() => {
+    if (!isDragging) return undefined;
+    const handleMove = (event) => {
+      const current = dragRef.current;
+      const next = { ...current, dayDelta: Math.round((event.clientX - current.startX) / current.pxPerDay) };
+      dragRef.current = next;
+      setDrag(next);
+    };
+    const handleUp = () => {
+      const { ruleId, dayDelta } = dragRef.current;
+      const rule = rules.find((r) => r.id === ruleId);
+      if (rule && dayDelta !== 0) onRuleDatesChange(ruleId, getDraggedDates(rule, dragRef.current));
+      dragRef.current = null;
+      setDrag(null);
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [isDragging, rules, onRuleDatesChange]);
+
+  const startDrag = (event, ruleId, edge) => {
+    event.preventDefault();
+    event.stopPropagation();
+    const containerWidth = event.currentTarget.closest('.rule-bar-container').getBoundingClientRect().width;
+    const next = { ruleId, edge, startX: event.clientX, pxPerDay: containerWidth / totalDays, dayDelta: 0 };
+    dragRef.current = next;
+    setDrag(next);
+  };
+
   return (
     <div className="timeline-wrapper">
       {/* Month nav */}
@@ -159,7 +227,10 @@ export default function Timeline({
             <div className="rule-info">
               <div className="rule-title">Saleability From APEX</div>
               <div className="rule-dates">Saleable dates</div>
-              <div className="rule-details">{isDarkMode ? 'White' : 'Black'} = Saleable</div>
+              <div className="rule-details">
+                {isDarkMode ? 'White' : 'Black'} = Saleable
+                {reconciliationDays && ', red = disagrees with rules'}
+              </div>
             </div>
             <div className="rule-bar-container">
               {/* Render availability blocks */}
@@ -171,20 +242,21 @@ export default function Timeline({
                 // Check if this date has any availability
                 const hasAvailability = saleabilityData.data?.saleability?.[dateKey] && 
                                       saleabilityData.data.saleability[dateKey].length > 0;
+                const mismatch = reconciliationByDate[dateKey];
                 
-                if (hasAvailability) {
+                if (hasAvailability || mismatch) {
                   const barLeft = (dayIndex / totalDays) * 100;
                   const barWidth = (1 / totalDays) * 100;
                   
                   return (
                     <div
                       key={dayIndex}
-                      className="available-day"
+                      className={`${hasAvailability ? 'available-day' : 'unavailable-day'} ${mismatch ? `mismatch-${mismatch}` : ''}`}
                       style={{
                         left: `${barLeft}%`,
                         width: `${barWidth}%`,
                       }}
-                      title={`${dateKey} - Available`}
+                      title={`${dateKey} - ${hasAvailability ? 'Available' : 'Not saleable'}${mismatch ? ' (disagrees with rules)' : ''}`}
                     />
                   );
                 }
@@ -194,7 +266,39 @@ export default function Timeline({
           </div>
         )}
         
-        {rules.map((rule) => {
+        {/* Coverage gaps overlay */}
+        {coverageGaps && coverageGaps.length > 0 && (
+          <div className="availability-overlay-row">
+            <div className="rule-info">
+              <div className="rule-title">Coverage gaps</div>
+              <div className="rule-dates">{coverageGaps.length} uncovered regions</div>
+              <div className="rule-details">Hatched = no rule allows the arrival</div>
+            </div>
+            <div className="rule-bar-container">
+              {coverageGaps.map((gap) => {
+                const gapStartIdx = Math.max(0, differenceInCalendarDays(parseISO(gap.from), start));
+                const gapEndIdx = Math.min(totalDays - 1, differenceInCalendarDays(parseISO(gap.to), start));
+                if (gapStartIdx > gapEndIdx) return null;
+                return (
+                  <div
+                    key={gap.id}
+                    className="coverage-gap"
+                    style={{
+                      left: `${(gapStartIdx / totalDays) * 100}%`,
+                      width: `${((gapEndIdx - gapStartIdx + 1) / totalDays) * 100}%`,
+                    }}
+                    title={describeGap(gap)}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {rules.map((ruleAsLoaded) => {
+          const rule = drag && drag.ruleId === ruleAsLoaded.id
+            ? { ...ruleAsLoaded, ...getDraggedDates(ruleAsLoaded, drag) }
+            : ruleAsLoaded;
           let ruleStartIdx = differenceInCalendarDays(parseISO(rule.from), start);
           let ruleEndIdx = differenceInCalendarDays(parseISO(rule.to), start);
           
@@ -219,11 +323,16 @@ export default function Timeline({
           
           if (!ruleIntersects && !shadowIntersects) return null;
           
+          // Edges inside the view can be dragged when editing
+          const canDragStart = onRuleDatesChange && ruleStartIdx >= 0;
+          const canDragEnd = onRuleDatesChange && ruleEndIdx <= totalDays - 1;
           ruleStartIdx = Math.max(0, ruleStartIdx);
           ruleEndIdx = Math.min(totalDays - 1, ruleEndIdx);
           const barLeft = (ruleStartIdx / totalDays) * 100;
           const barWidthPercent = ((ruleEndIdx - ruleStartIdx + 1) / totalDays) * 100;
-          const highlight = highlightedRuleIds && highlightedRuleIds.includes(rule.id);
+          const isWinner = winningRuleIds && winningRuleIds.includes(rule.id);
+          const highlight = !isWinner && highlightedRuleIds && highlightedRuleIds.includes(rule.id);
+          const diffStatus = diffStatuses ? diffStatuses[rule.id] : null;
           
           // Calculate max days to arrival shadow if applicable
           let shadowOverlay = null;
@@ -256,13 +365,22 @@ export default function Timeline({
           }
           
           return (
-            <div className="rule-row" key={rule.id}>
+            <div
+              className={`rule-row ${rule.id === focusedRuleId ? 'focused' : ''}`}
+              key={rule.id}
+              id={`rule-row-${rule.id}`}
+            >
               <div 
                 className="rule-info clickable-rule"
                 onClick={() => setSelectedRule(rule)}
                 title="Click to view original XML"
               >
-                <div className="rule-title">Rule {rule.id}</div>
+                <div className="rule-title">
+                  Rule {rule.id}
+                  {diffStatus && diffStatus !== 'unchanged' && (
+                    <span className={`diff-badge ${diffStatus}`}>{diffStatus}</span>
+                  )}
+                </div>
                 <div className="rule-dates">
                   {format(parseISO(rule.from), 'yyyy-MM-dd')} – {format(parseISO(rule.to), 'yyyy-MM-dd')}
                 </div>
@@ -272,20 +390,40 @@ export default function Timeline({
                     ? `, Max days to arrival ${rule.maxDaysToArrival}`
                     : ', No max days to arrival'}
                 </div>
+                <div className="rule-details">
+                  Arrival {formatWeekdays(rule.arrivalWeekdays)}, Departure {formatWeekdays(rule.departureWeekdays)}
+                </div>
               </div>
               <div className="rule-bar-container">
                 {shadowOverlay}
                 {ruleIntersects && (
                   <div
-                    className={`rule-bar ${highlight ? 'highlight' : ''} clickable-rule`}
+                    className={`rule-bar ${isWinner ? 'winner' : highlight ? 'highlight' : ''} ${diffStatus ? `diff-${diffStatus}` : ''} clickable-rule`}
                     style={{
                       left: `${barLeft}%`,
                       width: `${barWidthPercent}%`,
                       backgroundColor: rule.colour,
                     }}
-                    title={`Rule ${rule.id} - Click to view XML`}
-                    onClick={() => setSelectedRule(rule)}
-                  ></div>
+                    title={`Rule ${rule.id}${isWinner ? ' (applied)' : highlight ? ' (matched, overridden)' : ''} - Click to view XML`}
+                    onClick={() => setSelectedRule(ruleAsLoaded)}
+                  >
+                    {canDragStart && (
+                      <div
+                        className="rule-bar-handle start"
+                        title="Drag to move the start date"
+                        onMouseDown={(e) => startDrag(e, rule.id, 'start')}
+                        onClick={(e) => e.stopPropagation()}
+                      />
+                    )}
+                    {canDragEnd && (
+                      <div
+                        className="rule-bar-handle end"
+                        title="Drag to move the end date"
+                        onMouseDown={(e) => startDrag(e, rule.id, 'end')}
+                        onClick={(e) => e.stopPropagation()}
+                      />
+                    )}
+                  </div>
                 )}
               </div>
             </div>
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import {
+  fetchWatchStatus,
+  addWatchedProperty,
+  removeWatchedProperty,
+  runWatchChecksNow
+} from '../services/apiService.js';
+
+const EVENT_LABELS = {
+  baseline: 'First check',
+  rulesChanged: 'Rules changed',
+  saleabilityChanged: 'Saleability changed',
+  newIssues: 'New issues',
+  resolvedIssues: 'Resolved',
+  checkFailed: 'Check failed'
+};
+
+function formatTimestamp(iso) {
+  return iso ? new Date(iso).toLocaleString() : 'never';
+}
+
+/**
+ * WatcherPanel manages the properties the server re-checks on a schedule
+ * and shows what the checks found: rule and saleability changes, and
+ * issues that appeared or were resolved since the previous check.
+ */
+export default function WatcherPanel() {
+  const [status, setStatus] = useState(null);
+  const [propertyCode, setPropertyCode] = useState('');
+  const [season, setSeason] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await fetchWatchStatus());
+      setError('');
+    } catch (err) {
+      console.warn('Failed to load watcher status:', err.message);
+      setError(`Watcher unavailable: ${err.message}`);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const handleAdd = async () => {
+    if (!propertyCode || !season) {
+      alert('Please fill in the accommodation code and season');
+      return;
+    }
+    try {
+      await addWatchedProperty(propertyCode, parseInt(season, 10));
+      setPropertyCode('');
+      await loadStatus();
+    } catch (err) {
+      alert(`Failed to watch property: ${err.message}`);
+    }
+  };
+
+  const handleRemove = async (watchId) => {
+    try {
+      await removeWatchedProperty(watchId);
+      await loadStatus();
+    } catch (err) {
+      alert(`Failed to stop watching: ${err.message}`);
+    }
+  };
+
+  const handleRunNow = async () => {
+    setIsRunning(true);
+    try {
+      await runWatchChecksNow();
+      await loadStatus();
+    } catch (err) {
+      alert(`Watcher check failed: ${err.message}`);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="watcher-panel">
+      <h3>Watched properties</h3>
+      {error && <p className="analysis-empty">{error}</p>}
+      {status && (
+        <p className="watcher-schedule">
+          {status.intervalMinutes > 0 ? `Checked every ${status.intervalMinutes} min` : 'Scheduled checks are disabled'}
+          {' · '}
+          {status.webhookConfigured ? 'new issues are sent to the webhook' : 'no alert webhook configured'}
+        </p>
+      )}
+
+      <div className="loader-row">
+        <input
+          type="text"
+          value={propertyCode}
+          onChange={(e) => setPropertyCode(e.target.value)}
+          placeholder="e.g., FRA278"
+          className="api-input"
+        />
+        <input
+          type="number"
+          value={season}
+          onChange={(e) => setSeason(e.target.value)}
+          placeholder="Season"
+          className="api-input"
+        />
+        <button className="copy-button" onClick={handleAdd}>Watch</button>
+        <button className="copy-button" onClick={handleRunNow} disabled={isRunning || !status || status.properties.length === 0}>
+          {isRunning ? 'Checking...' : 'Check now'}
+        </button>
+      </div>
+
+      {status && status.properties.length > 0 && (
+        <table className="explanation-table watcher-table">
+          <thead>
+            <tr>
+              <th>Property</th>
+              <th>Season</th>
+              <th>Last checked</th>
+              <th>Open issues</th>
+              <th>Status</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {status.properties.map((watch) => (
+              <tr key={watch.id}>
+                <td>{watch.propertyCode}</td>
+                <td>{watch.season}</td>
+                <td>{formatTimestamp(watch.lastCheckedAt)}</td>
+                <td>{watch.issues ? watch.issues.length : '–'}</td>
+                <td className={watch.lastError ? 'check-failed' : ''}>{watch.lastError || 'OK'}</td>
+                <td>
+                  <button className="copy-button" onClick={() => handleRemove(watch.id)}>Remove</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {status && status.events.length > 0 && (
+        <>
+          <h4>Recent events</h4>
+          <ul className="watcher-events">
+            {status.events.map((event, index) => (
+              <li key={`${event.at}-${index}`} className={`watcher-event ${event.type}`}>
+                <strong>{formatTimestamp(event.at)} · {event.propertyCode} {event.season} · {EVENT_LABELS[event.type] || event.type}:</strong>{' '}
+                {event.message}
+                {event.details && (
+                  <ul>
+                    {event.details.map((issue) => (
+                      <li key={issue.key}>{issue.message}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
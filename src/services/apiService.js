@@ -1,16 +1,40 @@
-import { parseXmlRules } from '../utils/ruleUtils.js';
+import { parseXmlRules, parseRuleDocument } from '../utils/ruleUtils.js';
+
+/**
+ * Read the server cache details of a price rules or saleability response.
+ * @param {Response} response Fetch response
+ * @returns {Object|null} { status: 'hit'|'miss'|'bypass', storedAt, ageSeconds,
+ *   ttlSeconds, source } or null when the server sent no cache headers
+ */
+function readCacheInfo(response) {
+  const status = response.headers.get('X-Cache');
+  if (!status) return null;
+  return {
+    status: status.toLowerCase(),
+    storedAt: response.headers.get('X-Cache-Stored-At'),
+    ageSeconds: Number(response.headers.get('X-Cache-Age')),
+    ttlSeconds: Number(response.headers.get('X-Cache-TTL')),
+    source: response.headers.get('X-Upstream-Source')
+  };
+}
 
 /**
  * Fetch price rules from API endpoint
  * @param {string} accommodationCode The accommodation code
  * @param {Object} payload The request payload
+ * @param {Object} options
+ * @param {boolean} options.refresh Skip the server cache
+ * @param {Function} options.onCacheInfo Called with the server cache details
+ * @param {Function} options.onParseReport Called with { metadata, diagnostics, xml } of the XML
  * @returns {Promise<Array>} Array of rule objects
  */
-export async function fetchPriceRulesFromAPI(accommodationCode, payload) {
+export async function fetchPriceRulesFromAPI(
+  accommodationCode, payload, { refresh = false, onCacheInfo, onParseReport } = {}
+) {
   // Use your Express API route (running on port 3001)
   // The Express server handles the API key authentication
   const response = await fetch(
-    `http://localhost:3001/api/price-rules/${accommodationCode}?season=${payload.season}&salesmarket=${payload.salesmarket || 999}`,
+    `http://localhost:3001/api/price-rules/${accommodationCode}?season=${payload.season}&salesmarket=${payload.salesmarket || 999}${refresh ? '&refresh=true' : ''}`,
     {
       method: 'GET',
       headers: {
@@ -23,20 +47,27 @@ export async function fetchPriceRulesFromAPI(accommodationCode, payload) {
     throw new Error(`API request failed: ${response.status} ${response.statusText}`);
   }
   
+  if (onCacheInfo) onCacheInfo(readCacheInfo(response));
   const xmlText = await response.text();
-  return parseXmlRules(xmlText);
+  if (!onParseReport) return parseXmlRules(xmlText);
+  const { rules, metadata, diagnostics, xml } = parseRuleDocument(xmlText);
+  onParseReport({ metadata, diagnostics, xml });
+  return rules;
 }
 
 /**
  * Fetch saleability data from API endpoint
  * @param {string} propertyCode The property code
+ * @param {Object} options
+ * @param {boolean} options.refresh Skip the server cache
+ * @param {Function} options.onCacheInfo Called with the server cache details
  * @returns {Promise<Object>} Saleability data object
  */
-export async function fetchSaleabilityFromAPI(propertyCode) {
+export async function fetchSaleabilityFromAPI(propertyCode, { refresh = false, onCacheInfo } = {}) {
   // Use your Express API route (running on port 3001)
   // The Express server handles the API key authentication
   const response = await fetch(
-    `http://localhost:3001/api/saleability/${propertyCode}`,
+    `http://localhost:3001/api/saleability/${propertyCode}${refresh ? '?refresh=true' : ''}`,
     {
       method: 'GET',
       headers: {
@@ -49,21 +80,143 @@ export async function fetchSaleabilityFromAPI(propertyCode) {
     throw new Error(`Saleability API request failed: ${response.status} ${response.statusText}`);
   }
   
+  if (onCacheInfo) onCacheInfo(readCacheInfo(response));
   const data = await response.json();
   return data;
 }
 
+/**
+ * List the stored rule set snapshots of a property, oldest first
+ * @param {string} propertyCode The property code
+ * @param {string} season Optional season to filter on
+ * @returns {Promise<Array>} Snapshot metadata ({ id, season, salesmarket,
+ *   fetchedAt, lastFetchedAt, fetchCount, source, hash, previousId })
+ */
+export async function fetchSnapshots(propertyCode, season) {
+  const query = season ? `?season=${season}` : '';
+  const response = await fetch(`http://localhost:3001/api/snapshots/${propertyCode}${query}`);
+  
+  if (!response.ok) {
+    throw new Error(`Snapshot list request failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  return data.snapshots;
+}
+
+/**
+ * Load the rules of a stored snapshot
+ * @param {string} propertyCode The property code
+ * @param {string} snapshotId The snapshot id
+ * @returns {Promise<Array>} Array of rule objects
+ */
+export async function fetchSnapshotRules(propertyCode, snapshotId) {
+  const response = await fetch(`http://localhost:3001/api/snapshots/${propertyCode}/${snapshotId}`);
+  
+  if (!response.ok) {
+    throw new Error(`Snapshot request failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const snapshot = await response.json();
+  return parseXmlRules(snapshot.body);
+}
+
+/**
+ * Fetch the watched properties, their last check and the recent watcher events
+ * @returns {Promise<Object>} { intervalMinutes, webhookConfigured, properties, events }
+ */
+export async function fetchWatchStatus() {
+  const response = await fetch('http://localhost:3001/api/watch');
+  
+  if (!response.ok) {
+    throw new Error(`Watcher status request failed: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Register a property season with the watcher
+ * @param {string} propertyCode The property code
+ * @param {number} season The season year
+ * @returns {Promise<Object>} The registration
+ */
+export async function addWatchedProperty(propertyCode, season) {
+  const response = await fetch('http://localhost:3001/api/watch', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ propertyCode, season, salesmarket: 999 })
+  });
+  
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Watcher registration failed: ${response.status} ${response.statusText}`);
+  }
+  
+  return response.json();
+}
+
+/**
+ * Stop watching a property season
+ * @param {string} watchId The registration id
+ */
+export async function removeWatchedProperty(watchId) {
+  const response = await fetch(`http://localhost:3001/api/watch/${watchId}`, { method: 'DELETE' });
+  
+  if (!response.ok) {
+    throw new Error(`Watcher removal failed: ${response.status} ${response.statusText}`);
+  }
+}
+
+/**
+ * Check all watched properties now instead of waiting for the schedule
+ * @returns {Promise<Array>} Events recorded by the check
+ */
+export async function runWatchChecksNow() {
+  const response = await fetch('http://localhost:3001/api/watch/run', { method: 'POST' });
+  
+  if (!response.ok) {
+    throw new Error(`Watcher run failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  return data.events;
+}
+
+/**
+ * Clear the server cache of price rules and saleability responses
+ * @returns {Promise<number>} Number of cache entries removed
+ */
+export async function clearServerCache() {
+  const response = await fetch('http://localhost:3001/api/cache', { method: 'DELETE' });
+  
+  if (!response.ok) {
+    throw new Error(`Cache clear request failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const data = await response.json();
+  return data.removed;
+}
+
 /**
  * Test checkout availability for a specific booking
  * @param {string} propertyCode The property code
  * @param {string} startDate The start date (YYYY-MM-DD)
  * @param {number} lengthOfStay The length of stay in nights
+ * @param {Object} options Guests, pets, brand, locale, sales market and amount
+ *   (see DEFAULT_CHECKOUT_OPTIONS); omitted values use the server defaults
  * @returns {Promise<Object>} Checkout availability result
  */
-export async function testCheckoutAvailability(propertyCode, startDate, lengthOfStay) {
+export async function testCheckoutAvailability(propertyCode, startDate, lengthOfStay, options = {}) {
+  const params = new URLSearchParams({ startDate, lengthOfStay: String(lengthOfStay) });
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') params.set(key, String(value));
+  });
   // Use your Express API route (running on port 3001)
   const response = await fetch(
-    `http://localhost:3001/api/pdp/${propertyCode}?startDate=${startDate}&lengthOfStay=${lengthOfStay}`,
+    `http://localhost:3001/api/pdp/${propertyCode}?${params.toString()}`,
     {
       method: 'GET',
       headers: {
@@ -79,3 +232,52 @@ export async function testCheckoutAvailability(propertyCode, startDate, lengthOf
   const data = await response.json();
   return data;
 }
+
+/**
+ * Run a batch of checkout probes on the server. The server streams one
+ * JSON message per line; each finished probe is passed to onResult as it
+ * arrives.
+ * @param {string} propertyCode The property code
+ * @param {Array} probes Bookings as { startDate, lengthOfStay }
+ * @param {Object} options
+ * @param {Object} options.probeOptions Guest and market parameters shared by all probes
+ * @param {number} options.concurrency Maximum probes in flight on the server
+ * @param {Function} options.onResult Called with each result message
+ * @param {AbortSignal} options.signal Signal to cancel the batch
+ * @returns {Promise<number>} Number of completed probes
+ */
+export async function runBatchCheckout(propertyCode, probes, { probeOptions, concurrency, onResult, signal } = {}) {
+  const response = await fetch(
+    `http://localhost:3001/api/pdp/${propertyCode}/batch`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ probes, concurrency, options: probeOptions }),
+      signal
+    }
+  );
+  
+  if (!response.ok) {
+    throw new Error(`Batch checkout request failed: ${response.status} ${response.statusText}`);
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let completed = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.filter(Boolean).forEach((line) => {
+      const message = JSON.parse(line);
+      if (message.type === 'result' && onResult) onResult(message);
+      if (message.type === 'done') completed = message.completed;
+    });
+  }
+  return completed;
+}
@@ -0,0 +1,146 @@
+import { addDays, format, parseISO } from 'date-fns';
+import { isoWeekday, getDepartureDate } from './ruleUtils.js';
+import { runBookingTest } from './testSuites.js';
+
+// How far to look for an arrival with permitted arrival and departure weekdays
+const WEEKDAY_SEARCH_DAYS = 14;
+
+function toIso(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+function allowsWeekday(weekdays, date) {
+  return !weekdays || weekdays.length === 0 || weekdays.includes(isoWeekday(date));
+}
+
+function fitsWeekdays(rule, arrival, length) {
+  return allowsWeekday(rule.arrivalWeekdays, arrival) &&
+    allowsWeekday(rule.departureWeekdays, getDepartureDate(toIso(arrival), length));
+}
+
+// First (step 1) or last (step -1) arrival from `start` within the rule
+// range whose arrival and departure weekdays the rule permits
+function findArrival(rule, start, length, step) {
+  const from = parseISO(rule.from);
+  const to = parseISO(rule.to);
+  for (let i = 0; i < WEEKDAY_SEARCH_DAYS; i++) {
+    const date = addDays(start, i * step);
+    if (date < from || date > to) return null;
+    if (fitsWeekdays(rule, date, length)) return date;
+  }
+  return null;
+}
+
+// A stay length the rule allows with some arrival near its start, so date
+// boundaries are probed with a booking that otherwise passes
+function baseLength(rule) {
+  const min = rule.minStay || 1;
+  const max = rule.maxStay || min + 6;
+  for (let length = min; length <= Math.min(max, min + 6); length++) {
+    if (findArrival(rule, parseISO(rule.from), length, 1)) return length;
+  }
+  return min;
+}
+
+/**
+ * Propose the bookings that probe the edges of each rule:
+ *   - the first and last permitted arrival, and the days just outside the
+ *     rule's date range
+ *   - stays of minStay - 1, minStay, maxStay and maxStay + 1 nights
+ *   - arrivals a day either side of a permitted arrival weekday, and stays
+ *     a night shorter or longer than one ending on a permitted departure
+ *     weekday
+ *   - arrivals exactly maxDaysToArrival and one day more after the booking
+ *     creation date
+ * Cases for the same booking are merged, keeping every reason.
+ * @param {Array} rules The price rules
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @returns {Array} Cases as { name, startDate, length, ruleIds }, by date
+ */
+export function generateBoundaryCases(rules, { bookingCreationDate }) {
+  const cases = new Map();
+  const addCase = (rule, reason, date, length) => {
+    if (!date || !length || length < 1) return;
+    const startDate = toIso(date);
+    const key = `${startDate}|${length}`;
+    const label = `Rule ${rule.id}: ${reason}`;
+    const existing = cases.get(key);
+    if (existing) {
+      existing.reasons.push(label);
+      if (!existing.ruleIds.includes(rule.id)) existing.ruleIds.push(rule.id);
+    } else {
+      cases.set(key, { startDate, length, reasons: [label], ruleIds: [rule.id] });
+    }
+  };
+
+  rules.forEach((rule) => {
+    if (!rule.from || !rule.to) return;
+    const from = parseISO(rule.from);
+    const to = parseISO(rule.to);
+    const length = baseLength(rule);
+    const firstArrival = findArrival(rule, from, length, 1);
+    const lastArrival = findArrival(rule, to, length, -1);
+
+    addCase(rule, 'first arrival', firstArrival, length);
+    addCase(rule, 'last arrival', lastArrival, length);
+    addCase(rule, 'day before range', addDays(from, -1), length);
+    addCase(rule, 'day after range', addDays(to, 1), length);
+
+    const losArrival = firstArrival || from;
+    if (rule.minStay) {
+      addCase(rule, 'minStay - 1', losArrival, rule.minStay - 1);
+      addCase(rule, 'minStay', losArrival, rule.minStay);
+    }
+    if (rule.maxStay) {
+      addCase(rule, 'maxStay', losArrival, rule.maxStay);
+      addCase(rule, 'maxStay + 1', losArrival, rule.maxStay + 1);
+    }
+
+    if (firstArrival && rule.arrivalWeekdays && rule.arrivalWeekdays.length > 0 && rule.arrivalWeekdays.length < 7) {
+      [-1, 1].forEach((offset) => {
+        const date = addDays(firstArrival, offset);
+        if (!allowsWeekday(rule.arrivalWeekdays, date)) {
+          addCase(rule, `arrival weekday edge (${offset < 0 ? 'day before' : 'day after'})`, date, length);
+        }
+      });
+    }
+    if (firstArrival && rule.departureWeekdays && rule.departureWeekdays.length > 0 && rule.departureWeekdays.length < 7) {
+      [-1, 1].forEach((offset) => {
+        const departure = getDepartureDate(toIso(firstArrival), length + offset);
+        if (!allowsWeekday(rule.departureWeekdays, departure)) {
+          addCase(rule, `departure weekday edge (${offset < 0 ? 'night shorter' : 'night longer'})`, firstArrival, length + offset);
+        }
+      });
+    }
+
+    if (rule.maxDaysToArrival != null && bookingCreationDate) {
+      addCase(rule, 'last day within maxDaysToArrival', addDays(bookingCreationDate, rule.maxDaysToArrival), length);
+      addCase(rule, 'first day beyond maxDaysToArrival', addDays(bookingCreationDate, rule.maxDaysToArrival + 1), length);
+    }
+  });
+
+  return Array.from(cases.values())
+    .map(({ startDate, length, reasons, ruleIds }) => ({ name: reasons.join('; '), startDate, length, ruleIds }))
+    .sort((a, b) => (a.startDate === b.startDate ? a.length - b.length : a.startDate < b.startDate ? -1 : 1));
+}
+
+/**
+ * Turn cases into BookingSelector rows, optionally with the engine's current
+ * answers as the expected outcome (a baseline to catch later regressions).
+ * @param {Array} cases Cases from generateBoundaryCases
+ * @param {Object} options
+ * @param {Array} options.rules The price rules
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @param {boolean} options.withBaseline Fill in the expected outcomes
+ * @returns {Array} Rows as { name, startDate, length, expected }
+ */
+export function casesToEntries(cases, { rules, bookingCreationDate, strategies, withBaseline }) {
+  return cases.map(({ name, startDate, length }) => {
+    const entry = { name, startDate, length: String(length) };
+    if (!withBaseline) return entry;
+    const { actual } = runBookingTest(rules, { startDate, length }, { bookingCreationDate, strategies });
+    return { ...entry, expected: actual };
+  });
+}
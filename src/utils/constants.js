@@ -10,3 +10,50 @@ export const COLOURS = [
   '#E69F00', // Orange
   '#8B4513'  // SaddleBrown (replacing black)
 ];
+
+// Short weekday names indexed by the rule weekday number minus one
+// (the product XML uses 1 for Monday through 7 for Sunday).
+export const WEEKDAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Strategies available to decide which of several matching rules the
+// booking engine applies. The resolver walks the configured list in order
+// and falls back to document order when every strategy ties.
+export const PRECEDENCE_STRATEGIES = [
+  { id: 'specificDateRange', label: 'Most specific date range' },
+  { id: 'narrowestLos', label: 'Narrowest length-of-stay band' },
+  { id: 'highestPercentage', label: 'Highest percentage' },
+  { id: 'lowestPercentage', label: 'Lowest percentage' },
+  { id: 'documentOrder', label: 'Document order' }
+];
+
+export const DEFAULT_PRECEDENCE = ['specificDateRange', 'narrowestLos'];
+
+// Guest and market parameters of a checkout probe, defaulting to a two
+// adult booking on the NOVASOL English site. The server fills in missing
+// probe options from these too.
+export const DEFAULT_CHECKOUT_OPTIONS = {
+  adults: 2,
+  children: 0,
+  infants: 0,
+  pets: 0,
+  brand: 'NOV',
+  locale: 'en-EU',
+  salesMarket: 999,
+  amount: 627
+};
+
+// Human readable checkout probe outcomes, as classified by the server
+export const CHECKOUT_OUTCOME_LABELS = {
+  ok: 'Quote shown',
+  notSaleable: 'Not saleable',
+  minStayViolation: 'Minimum stay violation',
+  unknown: 'Unknown error',
+  requestFailed: 'Request failed'
+};
+
+// Human readable reconciliation statuses of mismatched days
+export const RECONCILIATION_STATUS_LABELS = {
+  apexOnly: 'Saleable in APEX, no rule permits arrival',
+  rulesOnly: 'Rules permit arrival, APEX shows nothing',
+  losMismatch: 'Stay lengths differ'
+};
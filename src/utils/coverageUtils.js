@@ -0,0 +1,149 @@
+import { parseISO, differenceInCalendarDays } from 'date-fns';
+import { buildEligibilityMatrix } from './matrixUtils.js';
+import { isoWeekday, formatWeekdays } from './ruleUtils.js';
+
+const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * Determine the season covered by a rule set: from the earliest rule start
+ * to the latest rule end, and from the smallest minStay to the largest
+ * maxStay.
+ * @param {Array} rules The price rules
+ * @returns {Object|null} { start, end, minLength, maxLength } or null without rules
+ */
+export function getSeasonBounds(rules) {
+  if (!rules || rules.length === 0) return null;
+  const froms = rules.map((rule) => rule.from).sort();
+  const tos = rules.map((rule) => rule.to).sort();
+  const minStays = rules.map((rule) => rule.minStay || 1);
+  const maxStays = rules.map((rule) => rule.maxStay).filter((value) => value != null);
+  return {
+    start: parseISO(froms[0]),
+    end: parseISO(tos[tos.length - 1]),
+    minLength: Math.min(...minStays),
+    maxLength: maxStays.length > 0 ? Math.max(...maxStays) : Math.min(...minStays)
+  };
+}
+
+// Split the uncovered arrival dates of one length of stay into regions:
+// runs of at least a week become "any weekday" regions, and the remaining
+// dates are grouped per weekday into runs of consecutive weeks, merging
+// weekdays whose runs span the same weeks.
+function uncoveredRegions(dates, uncovered) {
+  const regions = [];
+  const leftover = [];
+  let runStart = null;
+  const closeRun = (endIndex) => {
+    if (endIndex - runStart + 1 >= 7) {
+      regions.push({ from: dates[runStart], to: dates[endIndex], weekdays: ALL_WEEKDAYS });
+    } else {
+      for (let i = runStart; i <= endIndex; i++) leftover.push(i);
+    }
+    runStart = null;
+  };
+  uncovered.forEach((isUncovered, i) => {
+    if (isUncovered && runStart === null) runStart = i;
+    if (!isUncovered && runStart !== null) closeRun(i - 1);
+  });
+  if (runStart !== null) closeRun(uncovered.length - 1);
+
+  // Weekly runs per weekday, keyed by their first and last week
+  const weeklyRuns = new Map();
+  const pending = {};
+  const flush = (weekday) => {
+    const run = pending[weekday];
+    const key = `${Math.floor(run.first / 7)}-${Math.floor(run.last / 7)}`;
+    if (!weeklyRuns.has(key)) weeklyRuns.set(key, []);
+    weeklyRuns.get(key).push({ weekday, ...run });
+    delete pending[weekday];
+  };
+  leftover.forEach((i) => {
+    const weekday = isoWeekday(parseISO(dates[i]));
+    const run = pending[weekday];
+    if (run && i - run.last === 7) {
+      run.last = i;
+    } else {
+      if (run) flush(weekday);
+      pending[weekday] = { first: i, last: i };
+    }
+  });
+  Object.keys(pending).forEach((weekday) => flush(Number(weekday)));
+
+  weeklyRuns.forEach((runs) => {
+    regions.push({
+      from: dates[Math.min(...runs.map((run) => run.first))],
+      to: dates[Math.max(...runs.map((run) => run.last))],
+      weekdays: runs.map((run) => run.weekday).sort()
+    });
+  });
+  return regions;
+}
+
+/**
+ * Walk every arrival date, arrival weekday and length of stay of the
+ * season and list the contiguous regions no rule allows, e.g.
+ * "LOS 2–6 not bookable 2026-07-05 → 2027-01-09". Regions with the same
+ * dates and weekdays for consecutive stay lengths are merged into one
+ * length-of-stay band. Lead-time limits are evaluated against the booking
+ * creation date, as in the eligibility matrix.
+ * @param {Array} rules The price rules
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Object} [options.bounds] Season bounds, defaults to getSeasonBounds(rules)
+ * @returns {Array} Gaps as { id, from, to, minLength, maxLength, weekdays, dayCount }
+ */
+export function findCoverageGaps(rules, { bookingCreationDate, bounds = getSeasonBounds(rules) } = {}) {
+  if (!bounds) return [];
+  const { start, end, minLength, maxLength } = bounds;
+  const matrix = buildEligibilityMatrix(rules, { start, end, maxLength, bookingCreationDate });
+
+  // Regions per length of stay, keyed so identical regions can be merged
+  const bands = new Map();
+  for (let length = minLength; length <= maxLength; length++) {
+    const uncovered = matrix.cells.map((row) => !row[length - 1].allowed);
+    uncoveredRegions(matrix.dates, uncovered).forEach((region) => {
+      const key = `${region.from}|${region.to}|${region.weekdays.join(',')}`;
+      const band = bands.get(key);
+      if (band && band[band.length - 1].maxLength === length - 1) {
+        band[band.length - 1].maxLength = length;
+      } else {
+        const gap = { ...region, minLength: length, maxLength: length };
+        if (band) band.push(gap);
+        else bands.set(key, [gap]);
+      }
+    });
+  }
+
+  return Array.from(bands.values())
+    .flat()
+    .map((gap) => ({
+      ...gap,
+      id: `${gap.minLength}-${gap.maxLength}-${gap.from}-${gap.to}-${gap.weekdays.join('')}`,
+      dayCount: differenceInCalendarDays(parseISO(gap.to), parseISO(gap.from)) + 1
+    }))
+    .sort((a, b) => (a.from === b.from ? a.minLength - b.minLength : a.from < b.from ? -1 : 1));
+}
+
+/**
+ * Describe a gap in one line, e.g. "LOS 2–6 not bookable 2026-07-05 → 2027-01-09".
+ * @param {Object} gap A gap from findCoverageGaps
+ * @returns {string} The description
+ */
+export function describeGap(gap) {
+  const los = gap.minLength === gap.maxLength ? `LOS ${gap.minLength}` : `LOS ${gap.minLength}–${gap.maxLength}`;
+  const weekdays = gap.weekdays.length === 7 ? '' : ` (${formatWeekdays(gap.weekdays)} arrivals)`;
+  return `${los} not bookable ${gap.from} → ${gap.to}${weekdays}`;
+}
+
+/**
+ * Serialise gaps as CSV for export.
+ * @param {Array} gaps Gaps from findCoverageGaps
+ * @returns {string} CSV text with a header row
+ */
+export function gapsToCsv(gaps) {
+  const header = 'minLength,maxLength,from,to,arrivalWeekdays';
+  const rows = gaps.map((gap) =>
+    [gap.minLength, gap.maxLength, gap.from, gap.to, `"${gap.weekdays.join(',')}"`].join(',')
+  );
+  return [header, ...rows].join('\n');
+}
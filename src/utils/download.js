@@ -0,0 +1,17 @@
+/**
+ * Offer text content to the user as a file download.
+ * @param {string} filename Name of the downloaded file
+ * @param {string} content File content
+ * @param {string} mimeType MIME type of the content
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
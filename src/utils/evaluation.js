@@ -0,0 +1,49 @@
+import { format } from 'date-fns';
+import { resolveBooking, explainBookingAgainstRule, getDepartureDate } from './ruleUtils.js';
+import { DEFAULT_PRECEDENCE } from './constants.js';
+
+/**
+ * The rule fields of the product XML, without the display-only colour,
+ * the original markup and its source details, for reports and API responses.
+ * @param {Object} rule A parsed price rule
+ * @returns {Object} { id, from, to, percentage, arrivalWeekdays,
+ *   departureWeekdays, minStay, maxStay, maxDaysToArrival }
+ */
+export function summariseRule(rule) {
+  const { colour, originalXml, offset, line, attributes, fields: sourceFields, ...fields } = rule;
+  return fields;
+}
+
+/**
+ * Evaluate a list of bookings against a rule set: which rules match, which
+ * one wins by precedence and, optionally, the check-by-check explanation of
+ * every rule.
+ * @param {Array} rules The price rules
+ * @param {Array} bookings Bookings as { startDate, length }
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @param {boolean} options.explain Include explanations (default true)
+ * @returns {Array} One result per booking as { startDate, length,
+ *   departureDate, allowed, matchedRuleIds, winner, overriddenRuleIds,
+ *   effectivePercentage, explanations }
+ */
+export function evaluateBookings(rules, bookings, { bookingCreationDate, strategies = DEFAULT_PRECEDENCE, explain = true }) {
+  return bookings.map(({ startDate, length }) => {
+    const { matches, winner, losers, effectivePercentage } =
+      resolveBooking(rules, startDate, length, bookingCreationDate, strategies);
+    return {
+      startDate,
+      length,
+      departureDate: format(getDepartureDate(startDate, length), 'yyyy-MM-dd'),
+      allowed: matches.length > 0,
+      matchedRuleIds: matches.map((rule) => rule.id),
+      winner: winner ? summariseRule(winner) : null,
+      overriddenRuleIds: losers.map((rule) => rule.id),
+      effectivePercentage,
+      ...(explain
+        ? { explanations: rules.map((rule) => explainBookingAgainstRule(rule, startDate, length, bookingCreationDate)) }
+        : {})
+    };
+  });
+}
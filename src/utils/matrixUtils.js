@@ -0,0 +1,136 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { resolveBooking } from './ruleUtils.js';
+
+// Length of stay shown when no rule defines a maxStay
+const DEFAULT_MAX_LENGTH = 28;
+
+/**
+ * Determine the longest stay worth testing for a rule set: the largest
+ * maxStay of any rule, or a sensible default when none is defined.
+ * @param {Array} rules The price rules
+ * @returns {number} The maximum length of stay
+ */
+export function getMaxStayLength(rules) {
+  const maxStays = rules.map((rule) => rule.maxStay).filter((value) => value != null);
+  return maxStays.length > 0 ? Math.max(...maxStays) : DEFAULT_MAX_LENGTH;
+}
+
+/**
+ * Run the rule engine over every arrival date in [start, end] and every
+ * length of stay from 1 to maxLength. Rules whose date range does not
+ * contain the arrival date are skipped before resolving, which keeps a
+ * full year of long stays fast enough to compute in the browser.
+ * @param {Array} rules The price rules
+ * @param {Object} options
+ * @param {Date} options.start First arrival date
+ * @param {Date} options.end Last arrival date (inclusive)
+ * @param {number} options.maxLength Longest length of stay to test
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @returns {Object} { dates, lengths, cells } where cells[dateIndex][lengthIndex]
+ *   is { startDate, length, allowed, winnerId, percentage, matchCount }
+ */
+export function buildEligibilityMatrix(rules, { start, end, maxLength, bookingCreationDate, strategies }) {
+  const dayCount = differenceInCalendarDays(end, start) + 1;
+  const lengths = Array.from({ length: maxLength }, (_, i) => i + 1);
+  const dates = [];
+  const cells = [];
+
+  for (let dayIndex = 0; dayIndex < dayCount; dayIndex++) {
+    const startDate = format(addDays(start, dayIndex), 'yyyy-MM-dd');
+    // ISO dates compare correctly as strings
+    const candidates = rules.filter((rule) => rule.from <= startDate && startDate <= rule.to);
+    dates.push(startDate);
+    cells.push(lengths.map((length) => {
+      const { matches, winner, effectivePercentage } = resolveBooking(
+        candidates, startDate, length, bookingCreationDate, strategies
+      );
+      return {
+        startDate,
+        length,
+        allowed: winner !== null,
+        winnerId: winner ? winner.id : null,
+        percentage: effectivePercentage,
+        matchCount: matches.length
+      };
+    }));
+  }
+
+  return { dates, lengths, cells };
+}
+
+// Booking creation dates to sweep before the arrival when no rule has a
+// maxDaysToArrival, and the margin shown beyond the largest one
+const DEFAULT_SWEEP_DAYS = 90;
+const SWEEP_MARGIN_DAYS = 14;
+
+/**
+ * Run the rule engine for one booking (arrival date and length of stay)
+ * with every booking creation date from `maxDays` days before the arrival
+ * up to the arrival day itself, so lead-time (maxDaysToArrival) rules can
+ * be seen switching on and off. By default the sweep reaches a little
+ * beyond the largest maxDaysToArrival of the rules.
+ * @param {Array} rules The price rules
+ * @param {Object} options
+ * @param {string} options.startDate ISO arrival date
+ * @param {number} options.length Number of nights
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @param {number} options.maxDays Days before arrival to start the sweep
+ * @returns {Object} { days, segments, thresholds } where days (earliest
+ *   creation date first) are { creationDate, daysToArrival, allowed,
+ *   winnerId, percentage }, segments group consecutive days with the same
+ *   outcome as { from, to, fromDays, toDays, allowed, winnerId, percentage }
+ *   and thresholds are { ruleId, daysToArrival, creationDate } for every
+ *   lead-time rule that matches the booking on the arrival day
+ */
+export function buildCreationDateSweep(rules, { startDate, length, strategies, maxDays }) {
+  const arrival = parseISO(startDate);
+  const candidates = rules.filter((rule) => rule.from <= startDate && startDate <= rule.to);
+  const leadTimes = candidates.map((rule) => rule.maxDaysToArrival).filter((value) => value != null);
+  const sweepDays = maxDays ?? (leadTimes.length > 0 ? Math.max(...leadTimes) + SWEEP_MARGIN_DAYS : DEFAULT_SWEEP_DAYS);
+
+  const days = [];
+  for (let daysToArrival = sweepDays; daysToArrival >= 0; daysToArrival--) {
+    const creationDate = addDays(arrival, -daysToArrival);
+    const { winner, effectivePercentage } = resolveBooking(candidates, startDate, length, creationDate, strategies);
+    days.push({
+      creationDate: format(creationDate, 'yyyy-MM-dd'),
+      daysToArrival,
+      allowed: winner !== null,
+      winnerId: winner ? winner.id : null,
+      percentage: effectivePercentage
+    });
+  }
+
+  const segments = [];
+  days.forEach((day) => {
+    const last = segments[segments.length - 1];
+    if (last && last.winnerId === day.winnerId && last.percentage === day.percentage) {
+      last.to = day.creationDate;
+      last.toDays = day.daysToArrival;
+    } else {
+      segments.push({
+        from: day.creationDate,
+        to: day.creationDate,
+        fromDays: day.daysToArrival,
+        toDays: day.daysToArrival,
+        allowed: day.allowed,
+        winnerId: day.winnerId,
+        percentage: day.percentage
+      });
+    }
+  });
+
+  // On the arrival day every lead-time condition passes, so the rules
+  // matching then are the ones whose thresholds matter for this booking
+  const { matches } = resolveBooking(candidates, startDate, length, arrival, strategies);
+  const thresholds = matches
+    .filter((rule) => rule.maxDaysToArrival != null && rule.maxDaysToArrival <= sweepDays)
+    .map((rule) => ({
+      ruleId: rule.id,
+      daysToArrival: rule.maxDaysToArrival,
+      creationDate: format(addDays(arrival, -rule.maxDaysToArrival), 'yyyy-MM-dd')
+    }));
+
+  return { days, segments, thresholds };
+}
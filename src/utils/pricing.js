@@ -0,0 +1,129 @@
+import { addDays, format, parseISO } from 'date-fns';
+
+/**
+ * Format an amount of money, e.g. (812.5, 'EUR') -> "812.50 EUR".
+ * @param {number|null} amount The amount
+ * @param {string|null} currency ISO currency code, if known
+ * @returns {string} The formatted amount, or "–" when undefined
+ */
+export function formatPrice(amount, currency) {
+  if (amount == null) return '–';
+  return `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+}
+
+// Column names accepted for the date and price of a calendar CSV
+const DATE_COLUMNS = ['date', 'day', 'night'];
+const PRICE_COLUMNS = ['price', 'baseprice', 'amount', 'rate', 'nightlyprice'];
+
+function normaliseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value).trim());
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function parseCsvCalendar(text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length === 0) {
+    throw new Error('The CSV is empty; it needs a date and a price column');
+  }
+  const delimiter = lines[0].includes(';') ? ';' : ',';
+  const firstRow = lines[0].split(delimiter).map((cell) => cell.trim().toLowerCase());
+  const hasHeader = !normaliseDate(firstRow[0]);
+  const dateIndex = hasHeader ? firstRow.findIndex((cell) => DATE_COLUMNS.includes(cell)) : 0;
+  const priceIndex = hasHeader ? firstRow.findIndex((cell) => PRICE_COLUMNS.includes(cell)) : 1;
+  const currencyIndex = hasHeader ? firstRow.indexOf('currency') : 2;
+  if (dateIndex === -1 || priceIndex === -1) {
+    throw new Error('The CSV needs a date and a price column');
+  }
+
+  const prices = {};
+  let currency = null;
+  lines.slice(hasHeader ? 1 : 0).forEach((line, i) => {
+    const cells = line.split(delimiter).map((cell) => cell.trim());
+    const date = normaliseDate(cells[dateIndex]);
+    const price = parseFloat(cells[priceIndex]);
+    if (!date || !Number.isFinite(price)) {
+      throw new Error(`Invalid date or price on line ${i + (hasHeader ? 2 : 1)}: ${line}`);
+    }
+    prices[date] = price;
+    if (!currency && currencyIndex !== -1 && cells[currencyIndex]) currency = cells[currencyIndex];
+  });
+  return { currency, prices };
+}
+
+function parseJsonCalendar(text) {
+  const data = JSON.parse(text);
+  const entries = Array.isArray(data) ? data : data.prices || data;
+  const prices = {};
+  if (Array.isArray(entries)) {
+    entries.forEach((entry) => {
+      const date = normaliseDate(entry.date);
+      const price = Number(entry.price ?? entry.basePrice ?? entry.amount);
+      if (!date || !Number.isFinite(price)) {
+        throw new Error(`Invalid price calendar entry: ${JSON.stringify(entry)}`);
+      }
+      prices[date] = price;
+    });
+  } else {
+    Object.entries(entries).forEach(([key, value]) => {
+      const date = normaliseDate(key);
+      if (date && Number.isFinite(Number(value))) prices[date] = Number(value);
+    });
+  }
+  return { currency: (!Array.isArray(data) && data.currency) || null, prices };
+}
+
+/**
+ * Parse a base nightly price calendar. Accepted formats:
+ *   - CSV with date and price columns (and optionally currency), with or
+ *     without a header row, comma or semicolon separated
+ *   - JSON array of { date, price }, an object mapping dates to prices, or
+ *     { currency, prices } wrapping either of them
+ * @param {string} text File content
+ * @param {string} filename Used to tell CSV from JSON
+ * @returns {Object} { currency, prices } where prices maps yyyy-MM-dd to the base price
+ */
+export function parsePriceCalendar(text, filename = '') {
+  const isJson = filename.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  const calendar = isJson ? parseJsonCalendar(text) : parseCsvCalendar(text);
+  if (Object.keys(calendar.prices).length === 0) {
+    throw new Error('The price calendar contains no prices');
+  }
+  return calendar;
+}
+
+/**
+ * Compute the price of a stay: every night's base price from the calendar
+ * plus the rule's percentage surcharge.
+ * @param {Object} calendar Result of parsePriceCalendar
+ * @param {string} startDate ISO string representing the booking arrival date
+ * @param {number} length Number of nights
+ * @param {Object|null} rule The winning rule; without one no surcharge applies
+ * @returns {Object} { nights, baseTotal, surchargeTotal, total, currency, missingDates }
+ *   where nights are { date, basePrice, surcharge, price }; totals only
+ *   cover nights found in the calendar
+ */
+export function computeStayPrice(calendar, startDate, length, rule) {
+  const percentage = rule && rule.percentage ? rule.percentage : 0;
+  const nights = [];
+  const missingDates = [];
+  const arrival = parseISO(startDate);
+  for (let i = 0; i < length; i++) {
+    const date = format(addDays(arrival, i), 'yyyy-MM-dd');
+    const basePrice = calendar.prices[date];
+    if (basePrice == null) {
+      missingDates.push(date);
+      continue;
+    }
+    const surcharge = basePrice * percentage / 100;
+    nights.push({ date, basePrice, surcharge, price: basePrice + surcharge });
+  }
+  const sum = (key) => nights.reduce((total, night) => total + night[key], 0);
+  return {
+    nights,
+    baseTotal: sum('basePrice'),
+    surchargeTotal: sum('surcharge'),
+    total: sum('price'),
+    currency: calendar.currency,
+    missingDates
+  };
+}
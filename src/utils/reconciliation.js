@@ -0,0 +1,148 @@
+import { parseISO, addDays, differenceInCalendarDays, format } from 'date-fns';
+import { buildEligibilityMatrix, getMaxStayLength } from './matrixUtils.js';
+import { getSeasonBounds } from './coverageUtils.js';
+
+// Keys under which a saleability entry may carry its length of stay
+const LENGTH_KEYS = ['lengthOfStay', 'los', 'nights', 'duration', 'stayLength'];
+
+/**
+ * Read the saleability entries of APEX data, keyed by arrival date.
+ * @param {Object} saleabilityData Response of /api/saleability/:propertyCode
+ * @returns {Object} Map of yyyy-MM-dd to an array of entries
+ */
+export function getSaleabilityByDate(saleabilityData) {
+  return (saleabilityData && saleabilityData.data && saleabilityData.data.saleability) || {};
+}
+
+/**
+ * Extract the stay lengths of a day's saleability entries. Entries may be
+ * plain numbers or objects with one of LENGTH_KEYS.
+ * @param {Array} entries Saleability entries of one date
+ * @returns {Array<number>|null} Sorted stay lengths, or null when the
+ *   entries do not carry any
+ */
+export function getSaleableLengths(entries) {
+  const lengths = new Set();
+  (entries || []).forEach((entry) => {
+    if (typeof entry === 'number') {
+      lengths.add(entry);
+      return;
+    }
+    if (entry && typeof entry === 'object') {
+      const key = LENGTH_KEYS.find((k) => Number.isFinite(Number(entry[k])));
+      if (key) lengths.add(Number(entry[key]));
+    }
+  });
+  return lengths.size > 0 ? Array.from(lengths).sort((a, b) => a - b) : null;
+}
+
+/**
+ * Compare the arrival dates the price rules permit with the dates APEX
+ * reports as saleable. Each day from the booking creation date to the end
+ * of the season (or of the saleability data, whichever is later) gets a
+ * status:
+ *   - apexOnly: APEX says saleable but no rule permits an arrival
+ *   - rulesOnly: rules permit an arrival but APEX shows nothing
+ *   - losMismatch: both agree the day is bookable, but the stay lengths
+ *     APEX lists differ from those the rules allow
+ *   - match: both agree
+ * Days in the past are skipped, as APEX does not report them.
+ * @param {Array} rules The price rules
+ * @param {Object} saleabilityData Response of /api/saleability/:propertyCode
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @returns {Array} Days as { date, status, ruleLengths, apexLengths,
+ *   missingInRules, missingInApex }
+ */
+export function reconcileSaleability(rules, saleabilityData, { bookingCreationDate }) {
+  const saleability = getSaleabilityByDate(saleabilityData);
+  const bounds = getSeasonBounds(rules);
+  const saleableDates = Object.keys(saleability).sort();
+  if (!bounds && saleableDates.length === 0) return [];
+
+  const today = format(bookingCreationDate, 'yyyy-MM-dd');
+  const endCandidates = [saleableDates[saleableDates.length - 1], bounds && format(bounds.end, 'yyyy-MM-dd')]
+    .filter(Boolean)
+    .sort();
+  const end = parseISO(endCandidates[endCandidates.length - 1]);
+  const start = parseISO(today);
+  if (differenceInCalendarDays(end, start) < 0) return [];
+
+  const apexMaxLength = Math.max(0, ...saleableDates.map((date) => {
+    const lengths = getSaleableLengths(saleability[date]);
+    return lengths ? lengths[lengths.length - 1] : 0;
+  }));
+  const maxLength = Math.max(getMaxStayLength(rules), apexMaxLength);
+  const matrix = buildEligibilityMatrix(rules, { start, end, maxLength, bookingCreationDate });
+
+  return matrix.dates.map((date, dayIndex) => {
+    const ruleLengths = matrix.cells[dayIndex].filter((cell) => cell.allowed).map((cell) => cell.length);
+    const entries = saleability[date] || [];
+    const apexSaleable = entries.length > 0;
+    const apexLengths = apexSaleable ? getSaleableLengths(entries) : null;
+    let status = 'match';
+    let missingInRules = [];
+    let missingInApex = [];
+    if (apexSaleable && ruleLengths.length === 0) {
+      status = 'apexOnly';
+    } else if (!apexSaleable && ruleLengths.length > 0) {
+      status = 'rulesOnly';
+    } else if (apexLengths) {
+      missingInRules = apexLengths.filter((length) => !ruleLengths.includes(length));
+      missingInApex = ruleLengths.filter((length) => !apexLengths.includes(length));
+      if (missingInRules.length > 0 || missingInApex.length > 0) status = 'losMismatch';
+    }
+    return { date, status, ruleLengths, apexLengths, missingInRules, missingInApex };
+  });
+}
+
+/**
+ * Group consecutive mismatched days with the same status and the same
+ * stay length differences into ranges, for a readable report.
+ * @param {Array} days Result of reconcileSaleability
+ * @returns {Array} Ranges as { from, to, status, missingInRules, missingInApex, dayCount }
+ */
+export function groupMismatches(days) {
+  const ranges = [];
+  days.forEach((day) => {
+    if (day.status === 'match') return;
+    const last = ranges[ranges.length - 1];
+    const continues = last &&
+      last.status === day.status &&
+      format(addDays(parseISO(last.to), 1), 'yyyy-MM-dd') === day.date &&
+      last.missingInRules.join(',') === day.missingInRules.join(',') &&
+      last.missingInApex.join(',') === day.missingInApex.join(',');
+    if (continues) {
+      last.to = day.date;
+      last.dayCount += 1;
+    } else {
+      ranges.push({
+        from: day.date,
+        to: day.date,
+        status: day.status,
+        missingInRules: day.missingInRules,
+        missingInApex: day.missingInApex,
+        dayCount: 1
+      });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Compress a sorted list of stay lengths into ranges, e.g. [2,3,4,7] -> "2–4, 7".
+ * @param {Array<number>} lengths Sorted stay lengths
+ * @returns {string} The compressed list
+ */
+export function formatLengths(lengths) {
+  const parts = [];
+  let rangeStart = null;
+  lengths.forEach((length, i) => {
+    if (rangeStart === null) rangeStart = length;
+    if (lengths[i + 1] !== length + 1) {
+      parts.push(rangeStart === length ? `${length}` : `${rangeStart}–${length}`);
+      rangeStart = null;
+    }
+  });
+  return parts.join(', ');
+}
@@ -0,0 +1,195 @@
+import { parseISO, differenceInCalendarDays, addDays, format } from 'date-fns';
+import { isoWeekday, formatWeekdays, formatPercentage, sortByPrecedence } from './ruleUtils.js';
+import { DEFAULT_PRECEDENCE } from './constants.js';
+
+const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+// Weekday lists are empty when a rule allows any weekday
+function weekdaySet(weekdays) {
+  return weekdays && weekdays.length > 0 ? weekdays : ALL_WEEKDAYS;
+}
+
+function intersectWeekdays(a, b) {
+  const setB = weekdaySet(b);
+  return weekdaySet(a).filter((w) => setB.includes(w));
+}
+
+function containsWeekdays(outer, inner) {
+  const setOuter = weekdaySet(outer);
+  return weekdaySet(inner).every((w) => setOuter.includes(w));
+}
+
+function losBand(rule) {
+  return { min: rule.minStay || 1, max: rule.maxStay || Infinity };
+}
+
+function formatLos({ min, max }) {
+  if (max === Infinity) return `LOS ${min}+`;
+  return min === max ? `LOS ${min}` : `LOS ${min}–${max}`;
+}
+
+function sameWeekdays(a, b) {
+  return containsWeekdays(a, b) && containsWeekdays(b, a);
+}
+
+/**
+ * Determine whether a rule can produce a departure weekday it permits:
+ * with arrival and departure weekdays both restricted, only some stay
+ * lengths can ever match (e.g. Saturday to Saturday needs multiples of 7).
+ */
+function hasReachableStayLength(rule) {
+  if (!rule.departureWeekdays || rule.departureWeekdays.length === 0) return true;
+  const { min, max } = losBand(rule);
+  // Weekday offsets repeat every 7 nights, so one week past minStay is enough
+  const upper = Math.min(max, min + 6);
+  const arrivalDays = reachableArrivalWeekdays(rule);
+  for (let length = min; length <= upper; length++) {
+    if (arrivalDays.some((w) => rule.departureWeekdays.includes(((w - 1 + length) % 7) + 1))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Arrival weekdays that actually occur within the rule's date range
+function reachableArrivalWeekdays(rule) {
+  const start = parseISO(rule.from);
+  const dayCount = Math.min(differenceInCalendarDays(parseISO(rule.to), start) + 1, 7);
+  const inRange = [];
+  for (let i = 0; i < dayCount; i++) {
+    inRange.push(isoWeekday(addDays(start, i)));
+  }
+  return weekdaySet(rule.arrivalWeekdays).filter((w) => inRange.includes(w));
+}
+
+/**
+ * Find the region two rules both apply to, or null when they cannot
+ * match the same booking (disjoint dates, stay lengths or weekdays).
+ */
+function overlapRegion(a, b) {
+  const from = a.from > b.from ? a.from : b.from;
+  const to = a.to < b.to ? a.to : b.to;
+  if (from > to) return null;
+  const bandA = losBand(a);
+  const bandB = losBand(b);
+  const los = { min: Math.max(bandA.min, bandB.min), max: Math.min(bandA.max, bandB.max) };
+  if (los.min > los.max) return null;
+  const arrivalWeekdays = intersectWeekdays(a.arrivalWeekdays, b.arrivalWeekdays);
+  const departureWeekdays = intersectWeekdays(a.departureWeekdays, b.departureWeekdays);
+  if (arrivalWeekdays.length === 0 || departureWeekdays.length === 0) return null;
+  return { from, to, los, arrivalWeekdays, departureWeekdays };
+}
+
+/**
+ * Whether `outer` matches every booking `inner` matches, ignoring the
+ * booking creation date except that a lead-time limit on `outer` must be
+ * at least as loose as the one on `inner`.
+ */
+function coversRule(outer, inner) {
+  const bandOuter = losBand(outer);
+  const bandInner = losBand(inner);
+  const leadTimeCovered = outer.maxDaysToArrival == null ||
+    (inner.maxDaysToArrival != null && inner.maxDaysToArrival <= outer.maxDaysToArrival);
+  return outer.from <= inner.from && outer.to >= inner.to &&
+    bandOuter.min <= bandInner.min && bandOuter.max >= bandInner.max &&
+    containsWeekdays(outer.arrivalWeekdays, inner.arrivalWeekdays) &&
+    containsWeekdays(outer.departureWeekdays, inner.departureWeekdays) &&
+    leadTimeCovered;
+}
+
+function isDuplicate(a, b) {
+  return a.from === b.from && a.to === b.to &&
+    a.percentage === b.percentage &&
+    a.minStay === b.minStay && a.maxStay === b.maxStay &&
+    a.maxDaysToArrival === b.maxDaysToArrival &&
+    sameWeekdays(a.arrivalWeekdays, b.arrivalWeekdays) &&
+    sameWeekdays(a.departureWeekdays, b.departureWeekdays);
+}
+
+/**
+ * Analyse a parsed rule set for problems that are hard to spot by eye.
+ * The findings are:
+ *   - unreachable: a rule that can never match, because minStay exceeds
+ *     maxStay, from is after to, its date range has already passed on the
+ *     booking creation date, or its arrival/departure weekdays cannot be
+ *     combined with any permitted stay length
+ *   - duplicate: two rules with identical constraints and percentage
+ *   - shadowed: a rule fully covered by a single other rule that always
+ *     wins precedence, so it is never applied
+ *   - overlap: two rules matching a common region of dates, stay lengths
+ *     and weekdays with different percentages
+ * @param {Array} rules The parsed price rules
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @returns {Array} Findings as { id, type, severity, ruleIds, message }
+ */
+export function analyseRules(rules, { bookingCreationDate, strategies = DEFAULT_PRECEDENCE } = {}) {
+  const findings = [];
+  const addFinding = (type, severity, ruleIds, message) => {
+    findings.push({ id: `${type}-${ruleIds.join('-')}`, type, severity, ruleIds, message });
+  };
+  const today = bookingCreationDate ? format(bookingCreationDate, 'yyyy-MM-dd') : null;
+  const unreachableIds = [];
+
+  rules.forEach((rule) => {
+    let reason = null;
+    if (rule.minStay != null && rule.maxStay != null && rule.minStay > rule.maxStay) {
+      reason = `minStay ${rule.minStay} is greater than maxStay ${rule.maxStay}`;
+    } else if (rule.from > rule.to) {
+      reason = `from ${rule.from} is after to ${rule.to}`;
+    } else if (today && rule.to < today) {
+      reason = `its last arrival date ${rule.to} is before the booking creation date ${today}`;
+    } else if (reachableArrivalWeekdays(rule).length === 0) {
+      reason = `no ${formatWeekdays(rule.arrivalWeekdays)} arrival falls between ${rule.from} and ${rule.to}`;
+    } else if (!hasReachableStayLength(rule)) {
+      reason = `no ${formatLos(losBand(rule))} stay turns a ${formatWeekdays(rule.arrivalWeekdays)} ` +
+        `arrival into a ${formatWeekdays(rule.departureWeekdays)} departure`;
+    }
+    if (reason) {
+      unreachableIds.push(rule.id);
+      addFinding('unreachable', 'error', [rule.id], `Rule ${rule.id} can never apply: ${reason}.`);
+    }
+  });
+
+  const reachable = rules.filter((rule) => !unreachableIds.includes(rule.id));
+  const shadowedIds = [];
+  reachable.forEach((a, i) => {
+    reachable.slice(i + 1).forEach((b) => {
+      if (isDuplicate(a, b)) {
+        addFinding('duplicate', 'warning', [a.id, b.id], `Rules ${a.id} and ${b.id} are duplicates.`);
+        shadowedIds.push(b.id);
+      }
+    });
+  });
+
+  reachable.forEach((rule) => {
+    if (shadowedIds.includes(rule.id)) return;
+    const shadowingRule = reachable.find((other) =>
+      other !== rule && coversRule(other, rule) && sortByPrecedence([rule, other], strategies)[0] === other
+    );
+    if (shadowingRule) {
+      shadowedIds.push(rule.id);
+      addFinding(
+        'shadowed', 'warning', [rule.id, shadowingRule.id],
+        `Rule ${rule.id} is fully covered by rule ${shadowingRule.id}, which always takes precedence.`
+      );
+    }
+  });
+
+  reachable.forEach((a, i) => {
+    reachable.slice(i + 1).forEach((b) => {
+      if (a.percentage === b.percentage || isDuplicate(a, b)) return;
+      const region = overlapRegion(a, b);
+      if (!region) return;
+      addFinding(
+        'overlap', 'info', [a.id, b.id],
+        `Rules ${a.id} (${formatPercentage(a.percentage)}) and ${b.id} (${formatPercentage(b.percentage)}) ` +
+        `both match ${region.from} → ${region.to}, ${formatLos(region.los)}, ` +
+        `arrival ${formatWeekdays(region.arrivalWeekdays)}, departure ${formatWeekdays(region.departureWeekdays)}.`
+      );
+    });
+  });
+
+  return findings;
+}
@@ -0,0 +1,139 @@
+import { formatWeekdays, formatPercentage } from './ruleUtils.js';
+
+// Fields compared between matched rules, with how to display their values
+export const DIFF_FIELDS = [
+  { key: 'from', label: 'From' },
+  { key: 'to', label: 'To' },
+  { key: 'percentage', label: 'Percentage', format: formatPercentage },
+  { key: 'minStay', label: 'Min stay' },
+  { key: 'maxStay', label: 'Max stay' },
+  { key: 'maxDaysToArrival', label: 'Max days to arrival' },
+  { key: 'arrivalWeekdays', label: 'Arrival weekdays', format: formatWeekdays },
+  { key: 'departureWeekdays', label: 'Departure weekdays', format: formatWeekdays }
+];
+
+// Minimum similarity for two rules to be reported as one modified rule
+// rather than a removal plus an addition
+const MATCH_THRESHOLD = 7;
+
+function normaliseWeekdays(weekdays) {
+  const values = [...(weekdays || [])].sort((a, b) => a - b);
+  return values.length === 7 ? '' : values.join(',');
+}
+
+function fieldEquals(a, b, key) {
+  if (key === 'arrivalWeekdays' || key === 'departureWeekdays') {
+    return normaliseWeekdays(a[key]) === normaliseWeekdays(b[key]);
+  }
+  return (a[key] ?? null) === (b[key] ?? null);
+}
+
+/**
+ * Score how likely two rules are the same rule in two versions of a rule
+ * set. The stay-length band and weekdays identify a rule more than its
+ * dates and percentage, which are what usually change between seasons;
+ * dates shifted by whole years still count as similar.
+ */
+function similarity(a, b) {
+  let score = 0;
+  if (fieldEquals(a, b, 'minStay') && fieldEquals(a, b, 'maxStay')) score += 4;
+  if (fieldEquals(a, b, 'arrivalWeekdays')) score += 2;
+  if (fieldEquals(a, b, 'departureWeekdays')) score += 2;
+  if (fieldEquals(a, b, 'maxDaysToArrival')) score += 1;
+  if (fieldEquals(a, b, 'percentage')) score += 1;
+  if (a.from === b.from && a.to === b.to) {
+    score += 3;
+  } else if (a.from.slice(5) === b.from.slice(5) && a.to.slice(5) === b.to.slice(5)) {
+    score += 2;
+  } else if (a.from <= b.to && b.from <= a.to) {
+    score += 1;
+  }
+  return score;
+}
+
+/**
+ * List the field-level changes between two rules.
+ * @param {Object} before The rule in the base set
+ * @param {Object} after The rule in the compared set
+ * @returns {Array} Changes as { field, label, before, after }
+ */
+export function diffRuleFields(before, after) {
+  return DIFF_FIELDS
+    .filter(({ key }) => !fieldEquals(before, after, key))
+    .map(({ key, label, format }) => ({
+      field: key,
+      label,
+      before: format ? format(before[key]) : before[key] ?? '–',
+      after: format ? format(after[key]) : after[key] ?? '–'
+    }));
+}
+
+/**
+ * Compare two rule sets semantically. Rule ids are positions in the
+ * document and change whenever a rule is inserted, so rules are paired by
+ * their content instead: identical rules first, then the most similar
+ * remaining pairs (see similarity), and whatever is left over is reported
+ * as added or removed.
+ * @param {Array} baseRules The rule set to compare from
+ * @param {Array} compareRules The rule set to compare to
+ * @returns {Object} { added, removed, modified, unchanged } where modified
+ *   entries are { base, compare, changes } and unchanged entries { base, compare }
+ */
+export function diffRuleSets(baseRules, compareRules) {
+  const unmatchedBase = [...baseRules];
+  const unmatchedCompare = [...compareRules];
+  const unchanged = [];
+  const modified = [];
+
+  // Identical rules
+  for (let i = unmatchedBase.length - 1; i >= 0; i--) {
+    const base = unmatchedBase[i];
+    const index = unmatchedCompare.findIndex((rule) => diffRuleFields(base, rule).length === 0);
+    if (index !== -1) {
+      unchanged.unshift({ base, compare: unmatchedCompare[index] });
+      unmatchedBase.splice(i, 1);
+      unmatchedCompare.splice(index, 1);
+    }
+  }
+
+  // Most similar remaining pairs, best first
+  const candidates = [];
+  unmatchedBase.forEach((base) => {
+    unmatchedCompare.forEach((compare) => {
+      const score = similarity(base, compare);
+      if (score >= MATCH_THRESHOLD) candidates.push({ base, compare, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.base.id - b.base.id || a.compare.id - b.compare.id);
+  candidates.forEach(({ base, compare }) => {
+    if (!unmatchedBase.includes(base) || !unmatchedCompare.includes(compare)) return;
+    modified.push({ base, compare, changes: diffRuleFields(base, compare) });
+    unmatchedBase.splice(unmatchedBase.indexOf(base), 1);
+    unmatchedCompare.splice(unmatchedCompare.indexOf(compare), 1);
+  });
+  modified.sort((a, b) => a.base.id - b.base.id);
+
+  return { added: unmatchedCompare, removed: unmatchedBase, modified, unchanged };
+}
+
+/**
+ * Map rule ids of each side to their diff status, for marking bars.
+ * @param {Object} diff Result of diffRuleSets
+ * @returns {Object} { base, compare } each mapping rule id to
+ *   'removed' | 'added' | 'modified' | 'unchanged'
+ */
+export function getDiffStatuses(diff) {
+  const base = {};
+  const compare = {};
+  diff.removed.forEach((rule) => { base[rule.id] = 'removed'; });
+  diff.added.forEach((rule) => { compare[rule.id] = 'added'; });
+  diff.modified.forEach((entry) => {
+    base[entry.base.id] = 'modified';
+    compare[entry.compare.id] = 'modified';
+  });
+  diff.unchanged.forEach((entry) => {
+    base[entry.base.id] = 'unchanged';
+    compare[entry.compare.id] = 'unchanged';
+  });
+  return { base, compare };
+}
@@ -0,0 +1,186 @@
+import { addDays, format, parseISO } from 'date-fns';
+import { COLOURS } from './constants.js';
+
+// Fields that hold a whole number or nothing
+const INTEGER_FIELDS = ['minStay', 'maxStay', 'maxDaysToArrival'];
+
+// Most edits an editing session can undo
+const MAX_HISTORY = 100;
+
+function isIsoDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(parseISO(value).getTime());
+}
+
+function nextRuleId(rules) {
+  return rules.reduce((max, rule) => Math.max(max, rule.id), 0) + 1;
+}
+
+function ruleColour(id) {
+  return COLOURS[(id - 1) % COLOURS.length];
+}
+
+/**
+ * Set one field of a rule from an editor input value. Empty numeric inputs
+ * clear the field; weekday lists are kept sorted.
+ * @param {Array} rules The rule set
+ * @param {number} ruleId Rule to change
+ * @param {string} field Rule field, e.g. 'minStay' or 'arrivalWeekdays'
+ * @param {*} value The input value
+ * @returns {Array} A new rule set
+ */
+export function updateRuleField(rules, ruleId, field, value) {
+  let parsed = value;
+  if ((field === 'from' || field === 'to') && !isIsoDate(value)) {
+    // Half-typed dates would break every view; keep the previous date
+    return rules;
+  }
+  if (INTEGER_FIELDS.includes(field)) {
+    parsed = value === '' || value == null ? null : parseInt(value, 10);
+    if (Number.isNaN(parsed)) parsed = null;
+  } else if (field === 'percentage') {
+    parsed = value === '' || value == null ? null : parseFloat(value);
+    if (Number.isNaN(parsed)) parsed = null;
+  } else if (field === 'arrivalWeekdays' || field === 'departureWeekdays') {
+    parsed = [...value].sort((a, b) => a - b);
+  }
+  return rules.map((rule) => (rule.id === ruleId ? { ...rule, [field]: parsed } : rule));
+}
+
+/**
+ * Move the start and/or end date of a rule, e.g. after dragging a bar edge.
+ * @param {Array} rules The rule set
+ * @param {number} ruleId Rule to change
+ * @param {Object} dates { from, to } as ISO dates; either may be omitted
+ * @returns {Array} A new rule set
+ */
+export function moveRuleDates(rules, ruleId, { from, to }) {
+  return rules.map((rule) => (rule.id === ruleId
+    ? { ...rule, from: from || rule.from, to: to || rule.to }
+    : rule));
+}
+
+/**
+ * Add a rule: a copy of `template` when given, otherwise a 7-night rule for
+ * the 4 weeks from `startDate`. The copy keeps the template's source XML
+ * so unknown tags survive when the set is written back out.
+ * @param {Array} rules The rule set
+ * @param {Object} options
+ * @param {Object} options.template Rule to clone
+ * @param {Date} options.startDate First day of a new rule
+ * @returns {Object} { rules, rule } with the new set and the added rule
+ */
+export function addRule(rules, { template, startDate = new Date() } = {}) {
+  const id = nextRuleId(rules);
+  const rule = template
+    ? { ...template, id, colour: ruleColour(id) }
+    : {
+        id,
+        from: format(startDate, 'yyyy-MM-dd'),
+        to: format(addDays(startDate, 27), 'yyyy-MM-dd'),
+        percentage: 0,
+        arrivalWeekdays: [],
+        departureWeekdays: [],
+        minStay: 7,
+        maxStay: 7,
+        maxDaysToArrival: null,
+        colour: ruleColour(id),
+        originalXml: ''
+      };
+  return { rules: [...rules, rule], rule };
+}
+
+/**
+ * Remove a rule.
+ * @param {Array} rules The rule set
+ * @param {number} ruleId Rule to remove
+ * @returns {Array} A new rule set
+ */
+export function deleteRule(rules, ruleId) {
+  return rules.filter((rule) => rule.id !== ruleId);
+}
+
+/**
+ * Problems that make an edited rule meaningless to the engine.
+ * @param {Object} rule The rule
+ * @returns {Array<string>} Problems, empty when the rule is valid
+ */
+export function validateRule(rule) {
+  const problems = [];
+  if (!isIsoDate(rule.from) || !isIsoDate(rule.to)) {
+    problems.push('from and to must be dates');
+  } else if (rule.from > rule.to) {
+    problems.push('from is after to');
+  }
+  INTEGER_FIELDS.forEach((field) => {
+    if (rule[field] != null && rule[field] < (field === 'maxDaysToArrival' ? 0 : 1)) {
+      problems.push(`${field} is out of range`);
+    }
+  });
+  if (rule.minStay != null && rule.maxStay != null && rule.minStay > rule.maxStay) {
+    problems.push('minStay is above maxStay');
+  }
+  return problems;
+}
+
+/**
+ * Start an editing session on a rule set. The history keeps the original
+ * set next to the edited one, plus undo and redo stacks.
+ * @param {Array} rules The loaded rule set
+ * @returns {Object} { original, present, past, future, lastKey }
+ */
+export function createEditHistory(rules) {
+  return { original: rules, present: rules, past: [], future: [], lastKey: null };
+}
+
+/**
+ * Record an edit. Consecutive edits with the same key (e.g. typing into
+ * one field) are merged into a single undo step.
+ * @param {Object} history The editing session
+ * @param {Array} rules The edited rule set
+ * @param {string} key Identifies the edited field, or null for one-off edits
+ * @returns {Object} The new editing session
+ */
+export function applyEdit(history, rules, key = null) {
+  if (key && key === history.lastKey) {
+    return { ...history, present: rules, future: [] };
+  }
+  return {
+    ...history,
+    present: rules,
+    past: [...history.past, history.present].slice(-MAX_HISTORY),
+    future: [],
+    lastKey: key
+  };
+}
+
+/**
+ * Step back to the rule set before the last edit.
+ * @param {Object} history The editing session
+ * @returns {Object} The new editing session
+ */
+export function undoEdit(history) {
+  if (history.past.length === 0) return history;
+  return {
+    ...history,
+    present: history.past[history.past.length - 1],
+    past: history.past.slice(0, -1),
+    future: [history.present, ...history.future],
+    lastKey: null
+  };
+}
+
+/**
+ * Re-apply the last undone edit.
+ * @param {Object} history The editing session
+ * @returns {Object} The new editing session
+ */
+export function redoEdit(history) {
+  if (history.future.length === 0) return history;
+  return {
+    ...history,
+    present: history.future[0],
+    past: [...history.past, history.present],
+    future: history.future.slice(1),
+    lastKey: null
+  };
+}
@@ -0,0 +1,70 @@
+import { parseISO, isValid } from 'date-fns';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const INTEGER_PATTERN = /^\d+$/;
+
+function parseWeekdays(text) {
+  return text.split(',').map((day) => parseInt(day, 10)).filter((day) => day >= 1 && day <= 7);
+}
+
+function checkWeekdays(text) {
+  const invalid = text.split(',').map((day) => day.trim())
+    .filter((day) => !INTEGER_PATTERN.test(day) || Number(day) < 1 || Number(day) > 7);
+  return invalid.length > 0 ? `weekdays must be 1–7, found ${invalid.map((day) => `"${day}"`).join(', ')}` : null;
+}
+
+function checkDate(text) {
+  return DATE_PATTERN.test(text) && isValid(parseISO(text)) ? null : `"${text}" is not a date (YYYY-MM-DD)`;
+}
+
+// Any text JavaScript reads as a finite number, e.g. "12.5", ".5", "+5" or "1e3"
+function parseNumber(text) {
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+function checkInteger(text) {
+  return INTEGER_PATTERN.test(text) ? null : `"${text}" is not a whole number`;
+}
+
+/**
+ * The rule fields the debugger understands, in the order used when writing
+ * a rule from scratch. For each tag:
+ *   - parse turns its text into the rule value (invalid parts are dropped)
+ *   - format turns a rule value back into text
+ *   - check returns a problem with the text, or null when it is valid
+ *   - required marks tags a rule cannot be used without
+ *   - empty is the value of a missing tag, null unless given
+ */
+export const RULE_FIELDS = [
+  { key: 'from', required: true, parse: (text) => text, format: (value) => value, check: checkDate },
+  { key: 'to', required: true, parse: (text) => text, format: (value) => value, check: checkDate },
+  {
+    key: 'percentage',
+    parse: parseNumber,
+    format: (value) => value.toFixed(2),
+    check: (text) => (parseNumber(text) === null ? `"${text}" is not a number` : null)
+  },
+  { key: 'arrivalWeekdays', empty: [], parse: parseWeekdays, format: (value) => value.join(','), check: checkWeekdays },
+  { key: 'departureWeekdays', empty: [], parse: parseWeekdays, format: (value) => value.join(','), check: checkWeekdays },
+  {
+    key: 'minStay',
+    parse: (text) => (INTEGER_PATTERN.test(text) ? parseInt(text, 10) : null),
+    format: (value) => String(value),
+    check: checkInteger
+  },
+  {
+    key: 'maxStay',
+    parse: (text) => (INTEGER_PATTERN.test(text) ? parseInt(text, 10) : null),
+    format: (value) => String(value),
+    check: checkInteger
+  },
+  {
+    key: 'maxDaysToArrival',
+    parse: (text) => (INTEGER_PATTERN.test(text) ? parseInt(text, 10) : null),
+    format: (value) => String(value),
+    check: checkInteger
+  }
+];
+
+export const RULE_FIELDS_BY_KEY = new Map(RULE_FIELDS.map((field) => [field.key, field]));
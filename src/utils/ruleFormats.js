@@ -0,0 +1,273 @@
+import { buildRuleValues, parseRuleDocument } from './ruleUtils.js';
+import { RULE_FIELDS } from './ruleFields.js';
+import { serialiseRule } from './ruleSerializer.js';
+import { summariseRule } from './evaluation.js';
+import { COLOURS } from './constants.js';
+
+/**
+ * Importers and exporters for rule sets as CSV and JSON, plus pasted XML
+ * snippets. Imports produce the same { rules, metadata, diagnostics } as
+ * parseRuleDocument, with the same checks, so the rest of the debugger
+ * cannot tell the formats apart.
+ */
+
+// Header names recognised for each rule field, lower case without spaces
+// or punctuation
+const HEADER_ALIASES = {
+  from: ['from', 'start', 'startdate', 'validfrom', 'datefrom'],
+  to: ['to', 'end', 'enddate', 'validto', 'dateto'],
+  percentage: ['percentage', 'percent', 'pct'],
+  arrivalWeekdays: ['arrivalweekdays', 'arrivaldays', 'arrival'],
+  departureWeekdays: ['departureweekdays', 'departuredays', 'departure'],
+  minStay: ['minstay', 'minimumstay', 'minnights', 'minlos'],
+  maxStay: ['maxstay', 'maximumstay', 'maxnights', 'maxlos'],
+  maxDaysToArrival: ['maxdaystoarrival', 'daystoarrival', 'leadtime', 'maxleadtime']
+};
+
+// Rule object properties that describe the debugger's copy, not the rule
+const RULE_OBJECT_KEYS = ['id', 'colour', 'originalXml', 'offset', 'line', 'attributes', 'fields'];
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+function normaliseHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The rule object for typed values, like parseRuleDocument builds it. The
+// markup is generated so the XML popup and the XML export work as usual.
+function finishRule(values, index, fields, line) {
+  const rule = {
+    id: index + 1,
+    ...values,
+    colour: COLOURS[index % COLOURS.length],
+    originalXml: '',
+    line,
+    attributes: {},
+    fields
+  };
+  return { ...rule, originalXml: serialiseRule(rule) };
+}
+
+function documentError(message) {
+  return {
+    rules: [],
+    metadata: {},
+    diagnostics: [{ severity: 'error', ruleNumber: null, field: null, line: null, message }]
+  };
+}
+
+// Build the rules of an import from one field map per rule, wording the
+// problems in terms of the import format (see buildRuleValues)
+function buildDocument(entries, { metadata = {}, wording } = {}) {
+  const diagnostics = [];
+  const rules = [];
+  entries.forEach(({ fields, line }, index) => {
+    const ruleNumber = index + 1;
+    const report = (severity, field, problemLine, message) => {
+      diagnostics.push({ severity, ruleNumber, field, line: problemLine, message });
+    };
+    const values = buildRuleValues(fields, { line, report, wording });
+    if (values) rules.push(finishRule(values, index, fields, line));
+  });
+  return { rules, metadata, diagnostics };
+}
+
+/**
+ * Split CSV text into rows. The delimiter (comma, semicolon or tab) is
+ * taken from the first line; quoted cells may contain delimiters, quotes
+ * ("") and line breaks.
+ * @param {string} text CSV text
+ * @returns {Object} { delimiter, rows } where rows are { cells, line }
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = CSV_DELIMITERS.reduce((best, candidate) =>
+    (firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best));
+
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== '')) rows.push({ cells, line: rowLine });
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) endRow();
+  return { delimiter, rows };
+}
+
+/**
+ * Guess which CSV column holds each rule field from the header names.
+ * @param {Array<string>} headers The header cells
+ * @returns {Object} Column index per rule field, or null when not found
+ */
+export function guessCsvMapping(headers) {
+  const normalised = headers.map(normaliseHeader);
+  return Object.fromEntries(RULE_FIELDS.map((field) => {
+    const index = normalised.findIndex((header) => HEADER_ALIASES[field.key].includes(header));
+    return [field.key, index === -1 ? null : index];
+  }));
+}
+
+/**
+ * Turn CSV rows into rules. Mapped columns fill the rule fields; the other
+ * columns are kept in the rule's field map under their header name.
+ * Weekdays may be separated by commas, semicolons, spaces or bars, and
+ * percentages may use a decimal comma.
+ * @param {Array} rows Rows from parseCsv, the first one being the header
+ * @param {Object} mapping Column index per rule field (see guessCsvMapping)
+ * @returns {Object} { rules, metadata, diagnostics }
+ */
+export function csvToRuleDocument(rows, mapping) {
+  if (rows.length < 2) return documentError('The CSV needs a header row and at least one rule');
+  const [header, ...body] = rows;
+  const mappedColumns = new Map(Object.entries(mapping)
+    .filter(([, index]) => index != null)
+    .map(([key, index]) => [index, key]));
+
+  const entries = body.map(({ cells, line }) => {
+    const fields = {};
+    cells.forEach((cell, index) => {
+      const key = mappedColumns.get(index) || header.cells[index]?.trim();
+      if (!key || fields[key]) return;
+      let value = cell.trim();
+      if (key === 'arrivalWeekdays' || key === 'departureWeekdays') {
+        value = value.split(/[\s,;|]+/).filter(Boolean).join(',');
+      } else if (key === 'percentage' && /^-?\d+,\d+$/.test(value)) {
+        // Decimal comma from European spreadsheets
+        value = value.replace(',', '.');
+      }
+      fields[key] = { value, attributes: {}, line };
+    });
+    return { fields, line };
+  });
+  const columnName = (key) => header.cells[mapping[key]]?.trim() || key;
+  return buildDocument(entries, {
+    wording: {
+      missing: (key) => `Column "${columnName(key)}" is empty`,
+      invalid: (key, problem) => `Column "${columnName(key)}": ${problem}`
+    }
+  });
+}
+
+function toFieldText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.join(',');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
+
+/**
+ * Turn a JSON rule array, or an object with a "rules" array and metadata
+ * such as the season, into rules. Rule properties may be numbers, strings
+ * or (for weekdays) arrays; unknown properties are kept in the field map.
+ * @param {string} text JSON text
+ * @returns {Object} { rules, metadata, diagnostics }
+ */
+export function jsonToRuleDocument(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return documentError(`Invalid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data && data.rules;
+  if (!Array.isArray(list)) return documentError('Expected an array of rules or an object with a "rules" array');
+
+  const metadata = {};
+  if (!Array.isArray(data)) {
+    Object.entries(data).forEach(([key, value]) => {
+      if (key !== 'rules' && (value === null || typeof value !== 'object')) metadata[key] = toFieldText(value);
+    });
+  }
+  const entries = list.map((item) => {
+    const fields = {};
+    if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, value]) => {
+        if (RULE_OBJECT_KEYS.includes(key)) return;
+        fields[key] = { value: toFieldText(value), attributes: {}, line: null };
+      });
+    }
+    return { fields, line: null };
+  });
+  return buildDocument(entries, {
+    metadata,
+    wording: {
+      missing: (key) => `Missing key "${key}"`,
+      invalid: (key, problem) => `Key "${key}": ${problem}`
+    }
+  });
+}
+
+/**
+ * Parse pasted XML: a whole document, or one or more bare <rule> elements
+ * copied out of one. Bare rules are wrapped in <rules> on the same line, so
+ * the reported line numbers still match the pasted text.
+ * @param {string} text Pasted XML
+ * @returns {Object} { rules, metadata, diagnostics }
+ */
+export function xmlSnippetToRuleDocument(text) {
+  if (text.trim() === '') return documentError('Nothing to import; paste a rule set or <rule> elements');
+  const isBareRule = /^\s*<rule[\s/>]/.test(text.replace(/^\uFEFF/, ''));
+  return parseRuleDocument(isBareRule ? `<rules>${text}</rules>` : text);
+}
+
+function csvCell(value) {
+  return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Write rules as CSV with one column per rule field, in the layout the
+ * CSV importer maps automatically. Numbers are written as they are, not
+ * rounded like in the XML, so an export imports back to the same rules.
+ * @param {Array} rules The rules
+ * @returns {string} CSV text
+ */
+export function rulesToCsv(rules) {
+  const lines = [RULE_FIELDS.map((field) => field.key).join(',')];
+  rules.forEach((rule) => {
+    lines.push(RULE_FIELDS.map((field) => csvCell(toFieldText(rule[field.key]))).join(','));
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write rules as a JSON array, in the shape the JSON importer reads.
+ * @param {Array} rules The rules
+ * @returns {string} JSON text
+ */
+export function rulesToJson(rules) {
+  return `${JSON.stringify(rules.map(summariseRule), null, 2)}\n`;
+}
@@ -0,0 +1,225 @@
+import { parseXml, textContent, encodeEntities, findElement, findElements } from './xmlParser.js';
+import { RULE_FIELDS, RULE_FIELDS_BY_KEY } from './ruleFields.js';
+import { parseRuleDocument } from './ruleUtils.js';
+
+// Indentation of the generated document; rules taken from their original
+// markup keep the whitespace inside them
+const INDENT = '  ';
+
+function isEmpty(value) {
+  return value == null || (Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(field, value) {
+  return isEmpty(value) ? null : field.format(value);
+}
+
+function serialiseAttributes(attributes) {
+  return Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${encodeEntities(value)}"`)
+    .join('');
+}
+
+function fieldElement(tag, attributes, value) {
+  return `<${tag}${serialiseAttributes(attributes)}>${encodeEntities(value)}</${tag}>`;
+}
+
+// A rule written from its fields alone
+function serialiseNewRule(rule, indent) {
+  const lines = RULE_FIELDS
+    .map((field) => [field, formatValue(field, rule[field.key])])
+    .filter(([, value]) => value !== null)
+    .map(([field, value]) => `${indent}${INDENT}${fieldElement(field.key, {}, value)}`);
+  return `<rule>\n${lines.join('\n')}\n${indent}</rule>`;
+}
+
+/**
+ * Write a rule back into its original markup. Tags and text the debugger
+ * does not know (other elements, comments, attributes, whitespace) are
+ * copied unchanged and in order. A known field is copied as written when
+ * its value is unchanged (including text that does not parse), rewritten
+ * when it changed, dropped when it was cleared, and appended before the
+ * closing tag when it is new.
+ * @param {Object} rule The rule, with originalXml from parseXmlRules
+ * @param {string} indent Indentation of the <rule> tag, for new rules
+ * @returns {string} The <rule> element
+ */
+export function serialiseRule(rule, indent = '') {
+  if (!rule.originalXml) return serialiseNewRule(rule, indent);
+  const source = rule.originalXml;
+  const element = parseXml(source);
+  const written = new Set();
+  let childIndent = null;
+  let markup = '';
+  let pendingText = '';
+
+  element.children.forEach((child) => {
+    const slice = source.slice(child.start, child.end);
+    if (child.type === 'text') {
+      // Held back so the whitespace before a dropped field goes with it
+      pendingText += slice;
+      return;
+    }
+    const field = child.type === 'element' ? RULE_FIELDS_BY_KEY.get(child.name) : null;
+    if (childIndent === null && child.type === 'element') {
+      const newline = pendingText.lastIndexOf('\n');
+      childIndent = newline === -1 ? pendingText : pendingText.slice(newline);
+    }
+    if (!field || written.has(field.key)) {
+      markup += pendingText + slice;
+      pendingText = '';
+      return;
+    }
+    written.add(field.key);
+    const value = formatValue(field, rule[field.key]);
+    const originalText = textContent(child).trim();
+    // Text that did not parse has no value either, so it is kept until edited
+    const originalValue = originalText === '' ? null : formatValue(field, field.parse(originalText));
+    if (value === originalValue) {
+      markup += pendingText + slice;
+    } else if (value !== null) {
+      markup += pendingText + fieldElement(child.name, child.attributes, value);
+    }
+    pendingText = '';
+  });
+
+  const closingText = pendingText;
+  const lineIndent = childIndent ?? `\n${indent}${INDENT}`;
+  RULE_FIELDS.forEach((field) => {
+    if (written.has(field.key)) return;
+    const value = formatValue(field, rule[field.key]);
+    if (value !== null) markup += lineIndent + fieldElement(field.key, {}, value);
+  });
+
+  if (element.children.length === 0) {
+    // <rule/> or <rule></rule> that gained fields
+    return `<rule${serialiseAttributes(element.attributes)}>${markup}\n${indent}</rule>`;
+  }
+  const openTag = source.slice(0, element.children[0].start);
+  return `${openTag}${markup}${closingText}</rule>`;
+}
+
+// Metadata names that can be written back as elements
+const ELEMENT_NAME = /^[A-Za-z_][\w.-]*$/;
+
+// Whitespace before `offset` on its line, the indentation of the markup there
+function indentAt(source, offset) {
+  const lineStart = source.lastIndexOf('\n', offset - 1) + 1;
+  const before = source.slice(lineStart, offset);
+  return /^[ \t]*$/.test(before) ? before : '';
+}
+
+// The rule element a rule was parsed from, when it comes from this document
+function findSlot(slots, source, rule) {
+  if (rule.offset == null || !rule.originalXml) return -1;
+  return slots.findIndex((slot) => slot.start === rule.offset && source.slice(slot.start, slot.end) === rule.originalXml);
+}
+
+// Rules written into an existing document, or null when it cannot take them
+function serialiseIntoDocument(rules, source) {
+  let doc;
+  try {
+    doc = parseXml(source);
+  } catch {
+    return null;
+  }
+  // The same rule elements parseRuleDocument reads
+  const priceRulesNode = findElement(doc, 'priceRules');
+  const slots = findElements(priceRulesNode || doc, 'rule');
+
+  if (slots.length === 0) {
+    const container = findElement(doc, 'rules');
+    if (!container) return null;
+    const indent = indentAt(source, container.start);
+    const body = rules.map((rule) => `\n${indent}${INDENT}${serialiseRule(rule, indent + INDENT)}`).join('');
+    if (container.children.length === 0) {
+      // <rules/> or <rules></rules>
+      const element = `<rules${serialiseAttributes(container.attributes)}>${body}\n${indent}</rules>`;
+      return source.slice(0, container.start) + element + source.slice(container.end);
+    }
+    const closeStart = source.lastIndexOf('</', container.end);
+    const before = source.slice(0, closeStart).replace(/\s*$/, '');
+    return `${before}${body}\n${indent}${source.slice(closeStart)}`;
+  }
+
+  // Each rule goes back into the element it was parsed from; other rules
+  // (added, imported or copied) follow the rule before them in the set,
+  // or come first when no rule precedes them.
+  const claimed = new Map();
+  const following = new Map([[-1, []]]);
+  let previous = -1;
+  rules.forEach((rule) => {
+    const index = findSlot(slots, source, rule);
+    if (index !== -1 && !claimed.has(index)) {
+      claimed.set(index, rule);
+      previous = index;
+    } else {
+      if (!following.has(previous)) following.set(previous, []);
+      following.get(previous).push(rule);
+    }
+  });
+  // Elements the parser skipped (e.g. without valid dates) were never
+  // rules of the set, so they stay as written; the others were deleted
+  const loaded = new Set(parseRuleDocument(source).rules.map((rule) => rule.offset));
+
+  let markup = '';
+  let cursor = 0;
+  slots.forEach((slot, index) => {
+    const indent = indentAt(source, slot.start);
+    markup += source.slice(cursor, slot.start);
+    if (index === 0) {
+      following.get(-1).forEach((rule) => {
+        markup += `${serialiseRule(rule, indent)}\n${indent}`;
+      });
+    }
+    if (claimed.has(index)) {
+      markup += serialiseRule(claimed.get(index), indent);
+    } else if (!loaded.has(slot.start)) {
+      markup += source.slice(slot.start, slot.end);
+    } else {
+      markup = markup.replace(/\s*$/, '');
+    }
+    (following.get(index) || []).forEach((rule) => {
+      markup += `\n${indent}${serialiseRule(rule, indent)}`;
+    });
+    cursor = slot.end;
+  });
+  return markup + source.slice(cursor);
+}
+
+/**
+ * Write a rule set as a product XML document. Rules keep their order,
+ * which is also the document order the precedence strategies fall back to.
+ * Given the document the rules were loaded from, everything outside the
+ * rule elements (declaration, product metadata, other elements, comments)
+ * is kept, each loaded rule is rewritten in its own element and rule
+ * elements the parser skipped are copied as they are.
+ * @param {Array} rules The rules, parsed, edited or merged
+ * @param {Object} options
+ * @param {string} options.source XML the rules were loaded from, if any
+ * @param {Object} options.metadata Document metadata (see parseRuleDocument),
+ *   written as elements of <priceRules> when there is no source
+ * @param {string} options.root 'priceRules' for <priceRules><rules>…</rules></priceRules>
+ *   as the API returns it, or 'rules' for a bare <rules> document, when
+ *   there is no source
+ * @returns {string} The XML document
+ */
+export function serialiseRules(rules, { source = null, metadata = {}, root = 'priceRules' } = {}) {
+  const kept = source ? serialiseIntoDocument(rules, source) : null;
+  if (kept !== null) return kept;
+
+  const wrapped = root === 'priceRules';
+  const indent = wrapped ? INDENT.repeat(2) : INDENT;
+  const body = rules.map((rule) => `${indent}${serialiseRule(rule, indent)}`).join('\n');
+  const rulesElement = rules.length > 0
+    ? `<rules>\n${body}\n${wrapped ? INDENT : ''}</rules>`
+    : '<rules/>';
+  const metadataElements = Object.entries(metadata)
+    .filter(([name]) => ELEMENT_NAME.test(name))
+    .map(([name, value]) => `${INDENT}${fieldElement(name, {}, value ?? '')}\n`)
+    .join('');
+  const document = wrapped
+    ? `<priceRules>\n${metadataElements}${INDENT}${rulesElement}\n</priceRules>`
+    : rulesElement;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${document}\n`;
+}
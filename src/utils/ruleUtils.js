@@ -1,85 +1,330 @@
-import { parseISO, differenceInCalendarDays, isAfter, isBefore } from 'date-fns';
-import { COLOURS } from './constants.js';
+import { parseISO, differenceInCalendarDays, isAfter, isBefore, addDays } from 'date-fns';
+import { COLOURS, WEEKDAY_NAMES, DEFAULT_PRECEDENCE } from './constants.js';
+import { parseXml, childElements, findElement, findElements, textContent } from './xmlParser.js';
+import { RULE_FIELDS } from './ruleFields.js';
 
 /**
- * Parse XML into an array of rule objects. Each rule object
- * normalises the dates into ISO strings and assigns a colour.
+ * Convert a date to the weekday numbering used by the product XML
+ * (1 is Monday, 7 is Sunday).
+ * @param {Date} date The date to convert
+ * @returns {number} Weekday between 1 and 7
+ */
+export function isoWeekday(date) {
+  // JavaScript: 0 (Sunday) -> 7 (Sunday) mapping; but our rule uses 1-7 (Monday-Sunday)
+  const jsDay = date.getDay(); // 0..6 (Sun..Sat)
+  return jsDay === 0 ? 7 : jsDay; // convert to 1..7
+}
+
+/**
+ * Format a list of 1-7 weekdays as short names, e.g. [6] -> "Sat".
+ * @param {Array<number>} weekdays Weekday numbers
+ * @returns {string} Comma separated weekday names, or "Any" when empty
+ */
+export function formatWeekdays(weekdays) {
+  if (!weekdays || weekdays.length === 0 || weekdays.length === 7) return 'Any';
+  return weekdays.map((w) => WEEKDAY_NAMES[w - 1] || `?${w}`).join(', ');
+}
+
+/**
+ * Format a rule percentage for display, e.g. 16.67 -> "16.67%".
+ * @param {number|null} percentage The rule percentage
+ * @returns {string} The formatted percentage, or "–" when undefined
+ */
+export function formatPercentage(percentage) {
+  return percentage == null ? '–' : `${percentage.toFixed(2)}%`;
+}
+
+/**
+ * Summarise a rule on one line, e.g.
+ * "2026-01-10 → 2026-06-20, LOS 7–84, 0.00%, arrival Sat, departure Sat".
+ * @param {Object} rule The price rule
+ * @returns {string} The summary
+ */
+export function describeRule(rule) {
+  const los = rule.minStay === rule.maxStay
+    ? `LOS ${rule.minStay ?? 'any'}`
+    : `LOS ${rule.minStay ?? 1}–${rule.maxStay ?? '∞'}`;
+  const leadTime = rule.maxDaysToArrival != null ? `, ≤ ${rule.maxDaysToArrival} days to arrival` : '';
+  return `${rule.from} → ${rule.to}, ${los}, ${formatPercentage(rule.percentage)}, ` +
+    `arrival ${formatWeekdays(rule.arrivalWeekdays)}, departure ${formatWeekdays(rule.departureWeekdays)}${leadTime}`;
+}
+
+/**
+ * Compute the checkout date of a booking.
+ * @param {string} startDate ISO string representing the booking arrival date
+ * @param {number} length Number of nights
+ * @returns {Date} The departure date
+ */
+export function getDepartureDate(startDate, length) {
+  return addDays(parseISO(startDate), length);
+}
+
+// Metadata of a rule document: attributes of the root and <priceRules>
+// elements, and the text of every leaf element outside the rules, such as
+// <season> or <salesmarket>
+function collectMetadata(doc, priceRulesNode) {
+  const metadata = { ...doc.attributes, ...(priceRulesNode ? priceRulesNode.attributes : {}) };
+  const visit = (element) => {
+    childElements(element).forEach((child) => {
+      if (child.name === 'rule' || child.name === 'rules') return;
+      if (childElements(child).length > 0) {
+        visit(child);
+      } else if (!(child.name in metadata)) {
+        metadata[child.name] = textContent(child).trim();
+      }
+    });
+  };
+  visit(doc);
+  return metadata;
+}
+
+// How problems with a field are worded for XML tags
+const XML_WORDING = {
+  missing: (key) => `Missing <${key}>`,
+  invalid: (key, problem) => `<${key}> ${problem}`
+};
+
+/**
+ * Turn the field map of one rule into its typed values, reporting every
+ * problem (see parseRuleDocument). Shared by all import formats, which
+ * describe each rule as { tag: { value, attributes, line } }.
+ * @param {Object} fields Field map of the rule
+ * @param {Object} options
+ * @param {number} options.line Line of the rule, for rule-level problems
+ * @param {Function} options.report Called as (severity, field, line, message)
+ * @param {Object} options.wording Messages for a field as { missing(key),
+ *   invalid(key, problem) }, in terms of the import format; XML tags by default
+ * @returns {Object|null} The typed values, or null when the rule has no
+ *   valid dates and is ignored
+ */
+export function buildRuleValues(fields, { line, report, wording = XML_WORDING }) {
+  const values = {};
+  let hasDates = true;
+  RULE_FIELDS.forEach((field) => {
+    const entry = fields[field.key];
+    if (!entry || entry.value === '') {
+      if (field.required) {
+        report('error', field.key, line, wording.missing(field.key));
+        hasDates = false;
+      }
+      values[field.key] = field.empty ? [...field.empty] : null;
+      return;
+    }
+    const problem = field.check(entry.value);
+    if (problem) {
+      report('error', field.key, entry.line, wording.invalid(field.key, problem));
+      if (field.required) hasDates = false;
+    }
+    values[field.key] = field.parse(entry.value);
+  });
+
+  if (hasDates && values.from > values.to) {
+    report('error', 'to', fields.to.line, `from ${values.from} is after to ${values.to}`);
+  }
+  if (values.minStay != null && values.maxStay != null && values.minStay > values.maxStay) {
+    report('error', 'maxStay', fields.maxStay.line, `minStay ${values.minStay} is greater than maxStay ${values.maxStay}`);
+  }
+  if (!hasDates) {
+    report('error', null, line, 'Rule ignored: it needs valid from and to dates');
+    return null;
+  }
+  return values;
+}
+
+/**
+ * Parse product XML without losing anything and report what is wrong with
+ * it. Every rule keeps, next to its typed fields, the line and source
+ * offset of its <rule> tag, its attributes and a map of all its child
+ * elements (known or not) as { tag: { value, attributes, line } }. Problems are reported per rule
+ * with the line to look at:
+ *   - errors: missing or unparseable from/to (the rule is then ignored),
+ *     from after to, weekdays outside 1–7, non-numeric percentages or stay
+ *     lengths, and minStay above maxStay
+ *   - warnings: a tag given more than once (the first one is used)
+ * Malformed XML is reported as a single error instead of being thrown.
  * @param {string} text The raw XML string
- * @returns {Array} An array of rule objects
+ * @returns {Object} { rules, metadata, diagnostics, xml } where diagnostics
+ *   are { severity, ruleNumber, field, line, message } and ruleNumber is the
+ *   position of the rule in the document, or null for document problems;
+ *   xml is the parsed text, which serialiseRules can write the rules back
+ *   into, or null when the XML is malformed
  */
-export function parseXmlRules(text) {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(text, 'application/xml');
-  const errorNode = doc.querySelector('parsererror');
-  if (errorNode) {
-    throw new Error('Invalid XML file');
+export function parseRuleDocument(text) {
+  let doc;
+  try {
+    doc = parseXml(text);
+  } catch (error) {
+    const lineMatch = /\(line (\d+)\)$/.exec(error.message);
+    return {
+      rules: [],
+      metadata: {},
+      diagnostics: [{
+        severity: 'error',
+        ruleNumber: null,
+        field: null,
+        line: lineMatch ? Number(lineMatch[1]) : null,
+        message: error.message
+      }],
+      xml: null
+    };
   }
-  
+
   // Check if this is an API response with nested structure
-  const priceRulesNode = doc.querySelector('priceRules');
-  const ruleNodes = priceRulesNode 
-    ? Array.from(priceRulesNode.getElementsByTagName('rule'))
-    : Array.from(doc.getElementsByTagName('rule'));
-    
-  return ruleNodes.map((node, idx) => {
-    const getTag = (tag) => {
-      const el = node.getElementsByTagName(tag)[0];
-      return el ? el.textContent.trim() : null;
+  const priceRulesNode = findElement(doc, 'priceRules');
+  const ruleNodes = priceRulesNode
+    ? findElements(priceRulesNode, 'rule')
+    : findElements(doc, 'rule');
+  const diagnostics = [];
+  const rules = [];
+
+  ruleNodes.forEach((node, idx) => {
+    const ruleNumber = idx + 1;
+    const report = (severity, field, line, message) => {
+      diagnostics.push({ severity, ruleNumber, field, line, message });
     };
-    const from = getTag('from');
-    const to = getTag('to');
-    
-    // Serialize the original XML node for this rule
-    const serializer = new XMLSerializer();
-    const originalXml = serializer.serializeToString(node);
-    
-    return {
-      id: idx + 1,
-      from,
-      to,
-      percentage: getTag('percentage') ? parseFloat(getTag('percentage')) : null,
-      arrivalWeekdays: getTag('arrivalWeekdays')
-        ? getTag('arrivalWeekdays')
-            .split(',')
-            .map((w) => parseInt(w, 10))
-        : [],
-      minStay: getTag('minStay') ? parseInt(getTag('minStay'), 10) : null,
-      maxStay: getTag('maxStay') ? parseInt(getTag('maxStay'), 10) : null,
-      maxDaysToArrival: getTag('maxDaysToArrival')
-        ? parseInt(getTag('maxDaysToArrival'), 10)
-        : null,
+
+    const fields = {};
+    childElements(node).forEach((child) => {
+      if (fields[child.name]) {
+        report('warning', child.name, child.line,
+          `<${child.name}> appears more than once; the first one (line ${fields[child.name].line}) is used`);
+        return;
+      }
+      fields[child.name] = { value: textContent(child).trim(), attributes: child.attributes, line: child.line };
+    });
+
+    const values = buildRuleValues(fields, { line: node.line, report });
+    if (!values) return;
+
+    rules.push({
+      id: ruleNumber,
+      ...values,
       colour: COLOURS[idx % COLOURS.length],
-      originalXml: originalXml // Store the original XML
-    };
+      // Keep the original XML markup of this rule
+      originalXml: text.slice(node.start, node.end),
+      offset: node.start,
+      line: node.line,
+      attributes: node.attributes,
+      fields
+    });
   });
+
+  return { rules, metadata: collectMetadata(doc, priceRulesNode), diagnostics, xml: text };
 }
 
 /**
- * Determine whether a booking defined by a start date and length of stay
- * satisfies a given price rule. The rules for matching are:
- *   - The start date must fall within the rule's [from, to] range
- *   - The length of stay must fall between minStay and maxStay inclusive
- *   - If maxDaysToArrival is defined, the difference between the booking
+ * Parse XML into an array of rule objects (see parseRuleDocument). Each
+ * rule object keeps its original markup and is assigned a colour; rules
+ * without valid dates are left out.
+ * @param {string} text The raw XML string
+ * @returns {Array} An array of rule objects
+ * @throws {Error} When the XML is malformed
+ */
+export function parseXmlRules(text) {
+  const { rules, diagnostics } = parseRuleDocument(text);
+  const documentError = diagnostics.find((diagnostic) => diagnostic.ruleNumber === null);
+  if (documentError) {
+    throw new Error(`Invalid XML file: ${documentError.message}`);
+  }
+  return rules;
+}
+
+/**
+ * Explain how a booking defined by a start date and length of stay is
+ * evaluated against a given price rule. Every constraint of the rule
+ * produces one check, in this order:
+ *   - dateRange: the start date must fall within the rule's [from, to] range
+ *   - minStay / maxStay: the length of stay must fall between minStay and
+ *     maxStay inclusive
+ *   - maxDaysToArrival: if defined, the difference between the booking
  *     start date and the booking creation date must not exceed it
- *   - If arrivalWeekdays is defined, the weekday of the start date must
- *     be permitted
+ *   - arrivalWeekday: if arrivalWeekdays is defined, the weekday of the
+ *     start date must be permitted
+ *   - departureWeekday: if departureWeekdays is defined, the weekday of the
+ *     checkout date (start date plus length of stay) must be permitted
+ * Constraints the rule does not define are reported as passed with
+ * `applicable: false` so callers can render a complete table.
  * @param {Object} rule The price rule to test against
  * @param {string} startDate ISO string representing the booking arrival date
  * @param {number} length Number of nights
  * @param {Date} bookingCreationDate Date representing "today"
- * @returns {boolean} True if the booking meets all constraints
+ * @returns {Object} { ruleId, allowed, failedCount, checks } where each
+ *   check is { key, label, passed, applicable, actual, expected }
  */
-export function isBookingAllowedByRule(rule, startDate, length, bookingCreationDate) {
-  if (!startDate || !length) return false;
+export function explainBookingAgainstRule(rule, startDate, length, bookingCreationDate) {
+  const checks = [];
+  const addCheck = (key, label, applicable, passed, actual, expected) => {
+    checks.push({ key, label, applicable, passed: !applicable || passed, actual, expected });
+  };
+
+  if (!startDate || !length) {
+    return { ruleId: rule.id, allowed: false, failedCount: 0, checks };
+  }
+
   const arrival = parseISO(startDate);
+  const departure = addDays(arrival, length);
   const ruleStart = parseISO(rule.from);
   const ruleEnd = parseISO(rule.to);
-  // Check date range
-  if (isBefore(arrival, ruleStart) || isAfter(arrival, ruleEnd)) return false;
+
+  addCheck(
+    'dateRange', 'Date range', true,
+    !isBefore(arrival, ruleStart) && !isAfter(arrival, ruleEnd),
+    startDate, `${rule.from} – ${rule.to}`
+  );
+  addCheck(
+    'minStay', 'Min stay', Boolean(rule.minStay),
+    length >= rule.minStay,
+    length, rule.minStay ? `≥ ${rule.minStay}` : 'none'
+  );
+  addCheck(
+    'maxStay', 'Max stay', Boolean(rule.maxStay),
+    length <= rule.maxStay,
+    length, rule.maxStay ? `≤ ${rule.maxStay}` : 'none'
+  );
+  const daysToArrival = differenceInCalendarDays(arrival, bookingCreationDate);
+  addCheck(
+    'maxDaysToArrival', 'Days to arrival', rule.maxDaysToArrival != null,
+    daysToArrival <= rule.maxDaysToArrival,
+    daysToArrival, rule.maxDaysToArrival != null ? `≤ ${rule.maxDaysToArrival}` : 'none'
+  );
+  const arrivalWeekday = isoWeekday(arrival);
+  addCheck(
+    'arrivalWeekday', 'Arrival day', Boolean(rule.arrivalWeekdays && rule.arrivalWeekdays.length > 0),
+    rule.arrivalWeekdays && rule.arrivalWeekdays.includes(arrivalWeekday),
+    WEEKDAY_NAMES[arrivalWeekday - 1], formatWeekdays(rule.arrivalWeekdays)
+  );
+  const departureWeekday = isoWeekday(departure);
+  addCheck(
+    'departureWeekday', 'Departure day', Boolean(rule.departureWeekdays && rule.departureWeekdays.length > 0),
+    rule.departureWeekdays && rule.departureWeekdays.includes(departureWeekday),
+    WEEKDAY_NAMES[departureWeekday - 1], formatWeekdays(rule.departureWeekdays)
+  );
+
+  const failedCount = checks.filter((check) => !check.passed).length;
+  return { ruleId: rule.id, allowed: failedCount === 0, failedCount, checks };
+}
+
+/**
+ * Determine whether a booking defined by a start date and length of stay
+ * satisfies a given price rule. This checks the same constraints as
+ * explainBookingAgainstRule but stops at the first failure, cheapest
+ * checks first, because it runs for every cell of the eligibility matrix.
+ * @param {Object} rule The price rule to test against
+ * @param {string} startDate ISO string representing the booking arrival date
+ * @param {number} length Number of nights
+ * @param {Date} bookingCreationDate Date representing "today"
+ * @returns {boolean} True if the booking meets all constraints
+ */
+export function isBookingAllowedByRule(rule, startDate, length, bookingCreationDate) {
+  if (!startDate || !length) return false;
   // Check stay length
   if ((rule.minStay && length < rule.minStay) || (rule.maxStay && length > rule.maxStay)) {
     return false;
   }
+  const arrival = parseISO(startDate);
+  const { ruleStart, ruleEnd } = getRuleDates(rule);
+  // Check date range
+  if (isBefore(arrival, ruleStart) || isAfter(arrival, ruleEnd)) return false;
   // Check maxDaysToArrival (difference between arrival and booking creation date)
   if (rule.maxDaysToArrival != null) {
     const diff = differenceInCalendarDays(arrival, bookingCreationDate);
@@ -87,10 +332,93 @@ export function isBookingAllowedByRule(rule, startDate, length, bookingCreationD
   }
   // Check arrival weekdays (1-7 where 1 is Monday, 7 is Sunday)
   if (rule.arrivalWeekdays && rule.arrivalWeekdays.length > 0) {
-    // JavaScript: 0 (Sunday) -> 7 (Sunday) mapping; but our rule uses 1-7 (Monday-Sunday)
-    const jsDay = arrival.getDay(); // 0..6 (Sun..Sat)
-    const weekday = jsDay === 0 ? 7 : jsDay; // convert to 1..7
-    if (!rule.arrivalWeekdays.includes(weekday)) return false;
+    if (!rule.arrivalWeekdays.includes(isoWeekday(arrival))) return false;
+  }
+  // Check departure weekdays against the computed checkout date
+  if (rule.departureWeekdays && rule.departureWeekdays.length > 0) {
+    const departure = addDays(arrival, length);
+    if (!rule.departureWeekdays.includes(isoWeekday(departure))) return false;
   }
   return true;
 }
+
+// Parsed from/to dates per rule object, so hot loops do not re-parse them
+const ruleDatesCache = new WeakMap();
+
+function getRuleDates(rule) {
+  let cached = ruleDatesCache.get(rule);
+  if (!cached || cached.from !== rule.from || cached.to !== rule.to) {
+    cached = { from: rule.from, to: rule.to, ruleStart: parseISO(rule.from), ruleEnd: parseISO(rule.to) };
+    ruleDatesCache.set(rule, cached);
+  }
+  return cached;
+}
+
+// Comparators used by resolveBooking. Each returns a negative number when
+// rule `a` should take precedence over rule `b`.
+const PRECEDENCE_COMPARATORS = {
+  specificDateRange: (a, b) => dateRangeLength(a) - dateRangeLength(b),
+  narrowestLos: (a, b) => losBandWidth(a) - losBandWidth(b),
+  highestPercentage: (a, b) => (b.percentage || 0) - (a.percentage || 0),
+  lowestPercentage: (a, b) => (a.percentage || 0) - (b.percentage || 0),
+  documentOrder: (a, b) => a.id - b.id
+};
+
+// Number of days covered by the date range of a rule
+function dateRangeLength(rule) {
+  const { ruleStart, ruleEnd } = getRuleDates(rule);
+  return differenceInCalendarDays(ruleEnd, ruleStart);
+}
+
+// Width of the length-of-stay band of a rule; open-ended bands count as
+// wider than any bounded one.
+function losBandWidth(rule) {
+  const min = rule.minStay || 1;
+  const max = rule.maxStay || Number.MAX_SAFE_INTEGER;
+  return max - min;
+}
+
+/**
+ * Sort rules by precedence, best first, using the given strategies in
+ * order and document order as the final tie-breaker.
+ * @param {Array} rules The rules to order
+ * @param {Array<string>} strategies Strategy ids from PRECEDENCE_STRATEGIES
+ * @returns {Array} A new, sorted array of rules
+ */
+export function sortByPrecedence(rules, strategies = DEFAULT_PRECEDENCE) {
+  const comparators = [...strategies, 'documentOrder']
+    .map((id) => PRECEDENCE_COMPARATORS[id])
+    .filter(Boolean);
+  return [...rules].sort((a, b) => {
+    for (const compare of comparators) {
+      const result = compare(a, b);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Resolve which rule the booking engine applies to a booking. All rules
+ * allowing the booking are collected, ordered by precedence and the first
+ * one wins; the others are reported as matched but overridden.
+ * @param {Array} rules The price rules to test against
+ * @param {string} startDate ISO string representing the booking arrival date
+ * @param {number} length Number of nights
+ * @param {Date} bookingCreationDate Date representing "today"
+ * @param {Array<string>} strategies Strategy ids from PRECEDENCE_STRATEGIES
+ * @returns {Object} { matches, winner, losers, effectivePercentage } where
+ *   winner is null and effectivePercentage is null when nothing matches
+ */
+export function resolveBooking(rules, startDate, length, bookingCreationDate, strategies = DEFAULT_PRECEDENCE) {
+  const matches = rules.filter((rule) =>
+    isBookingAllowedByRule(rule, startDate, length, bookingCreationDate)
+  );
+  const [winner = null, ...losers] = sortByPrecedence(matches, strategies);
+  return {
+    matches,
+    winner,
+    losers,
+    effectivePercentage: winner ? winner.percentage : null
+  };
+}
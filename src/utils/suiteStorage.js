@@ -0,0 +1,97 @@
+import { format, parseISO } from 'date-fns';
+import { normaliseSuite } from './testSuites.js';
+
+// localStorage key of the saved booking test suites
+const STORAGE_KEY = 'priceRuleDebugger.testSuites';
+
+/**
+ * Convert the BookingSelector rows into a test suite (see testSuites.js).
+ * Rows without a start date or length are left out.
+ * @param {Object} details
+ * @param {string} details.name Suite name
+ * @param {string} details.propertyCode Property the suite belongs to
+ * @param {Array} details.entries Booking rows as { name, startDate, length, expected }
+ * @param {Date} details.bookingDate Booking creation date
+ * @param {Array<string>} details.precedence Precedence strategy ids
+ * @returns {Object} The suite
+ */
+export function entriesToSuite({ name, propertyCode, entries, bookingDate, precedence }) {
+  return {
+    name,
+    propertyCode,
+    bookingCreationDate: format(bookingDate, 'yyyy-MM-dd'),
+    precedence,
+    tests: entries
+      .filter((entry) => entry.startDate && entry.length)
+      .map((entry) => ({
+        ...(entry.name ? { name: entry.name } : {}),
+        startDate: entry.startDate,
+        length: parseInt(entry.length, 10),
+        expected: entry.expected || {}
+      }))
+  };
+}
+
+/**
+ * Convert a test suite back into BookingSelector rows and settings.
+ * @param {Object} suite A suite, validated with normaliseSuite
+ * @returns {Object} { entries, bookingDate, precedence } where bookingDate
+ *   and precedence are null when the suite does not set them
+ */
+export function suiteToEntries(suite) {
+  return {
+    entries: suite.tests.map((test) => ({
+      name: test.name,
+      startDate: test.startDate,
+      length: String(test.length),
+      expected: test.expected
+    })),
+    bookingDate: suite.bookingCreationDate ? parseISO(suite.bookingCreationDate) : null,
+    precedence: suite.precedence || null
+  };
+}
+
+function readAll() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(suites) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(suites));
+}
+
+/**
+ * Saved suites, optionally only those of one property, by name.
+ * @param {string} propertyCode Optional property code
+ * @returns {Array} The suites
+ */
+export function listSavedSuites(propertyCode) {
+  return readAll()
+    .filter((suite) => !propertyCode || suite.propertyCode === propertyCode)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Save a suite, replacing the saved suite with the same property and name.
+ * @param {Object} suite The suite to save
+ */
+export function saveSuite(suite) {
+  const checked = normaliseSuite(suite);
+  const others = readAll().filter((saved) =>
+    !(saved.propertyCode === checked.propertyCode && saved.name === checked.name)
+  );
+  writeAll([...others, { ...checked, savedAt: new Date().toISOString() }]);
+}
+
+/**
+ * Delete a saved suite.
+ * @param {string} propertyCode Property of the suite
+ * @param {string} name Suite name
+ */
+export function deleteSuite(propertyCode, name) {
+  writeAll(readAll().filter((saved) => !(saved.propertyCode === propertyCode && saved.name === name)));
+}
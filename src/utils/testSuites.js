@@ -0,0 +1,132 @@
+import { parseISO, isValid } from 'date-fns';
+import { resolveBooking } from './ruleUtils.js';
+import { DEFAULT_PRECEDENCE } from './constants.js';
+
+// Percentages in the product XML have two decimals
+const PERCENTAGE_TOLERANCE = 0.005;
+
+/**
+ * Booking test suites pair bookings with their expected outcome:
+ *
+ *   {
+ *     "name": "FRA278 summer",
+ *     "propertyCode": "FRA278",
+ *     "season": 2026,
+ *     "bookingCreationDate": "2026-05-01",
+ *     "precedence": ["specificDateRange", "narrowestLos"],
+ *     "tests": [
+ *       { "name": "Week in July", "startDate": "2026-07-04", "length": 7,
+ *         "expected": { "allowed": true, "winnerId": 3, "percentage": 16.67 } }
+ *     ]
+ *   }
+ *
+ * Every expected field is optional; only the fields given are asserted.
+ */
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && isValid(parseISO(value));
+}
+
+/**
+ * Validate a parsed suite and fill in defaults.
+ * @param {Object} suite Parsed suite JSON
+ * @returns {Object} The suite with name, tests and expected objects set
+ * @throws {Error} Listing every problem found
+ */
+export function normaliseSuite(suite) {
+  if (!suite || typeof suite !== 'object' || !Array.isArray(suite.tests)) {
+    throw new Error('A test suite needs a "tests" array');
+  }
+  const problems = [];
+  if (suite.bookingCreationDate !== undefined && !isDate(suite.bookingCreationDate)) {
+    problems.push('bookingCreationDate must be a date (YYYY-MM-DD)');
+  }
+  const tests = suite.tests.map((test, index) => {
+    const label = `tests[${index}]`;
+    if (!test || !isDate(test.startDate)) problems.push(`${label}: startDate must be a date (YYYY-MM-DD)`);
+    const length = Number(test && test.length);
+    if (!Number.isInteger(length) || length < 1) problems.push(`${label}: length must be a positive integer`);
+    const expected = (test && test.expected) || {};
+    if (expected.allowed !== undefined && typeof expected.allowed !== 'boolean') {
+      problems.push(`${label}: expected.allowed must be true or false`);
+    }
+    if (expected.winnerId !== undefined && expected.winnerId !== null && !Number.isInteger(expected.winnerId)) {
+      problems.push(`${label}: expected.winnerId must be a rule id or null`);
+    }
+    if (expected.percentage !== undefined && expected.percentage !== null && typeof expected.percentage !== 'number') {
+      problems.push(`${label}: expected.percentage must be a number or null`);
+    }
+    return { ...test, name: (test && test.name) || `${test && test.startDate} + ${length}`, length, expected };
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid test suite:\n- ${problems.join('\n- ')}`);
+  }
+  return { ...suite, name: suite.name || 'Untitled suite', tests };
+}
+
+/**
+ * Run one booking test against the rules.
+ * @param {Array} rules The price rules
+ * @param {Object} test { name, startDate, length, expected }
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Date representing "today"
+ * @param {Array<string>} options.strategies Precedence strategy ids
+ * @returns {Object} { test, actual: { allowed, winnerId, percentage }, passed,
+ *   failures } where each failure is { field, expected, actual }
+ */
+export function runBookingTest(rules, test, { bookingCreationDate, strategies = DEFAULT_PRECEDENCE }) {
+  const { winner, effectivePercentage } =
+    resolveBooking(rules, test.startDate, test.length, bookingCreationDate, strategies);
+  const actual = {
+    allowed: Boolean(winner),
+    winnerId: winner ? winner.id : null,
+    percentage: effectivePercentage
+  };
+  const { expected = {} } = test;
+  const failures = [];
+  if (expected.allowed !== undefined && expected.allowed !== actual.allowed) {
+    failures.push({ field: 'allowed', expected: expected.allowed, actual: actual.allowed });
+  }
+  if (expected.winnerId !== undefined && expected.winnerId !== actual.winnerId) {
+    failures.push({ field: 'winnerId', expected: expected.winnerId, actual: actual.winnerId });
+  }
+  if (expected.percentage !== undefined) {
+    const matches = expected.percentage === null || actual.percentage === null
+      ? expected.percentage === actual.percentage
+      : Math.abs(expected.percentage - actual.percentage) < PERCENTAGE_TOLERANCE;
+    if (!matches) failures.push({ field: 'percentage', expected: expected.percentage, actual: actual.percentage });
+  }
+  return { test, actual, passed: failures.length === 0, failures };
+}
+
+/**
+ * Run every test of a suite.
+ * @param {Array} rules The price rules
+ * @param {Object} suite A suite, see normaliseSuite
+ * @param {Object} options
+ * @param {Date} options.bookingCreationDate Overrides the suite's date
+ * @param {Array<string>} options.strategies Overrides the suite's precedence
+ * @returns {Object} { results, passed, failed, total }
+ */
+export function runSuite(rules, suite, { bookingCreationDate, strategies } = {}) {
+  const creationDate = bookingCreationDate ||
+    (suite.bookingCreationDate ? parseISO(suite.bookingCreationDate) : new Date());
+  const results = suite.tests.map((test) =>
+    runBookingTest(rules, test, {
+      bookingCreationDate: creationDate,
+      strategies: strategies || suite.precedence || DEFAULT_PRECEDENCE
+    })
+  );
+  const passed = results.filter((result) => result.passed).length;
+  return { results, passed, failed: results.length - passed, total: results.length };
+}
+
+/**
+ * Describe a failed expectation, e.g. "winnerId: expected 3, got 7".
+ * @param {Object} failure { field, expected, actual }
+ * @returns {string} The description
+ */
+export function describeFailure({ field, expected, actual }) {
+  const show = (value) => (value === null ? 'none' : String(value));
+  return `${field}: expected ${show(expected)}, got ${show(actual)}`;
+}
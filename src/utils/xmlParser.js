@@ -0,0 +1,219 @@
+/**
+ * Minimal XML parser that runs in the browser and in Node alike, so rule
+ * parsing does not depend on DOMParser. It supports elements, attributes,
+ * text, CDATA, comments, processing instructions and a DOCTYPE, which is
+ * all the product XML uses. Every element records its source offsets and
+ * line number, so callers can slice out the original markup or point at
+ * the line of a problem.
+ */
+
+const NAME = '[A-Za-z_][\\w.:-]*';
+const START_TAG = new RegExp(`<(${NAME})((?:\\s+${NAME}\\s*=\\s*(?:"[^"]*"|'[^']*'))*)\\s*(/?)>`, 'y');
+const END_TAG = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE = new RegExp(`(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'g');
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Replace the predefined and numeric character entities of a text.
+ * @param {string} text Raw XML text
+ * @returns {string} The decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * Escape the characters that may not appear as-is in XML text or
+ * attribute values.
+ * @param {string} text Plain text
+ * @returns {string} The escaped text
+ */
+export function encodeEntities(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Offsets of the first character of every line, for offset -> line lookups
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function lineAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+/**
+ * Parse an XML document.
+ * @param {string} text The XML source
+ * @returns {Object} The root element as { type: 'element', name, attributes,
+ *   children, start, end, line }; children are elements or
+ *   { type: 'text' | 'cdata' | 'comment', value, start, end, line } nodes
+ * @throws {Error} When the document is not well-formed; the message names
+ *   the line of the problem
+ */
+export function parseXml(text) {
+  const starts = lineStarts(text);
+  const fail = (message, offset) => {
+    throw new Error(`${message} (line ${lineAt(starts, offset)})`);
+  };
+  const stack = [];
+  let root = null;
+  let pos = 0;
+
+  const append = (node) => {
+    const parent = stack[stack.length - 1];
+    if (parent) {
+      parent.children.push(node);
+    } else if (node.type === 'element') {
+      if (root) fail(`Unexpected second root element <${node.name}>`, node.start);
+      root = node;
+    } else if (node.type === 'text' && node.value.trim() !== '') {
+      fail('Text outside of the root element', node.start);
+    }
+  };
+
+  const skipTo = (terminator, from, what) => {
+    const end = text.indexOf(terminator, from);
+    if (end === -1) fail(`Unterminated ${what}`, pos);
+    return end + terminator.length;
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    if (lt === -1 || lt > pos) {
+      const end = lt === -1 ? text.length : lt;
+      append({ type: 'text', value: decodeEntities(text.slice(pos, end)), start: pos, end, line: lineAt(starts, pos) });
+      pos = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', pos)) {
+      const end = skipTo('-->', pos + 4, 'comment');
+      if (stack.length > 0) {
+        append({ type: 'comment', value: text.slice(pos + 4, end - 3), start: pos, end, line: lineAt(starts, pos) });
+      }
+      pos = end;
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      const end = skipTo(']]>', pos + 9, 'CDATA section');
+      if (stack.length === 0) fail('CDATA outside of the root element', pos);
+      append({ type: 'cdata', value: text.slice(pos + 9, end - 3), start: pos, end, line: lineAt(starts, pos) });
+      pos = end;
+    } else if (text.startsWith('<?', pos)) {
+      pos = skipTo('?>', pos + 2, 'processing instruction');
+    } else if (text.startsWith('<!', pos)) {
+      if (stack.length > 0 || root) fail('Unexpected declaration', pos);
+      pos = skipTo('>', pos + 2, 'declaration');
+    } else if (text.startsWith('</', pos)) {
+      END_TAG.lastIndex = pos;
+      const match = END_TAG.exec(text);
+      if (!match) fail('Malformed closing tag', pos);
+      const element = stack.pop();
+      if (!element) fail(`Unexpected closing tag </${match[1]}>`, pos);
+      if (element.name !== match[1]) {
+        fail(`Closing tag </${match[1]}> does not match <${element.name}> opened on line ${element.line}`, pos);
+      }
+      pos = END_TAG.lastIndex;
+      element.end = pos;
+    } else {
+      START_TAG.lastIndex = pos;
+      const match = START_TAG.exec(text);
+      if (!match) fail('Malformed tag', pos);
+      const attributes = {};
+      for (const [, name, double, single] of match[2].matchAll(ATTRIBUTE)) {
+        attributes[name] = decodeEntities(double ?? single);
+      }
+      const element = {
+        type: 'element',
+        name: match[1],
+        attributes,
+        children: [],
+        start: pos,
+        end: START_TAG.lastIndex,
+        line: lineAt(starts, pos)
+      };
+      append(element);
+      if (!match[3]) stack.push(element);
+      pos = START_TAG.lastIndex;
+    }
+  }
+
+  if (stack.length > 0) {
+    const element = stack[stack.length - 1];
+    fail(`Unclosed element <${element.name}>`, element.start);
+  }
+  if (!root) fail('No root element', 0);
+  return root;
+}
+
+/**
+ * Child elements of an element, optionally only those with a given name.
+ * @param {Object} element Parsed element
+ * @param {string} name Optional element name
+ * @returns {Array} The child elements, in document order
+ */
+export function childElements(element, name) {
+  return element.children.filter((child) => child.type === 'element' && (!name || child.name === name));
+}
+
+/**
+ * All descendant elements with a given name, in document order (like the
+ * DOM's getElementsByTagName).
+ * @param {Object} element Parsed element
+ * @param {string} name Element name
+ * @returns {Array} The matching elements
+ */
+export function findElements(element, name) {
+  const found = [];
+  const visit = (node) => {
+    childElements(node).forEach((child) => {
+      if (child.name === name) found.push(child);
+      visit(child);
+    });
+  };
+  visit(element);
+  return found;
+}
+
+/**
+ * The element itself when it has the given name, otherwise its first
+ * descendant with that name (like the DOM's querySelector).
+ * @param {Object} element Parsed element
+ * @param {string} name Element name
+ * @returns {Object|null} The element, or null when there is none
+ */
+export function findElement(element, name) {
+  if (element.name === name) return element;
+  return findElements(element, name)[0] || null;
+}
+
+/**
+ * Concatenated text and CDATA content of an element and its descendants.
+ * @param {Object} node Parsed node
+ * @returns {string} The text content
+ */
+export function textContent(node) {
+  if (node.type === 'text' || node.type === 'cdata') return node.value;
+  if (node.type !== 'element') return '';
+  return node.children.map(textContent).join('');
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateBoundaryCases, casesToEntries } from '../src/utils/boundaryCases.js';
+import { makeRule } from './helpers.js';
+
+const bookingCreationDate = new Date(2026, 5, 1);
+const bookings = (cases) => cases.map(({ startDate, length }) => `${startDate} ${length}`);
+
+test('generateBoundaryCases probes the date range and the minStay and maxStay edges', () => {
+  const cases = generateBoundaryCases([makeRule(1, { minStay: 3, maxStay: 7 })], { bookingCreationDate });
+  assert.deepEqual(bookings(cases), [
+    '2026-06-30 3',
+    '2026-07-01 2',
+    '2026-07-01 3',
+    '2026-07-01 7',
+    '2026-07-01 8',
+    '2026-07-31 3',
+    '2026-08-01 3'
+  ]);
+  assert.equal(cases[2].name, 'Rule 1: first arrival; Rule 1: minStay');
+});
+
+test('generateBoundaryCases probes arrival and departure weekdays around a permitted stay', () => {
+  const saturdays = makeRule(2, { arrivalWeekdays: [6], departureWeekdays: [6], minStay: 7, maxStay: 14 });
+  const cases = generateBoundaryCases([saturdays], { bookingCreationDate });
+  const byName = Object.fromEntries(cases.flatMap((c) => c.name.split('; ').map((name) => [name, `${c.startDate} ${c.length}`])));
+  assert.equal(byName['Rule 2: first arrival'], '2026-07-04 7');
+  assert.equal(byName['Rule 2: last arrival'], '2026-07-25 7');
+  assert.equal(byName['Rule 2: arrival weekday edge (day before)'], '2026-07-03 7');
+  assert.equal(byName['Rule 2: arrival weekday edge (day after)'], '2026-07-05 7');
+  assert.equal(byName['Rule 2: departure weekday edge (night shorter)'], '2026-07-04 6');
+  assert.equal(byName['Rule 2: departure weekday edge (night longer)'], '2026-07-04 8');
+  assert.equal(byName['Rule 2: maxStay + 1'], '2026-07-04 15');
+});
+
+test('generateBoundaryCases probes maxDaysToArrival from the booking creation date', () => {
+  const rules = [makeRule(3, { maxDaysToArrival: 40, minStay: 7, maxStay: 7 })];
+  const cases = generateBoundaryCases(rules, { bookingCreationDate });
+  const leadTime = cases.filter((c) => /maxDaysToArrival/.test(c.name));
+  assert.deepEqual(bookings(leadTime), ['2026-07-11 7', '2026-07-12 7']);
+
+  assert.deepEqual(casesToEntries(leadTime, { rules, bookingCreationDate, withBaseline: true }), [
+    {
+      name: 'Rule 3: last day within maxDaysToArrival',
+      startDate: '2026-07-11',
+      length: '7',
+      expected: { allowed: true, winnerId: 3, percentage: 0 }
+    },
+    {
+      name: 'Rule 3: first day beyond maxDaysToArrival',
+      startDate: '2026-07-12',
+      length: '7',
+      expected: { allowed: false, winnerId: null, percentage: null }
+    }
+  ]);
+  assert.deepEqual(casesToEntries(leadTime.slice(0, 1), { rules, bookingCreationDate }), [
+    { name: 'Rule 3: last day within maxDaysToArrival', startDate: '2026-07-11', length: '7' }
+  ]);
+});
+
+test('generateBoundaryCases merges cases of several rules for the same booking', () => {
+  const cases = generateBoundaryCases([makeRule(1), makeRule(2, { from: '2026-08-01', to: '2026-08-31' })], {
+    bookingCreationDate
+  });
+  const shared = cases.find((c) => c.startDate === '2026-08-01' && c.length === 1);
+  assert.deepEqual(shared.ruleIds, [1, 2]);
+  assert.equal(shared.name, 'Rule 1: day after range; Rule 2: first arrival');
+});
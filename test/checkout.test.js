@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { parseProbeOptions, buildCheckoutUrl, batchCheckoutHandler } from '../server/routes/checkout.js';
+import { DEFAULT_CHECKOUT_OPTIONS } from '../src/utils/constants.js';
+
+test('parseProbeOptions fills in the defaults', () => {
+  assert.deepEqual(parseProbeOptions(), DEFAULT_CHECKOUT_OPTIONS);
+  assert.deepEqual(parseProbeOptions({ adults: '', brand: undefined }), DEFAULT_CHECKOUT_OPTIONS);
+});
+
+test('parseProbeOptions converts query string values', () => {
+  assert.deepEqual(parseProbeOptions({ adults: '4', pets: '1', brand: 'CPD', locale: 'da-DK', salesMarket: 208, unknown: 'x' }), {
+    ...DEFAULT_CHECKOUT_OPTIONS,
+    adults: 4,
+    pets: 1,
+    brand: 'CPD',
+    locale: 'da-DK',
+    salesMarket: 208
+  });
+});
+
+test('parseProbeOptions rejects invalid guest numbers', () => {
+  assert.throws(() => parseProbeOptions({ children: '-1' }), /children must be a non-negative number/);
+  assert.throws(() => parseProbeOptions({ pets: 'two' }), /pets must be a non-negative number/);
+  assert.throws(() => parseProbeOptions({ adults: '0' }), /adults must be at least 1/);
+});
+
+test('buildCheckoutUrl carries the booking and a fresh correlation id', () => {
+  const options = parseProbeOptions({ adults: 3, pets: 1 });
+  const first = new URL(buildCheckoutUrl('DK1234', '04-07-2026', '11-07-2026', 7, options));
+  const second = new URL(buildCheckoutUrl('DK1234', '04-07-2026', '11-07-2026', 7, options));
+  assert.equal(first.searchParams.get('acode'), 'DK1234');
+  assert.equal(first.searchParams.get('start'), '04-07-2026');
+  assert.equal(first.searchParams.get('nights'), '7');
+  assert.equal(first.searchParams.get('adult'), '3');
+  assert.equal(first.searchParams.get('pets'), '1');
+  assert.notEqual(first.search, second.search);
+});
+
+// Collects the NDJSON messages a handler streams
+function streamResponse() {
+  const lines = [];
+  return {
+    lines,
+    writableEnded: false,
+    status() { return this; },
+    set() {},
+    on() {},
+    write(chunk) { lines.push(JSON.parse(chunk)); },
+    end() { this.writableEnded = true; }
+  };
+}
+
+test('batchCheckoutHandler streams each booking under its own index', async (t) => {
+  // Without fixtures every probe fails, which is enough to see the messages
+  const fixturesDir = await mkdtemp(path.join(tmpdir(), 'checkout-fixtures-'));
+  const saved = { mode: process.env.UPSTREAM_MODE, dir: process.env.FIXTURES_DIR };
+  process.env.UPSTREAM_MODE = 'fixtures';
+  process.env.FIXTURES_DIR = fixturesDir;
+  t.mock.method(console, 'log', () => {});
+  t.after(async () => {
+    if (saved.mode === undefined) delete process.env.UPSTREAM_MODE;
+    else process.env.UPSTREAM_MODE = saved.mode;
+    if (saved.dir === undefined) delete process.env.FIXTURES_DIR;
+    else process.env.FIXTURES_DIR = saved.dir;
+    await rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  const res = streamResponse();
+  await batchCheckoutHandler({
+    params: { propertyCode: 'DK1234' },
+    body: {
+      probes: [
+        { startDate: '2026-07-04', lengthOfStay: 7, index: 5, type: 'done', rowId: 'a' },
+        { startDate: '2026-07-11', lengthOfStay: 14 }
+      ],
+      concurrency: 1
+    }
+  }, res);
+
+  const results = res.lines.filter((line) => line.type === 'result');
+  assert.deepEqual(results.map(({ type, index, startDate, lengthOfStay, rowId }) => ({ type, index, startDate, lengthOfStay, rowId })), [
+    { type: 'result', index: 0, startDate: '2026-07-04', lengthOfStay: 7, rowId: undefined },
+    { type: 'result', index: 1, startDate: '2026-07-11', lengthOfStay: 14, rowId: undefined }
+  ]);
+  assert.equal(results[0].outcome, 'requestFailed');
+  assert.deepEqual(res.lines[res.lines.length - 1], { type: 'done', completed: 2 });
+  assert.ok(res.writableEnded);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSeasonBounds, findCoverageGaps, describeGap, gapsToCsv } from '../src/utils/coverageUtils.js';
+import { makeRule } from './helpers.js';
+
+const bookingCreationDate = new Date(2026, 5, 1);
+
+// Short stays from 10 July, longer stays until 24 July except for Sunday arrivals
+const rules = [
+  makeRule(1, { to: '2026-07-24', minStay: 3, maxStay: 7, arrivalWeekdays: [1, 2, 3, 4, 5, 6] }),
+  makeRule(2, { from: '2026-07-10', minStay: 1, maxStay: 2 })
+];
+
+test('getSeasonBounds spans every rule and stay length', () => {
+  const { start, end, minLength, maxLength } = getSeasonBounds(rules);
+  assert.deepEqual([start, end, minLength, maxLength], [new Date(2026, 6, 1), new Date(2026, 6, 31), 1, 7]);
+  assert.equal(getSeasonBounds([]), null);
+});
+
+test('findCoverageGaps finds the gaps at both edges of the season and on excluded weekdays', () => {
+  const gaps = findCoverageGaps(rules, { bookingCreationDate });
+  assert.deepEqual(gaps.map(describeGap), [
+    'LOS 1–2 not bookable 2026-07-01 → 2026-07-09',
+    'LOS 3–7 not bookable 2026-07-05 → 2026-07-19 (Sun arrivals)',
+    'LOS 3–7 not bookable 2026-07-25 → 2026-07-31'
+  ]);
+  assert.deepEqual(gaps.map((gap) => gap.dayCount), [9, 15, 7]);
+});
+
+test('findCoverageGaps evaluates lead-time limits on the booking creation date', () => {
+  const lastMinute = [makeRule(1, { maxDaysToArrival: 14, minStay: 7, maxStay: 7 })];
+  assert.deepEqual(findCoverageGaps(lastMinute, { bookingCreationDate: new Date(2026, 6, 1) }).map(describeGap), [
+    'LOS 7 not bookable 2026-07-16 → 2026-07-31'
+  ]);
+  assert.deepEqual(findCoverageGaps([], { bookingCreationDate }), []);
+});
+
+test('gapsToCsv writes one row per gap', () => {
+  assert.equal(
+    gapsToCsv(findCoverageGaps(rules, { bookingCreationDate }).slice(0, 2)),
+    'minLength,maxLength,from,to,arrivalWeekdays\n' +
+      '1,2,2026-07-01,2026-07-09,"1,2,3,4,5,6,7"\n' +
+      '3,7,2026-07-05,2026-07-19,"7"'
+  );
+});
@@ -0,0 +1,22 @@
+/**
+ * A parsed price rule for tests: valid all of July 2026 for any weekday
+ * and stay length, with a 0% adjustment. Pass only the fields a test is
+ * about.
+ * @param {number} id Rule id
+ * @param {Object} overrides Fields to set
+ * @returns {Object} The rule
+ */
+export function makeRule(id, overrides = {}) {
+  return {
+    id,
+    from: '2026-07-01',
+    to: '2026-07-31',
+    percentage: 0,
+    arrivalWeekdays: [],
+    departureWeekdays: [],
+    minStay: null,
+    maxStay: null,
+    maxDaysToArrival: null,
+    ...overrides
+  };
+}
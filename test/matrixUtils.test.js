@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCreationDateSweep } from '../src/utils/matrixUtils.js';
+import { makeRule } from './helpers.js';
+
+const season = makeRule(1);
+const lastMinute = makeRule(2, { minStay: 7, maxStay: 7, maxDaysToArrival: 14, percentage: -10 });
+
+test('buildCreationDateSweep shows a lead-time rule switching on at its threshold', () => {
+  const { days, segments, thresholds } = buildCreationDateSweep([season, lastMinute], { startDate: '2026-07-20', length: 7 });
+
+  assert.equal(days.length, 29);
+  assert.deepEqual(days[0], { creationDate: '2026-06-22', daysToArrival: 28, allowed: true, winnerId: 1, percentage: 0 });
+  assert.equal(days[days.length - 1].daysToArrival, 0);
+  assert.deepEqual(segments, [
+    { from: '2026-06-22', to: '2026-07-05', fromDays: 28, toDays: 15, allowed: true, winnerId: 1, percentage: 0 },
+    { from: '2026-07-06', to: '2026-07-20', fromDays: 14, toDays: 0, allowed: true, winnerId: 2, percentage: -10 }
+  ]);
+  assert.deepEqual(thresholds, [{ ruleId: 2, daysToArrival: 14, creationDate: '2026-07-06' }]);
+});
+
+test('buildCreationDateSweep reports days on which no rule allows the booking', () => {
+  const { segments, thresholds } = buildCreationDateSweep([lastMinute], { startDate: '2026-07-20', length: 7, maxDays: 20 });
+  assert.deepEqual(segments.map(({ fromDays, toDays, allowed }) => [fromDays, toDays, allowed]), [
+    [20, 15, false],
+    [14, 0, true]
+  ]);
+  assert.equal(thresholds.length, 1);
+});
+
+test('buildCreationDateSweep sweeps a default period without lead-time rules', () => {
+  const { days, segments, thresholds } = buildCreationDateSweep([season], { startDate: '2026-07-20', length: 3 });
+  assert.equal(days.length, 91);
+  assert.equal(segments.length, 1);
+  assert.deepEqual(thresholds, []);
+});
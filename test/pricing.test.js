@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePriceCalendar } from '../src/utils/pricing.js';
+
+test('parsePriceCalendar reads a CSV with a header row', () => {
+  assert.deepEqual(parsePriceCalendar('date;price;currency\n2026-07-01;120;EUR\n2026-07-02;130.5;EUR\n', 'prices.csv'), {
+    currency: 'EUR',
+    prices: { '2026-07-01': 120, '2026-07-02': 130.5 }
+  });
+});
+
+test('parsePriceCalendar reads a CSV without a header row', () => {
+  assert.deepEqual(parsePriceCalendar('2026-07-01,99\n', 'prices.csv').prices, { '2026-07-01': 99 });
+});
+
+test('parsePriceCalendar explains an empty CSV instead of throwing a TypeError', () => {
+  for (const text of ['', '  \n\t\n']) {
+    assert.throws(() => parsePriceCalendar(text, 'prices.csv'), { name: 'Error', message: /CSV is empty/ });
+  }
+});
+
+test('parsePriceCalendar reports bad CSV lines and missing columns', () => {
+  assert.throws(() => parsePriceCalendar('date,price\n2026-07-01,abc\n', 'prices.csv'), /line 2/);
+  assert.throws(() => parsePriceCalendar('day,cost\n2026-07-01,1\n', 'prices.csv'), /date and a price column/);
+});
+
+test('parsePriceCalendar reads the JSON formats', () => {
+  assert.deepEqual(parsePriceCalendar('[{"date":"2026-07-01","price":120}]', 'prices.json').prices, { '2026-07-01': 120 });
+  assert.deepEqual(parsePriceCalendar('{"currency":"DKK","prices":{"2026-07-01":900}}', 'prices.json'), {
+    currency: 'DKK',
+    prices: { '2026-07-01': 900 }
+  });
+});
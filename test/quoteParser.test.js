@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { parseCheckoutResponse, extractPageMessage } from '../server/lib/quoteParser.js';
+
+function page(quoteResponse, body = '') {
+  return `<html><body>${body}<script>window.state = {"quoteResponse":${JSON.stringify(quoteResponse)}};</script></body></html>`;
+}
+
+test('parseCheckoutResponse reads the quote of the checkout fixture', async () => {
+  const html = await readFile(new URL('../fixtures/checkout/default.html', import.meta.url), 'utf8');
+  const result = parseCheckoutResponse(html);
+  assert.equal(result.success, true);
+  assert.equal(result.outcome, 'ok');
+  assert.equal(result.quote.totalPrice, 1254);
+  assert.equal(result.quote.currency, 'EUR');
+  assert.equal(result.quote.nightly.length, 7);
+});
+
+test('parseCheckoutResponse takes the total, not a nested nightly price', () => {
+  const result = parseCheckoutResponse(page({
+    stay: { nights: [{ date: '2026-07-01', price: 100 }] },
+    quote: { nightlyPrices: [{ date: '2026-07-01', price: 100 }], totalPrice: 700, currency: { code: 'DKK' } }
+  }));
+  assert.equal(result.quote.totalPrice, 700);
+  assert.equal(result.quote.currency, 'DKK');
+  assert.deepEqual(result.quote.nightly, [{ date: '2026-07-01', price: 100 }]);
+});
+
+test('parseCheckoutResponse only uses the generic price keys at the top level', () => {
+  assert.equal(parseCheckoutResponse(page({ price: 950 })).quote.totalPrice, 950);
+  const nested = parseCheckoutResponse(page({ lines: [{ price: 100 }], message: 'Stay too short' }));
+  assert.equal(nested.quote, null);
+  assert.equal(nested.outcome, 'minStayViolation');
+});
+
+test('parseCheckoutResponse reads the error code from the error, not from the currency', () => {
+  const result = parseCheckoutResponse(page({
+    currency: { code: 'EUR' },
+    error: { errorCode: 'NOT_AVAILABLE', message: 'The house is not available' }
+  }));
+  assert.equal(result.success, false);
+  assert.deepEqual(result.error, { code: 'NOT_AVAILABLE', message: 'The house is not available' });
+  assert.equal(result.outcome, 'notSaleable');
+
+  const currencyOnly = parseCheckoutResponse(page({ currency: { code: 'MIN_STAY' } }));
+  assert.equal(currencyOnly.error, null);
+});
+
+test('a page without a quote is classified from its error container only', () => {
+  const footer = '<footer>Minimum stay rules apply to all holiday homes</footer>';
+  const script = '<script>var text = "not available";</script>';
+  assert.equal(parseCheckoutResponse(`<html><body><h1>Checkout</h1>${script}${footer}</body></html>`).outcome, 'unknown');
+  const html = `<html><body><div class="checkout-error">Sorry, this home is sold out.</div>${footer}</body></html>`;
+  assert.equal(parseCheckoutResponse(html).outcome, 'notSaleable');
+});
+
+test('extractPageMessage falls back to the visible body text', () => {
+  const html = '<html><head><title>Minimum stay</title></head><body><p>Stay&nbsp;too short</p><!-- not available --></body></html>';
+  assert.equal(extractPageMessage(html), 'Stay too short');
+});
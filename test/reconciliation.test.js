@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getSaleableLengths,
+  reconcileSaleability,
+  groupMismatches,
+  formatLengths
+} from '../src/utils/reconciliation.js';
+import { makeRule } from './helpers.js';
+
+function saleability(byDate) {
+  return { data: { saleability: byDate } };
+}
+
+const bookingCreationDate = new Date(2026, 5, 1);
+// Arrivals 1–10 July for 2 or 3 nights
+const tenDays = makeRule(1, { to: '2026-07-10', minStay: 2, maxStay: 3 });
+
+test('getSaleableLengths reads numbers and length keys, null when there are none', () => {
+  assert.deepEqual(getSaleableLengths([7, { los: 3 }, { nights: '5' }, 3]), [3, 5, 7]);
+  assert.equal(getSaleableLengths([]), null);
+  assert.equal(getSaleableLengths([{ available: true }]), null);
+  assert.equal(getSaleableLengths(undefined), null);
+});
+
+test('formatLengths compresses consecutive lengths into ranges', () => {
+  assert.equal(formatLengths([2, 3, 4, 7, 9, 10]), '2–4, 7, 9–10');
+  assert.equal(formatLengths([5]), '5');
+});
+
+test('reconcileSaleability flags each kind of disagreement', () => {
+  const rules = [tenDays];
+  const days = reconcileSaleability(rules, saleability({
+    '2026-07-01': [2, 3],
+    '2026-07-02': [2],
+    '2026-07-20': [7]
+  }), { bookingCreationDate });
+  const byDate = Object.fromEntries(days.map((day) => [day.date, day]));
+
+  assert.equal(byDate['2026-07-01'].status, 'match');
+  assert.equal(byDate['2026-07-02'].status, 'losMismatch');
+  assert.deepEqual(byDate['2026-07-02'].missingInApex, [3]);
+  assert.deepEqual(byDate['2026-07-02'].missingInRules, []);
+  assert.equal(byDate['2026-07-03'].status, 'rulesOnly');
+  assert.equal(byDate['2026-07-20'].status, 'apexOnly');
+  assert.equal(days[0].date, '2026-06-01');
+  assert.equal(days[days.length - 1].date, '2026-07-20');
+});
+
+test('reconcileSaleability treats entries without stay lengths as a plain saleable day', () => {
+  const days = reconcileSaleability([tenDays], saleability({ '2026-07-01': [{ available: true }] }), {
+    bookingCreationDate
+  });
+  const day = days.find((d) => d.date === '2026-07-01');
+  assert.equal(day.status, 'match');
+  assert.equal(day.apexLengths, null);
+});
+
+test('reconcileSaleability returns nothing without rules or saleability', () => {
+  assert.deepEqual(reconcileSaleability([], saleability({}), { bookingCreationDate }), []);
+  assert.deepEqual(reconcileSaleability([], null, { bookingCreationDate }), []);
+});
+
+test('groupMismatches merges consecutive days with the same difference', () => {
+  const days = reconcileSaleability([tenDays], saleability({ '2026-07-01': [2, 3] }), { bookingCreationDate });
+  const ranges = groupMismatches(days);
+  assert.deepEqual(ranges.map(({ from, to, status, dayCount }) => ({ from, to, status, dayCount })), [
+    { from: '2026-07-02', to: '2026-07-10', status: 'rulesOnly', dayCount: 9 }
+  ]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyseRules } from '../src/utils/ruleAnalysis.js';
+import { makeRule } from './helpers.js';
+
+const bookingCreationDate = new Date(2026, 5, 1);
+const summary = (findings) => findings.map(({ type, ruleIds }) => [type, ...ruleIds]);
+
+test('analyseRules reports rules that can never apply, with the reason', () => {
+  const findings = analyseRules([
+    makeRule(1, { minStay: 7, maxStay: 3 }),
+    makeRule(2, { from: '2026-05-01', to: '2026-05-31' }),
+    makeRule(3, { from: '2026-07-06', to: '2026-07-10', arrivalWeekdays: [6] }),
+    makeRule(4, { arrivalWeekdays: [6], departureWeekdays: [6], minStay: 3, maxStay: 5 }),
+    makeRule(5, { arrivalWeekdays: [6], departureWeekdays: [6], minStay: 7, maxStay: 7, percentage: 10 })
+  ], { bookingCreationDate });
+
+  assert.deepEqual(summary(findings), [['unreachable', 1], ['unreachable', 2], ['unreachable', 3], ['unreachable', 4]]);
+  assert.match(findings[0].message, /minStay 7 is greater than maxStay 3/);
+  assert.match(findings[1].message, /last arrival date 2026-05-31 is before the booking creation date 2026-06-01/);
+  assert.match(findings[2].message, /no Sat arrival falls between 2026-07-06 and 2026-07-10/);
+  assert.match(findings[3].message, /no LOS 3–5 stay turns a Sat arrival into a Sat departure/);
+  assert.ok(findings.every((finding) => finding.severity === 'error'));
+});
+
+test('analyseRules reports duplicates once and not as an overlap', () => {
+  const findings = analyseRules([makeRule(1, { percentage: 5 }), makeRule(2, { percentage: 5 })], { bookingCreationDate });
+  assert.deepEqual(summary(findings), [['duplicate', 1, 2]]);
+  assert.equal(findings[0].message, 'Rules 1 and 2 are duplicates.');
+});
+
+test('analyseRules describes the region two rules with different percentages share', () => {
+  const findings = analyseRules([
+    makeRule(1, { from: '2026-07-01', to: '2026-07-20', minStay: 2, maxStay: 7, percentage: 5 }),
+    makeRule(2, { from: '2026-07-10', to: '2026-07-31', minStay: 5, arrivalWeekdays: [6, 7], percentage: -10 })
+  ], { bookingCreationDate });
+  assert.deepEqual(summary(findings), [['overlap', 1, 2]]);
+  assert.equal(
+    findings[0].message,
+    'Rules 1 (5.00%) and 2 (-10.00%) both match 2026-07-10 → 2026-07-20, LOS 5–7, arrival Sat, Sun, departure Any.'
+  );
+});
+
+test('analyseRules does not pair rules whose dates, stay lengths or weekdays are disjoint', () => {
+  const findings = analyseRules([
+    makeRule(1, { to: '2026-07-10', percentage: 5 }),
+    makeRule(2, { from: '2026-07-11', percentage: 10 }),
+    makeRule(3, { minStay: 14, arrivalWeekdays: [1], percentage: 15 }),
+    makeRule(4, { maxStay: 7, arrivalWeekdays: [2], percentage: 20 })
+  ], { bookingCreationDate, strategies: ['documentOrder'] });
+  assert.deepEqual(summary(findings), [
+    ['overlap', 1, 3],
+    ['overlap', 1, 4],
+    ['overlap', 2, 3],
+    ['overlap', 2, 4]
+  ]);
+});
+
+test('analyseRules reports a rule covered by one that always wins precedence as shadowed', () => {
+  const season = makeRule(1, { from: '2026-06-01', to: '2026-08-31', percentage: 20 });
+  const july = makeRule(2, { minStay: 7, maxStay: 7, percentage: 10 });
+  assert.deepEqual(summary(analyseRules([season, july], { bookingCreationDate, strategies: ['highestPercentage'] })), [
+    ['shadowed', 2, 1],
+    ['overlap', 1, 2]
+  ]);
+  // With the default precedence the narrower July rule wins, so it is not shadowed
+  assert.deepEqual(summary(analyseRules([season, july], { bookingCreationDate })), [['overlap', 1, 2]]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRuleSets, diffRuleFields, getDiffStatuses } from '../src/utils/ruleDiff.js';
+import { makeRule } from './helpers.js';
+
+// Week-long stays unless a test says otherwise
+const weekRule = (id, overrides) => makeRule(id, { minStay: 7, maxStay: 7, ...overrides });
+
+test('diffRuleSets pairs rules by content, not by position', () => {
+  const base = [weekRule(1), weekRule(2, { minStay: 2, maxStay: 4, percentage: 10 })];
+  const compare = [weekRule(1, { minStay: 1, maxStay: 1, arrivalWeekdays: [6] }), weekRule(2), weekRule(3, { minStay: 2, maxStay: 4, percentage: 12 })];
+  const diff = diffRuleSets(base, compare);
+
+  assert.deepEqual(diff.unchanged.map(({ base: b, compare: c }) => [b.id, c.id]), [[1, 2]]);
+  assert.deepEqual(diff.modified.map(({ base: b, compare: c }) => [b.id, c.id]), [[2, 3]]);
+  assert.deepEqual(diff.modified[0].changes, [{ field: 'percentage', label: 'Percentage', before: '10.00%', after: '12.00%' }]);
+  assert.deepEqual(diff.added.map((r) => r.id), [1]);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('diffRuleSets reports dissimilar rules as removed and added', () => {
+  const diff = diffRuleSets([weekRule(1)], [weekRule(1, { from: '2027-01-01', to: '2027-01-31', minStay: 1, maxStay: 3, arrivalWeekdays: [6], percentage: 5 })]);
+  assert.equal(diff.modified.length, 0);
+  assert.deepEqual([diff.removed.length, diff.added.length], [1, 1]);
+});
+
+test('diffRuleSets treats a year-shifted season as the same rule', () => {
+  const diff = diffRuleSets([weekRule(1)], [weekRule(1, { from: '2027-07-01', to: '2027-07-31' })]);
+  assert.deepEqual(diff.modified[0].changes.map((change) => change.field), ['from', 'to']);
+});
+
+test('diffRuleFields treats all seven weekdays like no weekday restriction', () => {
+  assert.deepEqual(diffRuleFields(weekRule(1), weekRule(1, { arrivalWeekdays: [7, 1, 2, 3, 4, 5, 6] })), []);
+});
+
+test('getDiffStatuses maps rule ids of both sides', () => {
+  const diff = diffRuleSets([weekRule(1), weekRule(2, { minStay: 3, maxStay: 3 })], [weekRule(1), weekRule(2, { minStay: 14, maxStay: 21, arrivalWeekdays: [6], from: '2026-01-01' })]);
+  assert.deepEqual(getDiffStatuses(diff), {
+    base: { 1: 'unchanged', 2: 'removed' },
+    compare: { 1: 'unchanged', 2: 'added' }
+  });
+});
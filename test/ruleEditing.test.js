@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  updateRuleField,
+  moveRuleDates,
+  addRule,
+  deleteRule,
+  validateRule,
+  createEditHistory,
+  applyEdit,
+  undoEdit,
+  redoEdit
+} from '../src/utils/ruleEditing.js';
+import { makeRule } from './helpers.js';
+
+const rules = [makeRule(1, { minStay: 7 }), makeRule(2, { from: '2026-08-01', to: '2026-08-31' })];
+
+test('updateRuleField parses editor input for the edited rule only', () => {
+  const edited = updateRuleField(rules, 1, 'minStay', '3');
+  assert.equal(edited[0].minStay, 3);
+  assert.equal(edited[1], rules[1]);
+  assert.equal(updateRuleField(rules, 1, 'minStay', '')[0].minStay, null);
+  assert.equal(updateRuleField(rules, 1, 'percentage', '-12.5')[0].percentage, -12.5);
+  assert.deepEqual(updateRuleField(rules, 1, 'arrivalWeekdays', [7, 1, 6])[0].arrivalWeekdays, [1, 6, 7]);
+});
+
+test('updateRuleField keeps the rule set when a date is not complete', () => {
+  assert.equal(updateRuleField(rules, 1, 'from', '2026-07-'), rules);
+  assert.equal(updateRuleField(rules, 1, 'to', '2026-02-30'), rules);
+  assert.equal(updateRuleField(rules, 1, 'to', '2026-07-20')[0].to, '2026-07-20');
+});
+
+test('moveRuleDates, addRule and deleteRule edit the rule set', () => {
+  assert.deepEqual(moveRuleDates(rules, 2, { to: '2026-09-15' })[1], { ...rules[1], to: '2026-09-15' });
+
+  const { rules: added, rule } = addRule(rules, { startDate: new Date(2026, 9, 1) });
+  assert.deepEqual([rule.id, rule.from, rule.to, rule.minStay, rule.maxStay], [3, '2026-10-01', '2026-10-28', 7, 7]);
+  assert.equal(added.length, 3);
+
+  const { rule: copy } = addRule(added, { template: rules[0] });
+  assert.deepEqual({ ...copy, colour: undefined }, { ...rules[0], id: 4, colour: undefined });
+
+  assert.deepEqual(deleteRule(added, 1).map((r) => r.id), [2, 3]);
+});
+
+test('validateRule lists the problems of an edited rule', () => {
+  assert.deepEqual(validateRule(rules[0]), []);
+  assert.deepEqual(validateRule(makeRule(1, { from: '2026-08-01', minStay: 0, maxDaysToArrival: -1 })), [
+    'from is after to',
+    'minStay is out of range',
+    'maxDaysToArrival is out of range'
+  ]);
+  assert.deepEqual(validateRule(makeRule(1, { minStay: 7, maxStay: 3 })), ['minStay is above maxStay']);
+});
+
+test('undo and redo step through edits, merging consecutive edits of one field', () => {
+  let history = createEditHistory(rules);
+  const typed = ['1', '14'].map((value) => updateRuleField(rules, 1, 'minStay', value));
+  history = applyEdit(history, typed[0], '1-minStay');
+  history = applyEdit(history, typed[1], '1-minStay');
+  const deleted = deleteRule(typed[1], 2);
+  history = applyEdit(history, deleted);
+  assert.equal(history.past.length, 2);
+
+  history = undoEdit(history);
+  assert.equal(history.present, typed[1]);
+  history = undoEdit(history);
+  assert.equal(history.present, rules);
+  assert.equal(undoEdit(history), history);
+
+  history = redoEdit(history);
+  assert.equal(history.present, typed[1]);
+  history = redoEdit(history);
+  assert.equal(history.present, deleted);
+  assert.equal(redoEdit(history), history);
+  assert.equal(history.original, rules);
+});
+
+test('a new edit after undo discards the redo steps', () => {
+  let history = applyEdit(createEditHistory(rules), deleteRule(rules, 1));
+  history = undoEdit(history);
+  history = applyEdit(history, deleteRule(rules, 2));
+  assert.deepEqual(history.future, []);
+  assert.deepEqual(history.present.map((r) => r.id), [1]);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRuleDocument } from '../src/utils/ruleUtils.js';
+import {
+  parseCsv,
+  guessCsvMapping,
+  csvToRuleDocument,
+  jsonToRuleDocument,
+  xmlSnippetToRuleDocument,
+  rulesToCsv,
+  rulesToJson
+} from '../src/utils/ruleFormats.js';
+import { summariseRule } from '../src/utils/evaluation.js';
+
+const XML = `<rules>
+  <rule>
+    <from>2026-07-01</from>
+    <to>2026-08-31</to>
+    <percentage>12.50</percentage>
+    <arrivalWeekdays>6,7</arrivalWeekdays>
+    <minStay>7</minStay>
+  </rule>
+  <rule>
+    <from>2026-01-01</from>
+    <to>2026-12-31</to>
+    <percentage>0.00</percentage>
+    <maxDaysToArrival>30</maxDaysToArrival>
+  </rule>
+</rules>`;
+
+const fromCsv = (text) => {
+  const { rows } = parseCsv(text);
+  return csvToRuleDocument(rows, guessCsvMapping(rows[0].cells));
+};
+
+test('CSV and JSON exports import back to the same rules', () => {
+  const { rules } = parseRuleDocument(XML);
+  const expected = rules.map(summariseRule);
+  assert.deepEqual(fromCsv(rulesToCsv(rules)).rules.map(summariseRule), expected);
+  assert.deepEqual(jsonToRuleDocument(rulesToJson(rules)).rules.map(summariseRule), expected);
+});
+
+test('CSV import maps aliased headers and keeps the other columns', () => {
+  const csv = 'Start;End;Percent;Arrival days;Min nights;Comment\n2026-07-01;2026-07-31;"12,5";6 7;3;"Summer; peak"\n';
+  const { rules, diagnostics } = fromCsv(csv);
+  assert.deepEqual(diagnostics, []);
+  assert.equal(rules[0].percentage, 12.5);
+  assert.deepEqual(rules[0].arrivalWeekdays, [6, 7]);
+  assert.equal(rules[0].minStay, 3);
+  assert.equal(rules[0].fields.Comment.value, 'Summer; peak');
+  assert.equal(rules[0].line, 2);
+});
+
+test('CSV export keeps percentages exactly', () => {
+  const rules = parseRuleDocument(XML).rules.map((rule) => ({ ...rule, percentage: 12.345 }));
+  assert.match(rulesToCsv(rules), /,12\.345,/);
+  assert.deepEqual(fromCsv(rulesToCsv(rules)).rules.map((rule) => rule.percentage), [12.345, 12.345]);
+});
+
+test('CSV import reports problems with their line and column in the file', () => {
+  const { rules, diagnostics } = fromCsv('Start,End,Min nights\n2026-07-01,2026-07-31,x\n2026-07-01,,2\n');
+  assert.equal(rules.length, 1);
+  assert.deepEqual(diagnostics.map(({ ruleNumber, field, line, message }) => [ruleNumber, field, line, message]), [
+    [1, 'minStay', 2, 'Column "Min nights": "x" is not a whole number'],
+    [2, 'to', 3, 'Column "End" is empty'],
+    [2, null, 3, 'Rule ignored: it needs valid from and to dates']
+  ]);
+});
+
+test('JSON import words problems with the key names', () => {
+  const { diagnostics } = jsonToRuleDocument('[{"from": "2026-07-01", "percentage": "ten"}]');
+  assert.deepEqual(diagnostics.map(({ field, message }) => [field, message]), [
+    ['to', 'Missing key "to"'],
+    ['percentage', 'Key "percentage": "ten" is not a number'],
+    [null, 'Rule ignored: it needs valid from and to dates']
+  ]);
+});
+
+test('JSON import reads metadata and rejects other shapes', () => {
+  const { rules, metadata } = jsonToRuleDocument('{"season": 2026, "rules": [{"from": "2026-07-01", "to": "2026-07-31", "arrivalWeekdays": [6]}]}');
+  assert.deepEqual(metadata, { season: '2026' });
+  assert.deepEqual(rules[0].arrivalWeekdays, [6]);
+  assert.equal(jsonToRuleDocument('{"from": 1}').diagnostics[0].ruleNumber, null);
+  assert.match(jsonToRuleDocument('[').diagnostics[0].message, /^Invalid JSON/);
+});
+
+test('pasted <rule> elements parse like a whole document', () => {
+  const snippet = XML.replace(/^<rules>\n|\n<\/rules>$/g, '');
+  assert.deepEqual(
+    xmlSnippetToRuleDocument(snippet).rules.map(summariseRule),
+    parseRuleDocument(XML).rules.map(summariseRule)
+  );
+  assert.equal(xmlSnippetToRuleDocument('  ').diagnostics[0].ruleNumber, null);
+});
@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRuleDocument } from '../src/utils/ruleUtils.js';
+import { serialiseRule, serialiseRules } from '../src/utils/ruleSerializer.js';
+import { updateRuleField, addRule, deleteRule } from '../src/utils/ruleEditing.js';
+
+const PRODUCT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!-- exported from the product system -->
+<product code="DK1234">
+  <season>2026</season>
+  <salesmarket>999</salesmarket>
+  <priceRules currency="EUR">
+    <rules>
+      <rule type="discount">
+        <from>2026-01-01</from>
+        <to>2026-03-31</to>
+        <percentage>-10.00</percentage>
+        <note>winter</note>
+      </rule>
+      <!-- summer -->
+      <rule>
+        <from>2026-06-01</from>
+        <to>2026-08-31</to>
+        <percentage>15.00</percentage>
+        <minStay>7</minStay>
+      </rule>
+    </rules>
+  </priceRules>
+  <description>Holiday home</description>
+</product>
+`;
+
+// What a reload of the written XML gives, without the markup details
+function reload(xml) {
+  const { rules, metadata, diagnostics } = parseRuleDocument(xml);
+  assert.deepEqual(diagnostics, []);
+  return {
+    metadata,
+    rules: rules.map(({ from, to, percentage, arrivalWeekdays, departureWeekdays, minStay, maxStay, maxDaysToArrival }) => ({
+      from, to, percentage, arrivalWeekdays, departureWeekdays, minStay, maxStay, maxDaysToArrival
+    }))
+  };
+}
+
+test('serialiseRules writes unchanged rules back into the original document as it was', () => {
+  const { rules, xml } = parseRuleDocument(PRODUCT_XML);
+  assert.equal(serialiseRules(rules, { source: xml }), PRODUCT_XML);
+});
+
+test('serialiseRules keeps the metadata and other elements around edited rules', () => {
+  const { rules, metadata, xml } = parseRuleDocument(PRODUCT_XML);
+  const edited = updateRuleField(rules, 2, 'minStay', '5');
+  const written = serialiseRules(edited, { source: xml });
+
+  assert.equal(written, PRODUCT_XML.replace('<minStay>7</minStay>', '<minStay>5</minStay>'));
+  assert.deepEqual(reload(written).metadata, metadata);
+  assert.equal(reload(written).rules[1].minStay, 5);
+});
+
+test('serialiseRules drops deleted rules and appends added ones in the rules element', () => {
+  const { rules, xml } = parseRuleDocument(PRODUCT_XML);
+  const { rules: added } = addRule(deleteRule(rules, 1), { startDate: new Date(2026, 9, 1) });
+  const written = serialiseRules(added, { source: xml });
+
+  assert.match(written, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<!-- exported from the product system -->/);
+  assert.match(written, /<description>Holiday home<\/description>/);
+  assert.doesNotMatch(written, /winter/);
+  assert.deepEqual(reload(written).rules.map((rule) => rule.from), ['2026-06-01', added[1].from]);
+  assert.deepEqual(reload(written).metadata, parseRuleDocument(PRODUCT_XML).metadata);
+});
+
+test('serialiseRules fills an empty rules element of the original document', () => {
+  const source = '<priceRules season="2026">\n  <rules/>\n</priceRules>\n';
+  const { rules } = parseRuleDocument(PRODUCT_XML);
+  const written = serialiseRules(rules, { source });
+  assert.match(written, /^<priceRules season="2026">\n {2}<rules>\n {4}<rule type="discount">/);
+  assert.equal(reload(written).rules.length, 2);
+  assert.deepEqual(reload(written).metadata, { season: '2026' });
+});
+
+test('serialiseRules without a source writes the metadata into a new document', () => {
+  const { rules, metadata } = parseRuleDocument(PRODUCT_XML);
+  const written = serialiseRules(rules, { metadata });
+  assert.deepEqual(reload(written), reload(PRODUCT_XML));
+});
+
+test('serialiseRule writes a rule without markup from its fields', () => {
+  const rule = {
+    from: '2026-05-01',
+    to: '2026-05-31',
+    percentage: 5,
+    arrivalWeekdays: [6, 7],
+    departureWeekdays: [],
+    minStay: 2,
+    maxStay: null,
+    maxDaysToArrival: null
+  };
+  assert.equal(
+    serialiseRule(rule),
+    '<rule>\n  <from>2026-05-01</from>\n  <to>2026-05-31</to>\n  <percentage>5.00</percentage>\n' +
+      '  <arrivalWeekdays>6,7</arrivalWeekdays>\n  <minStay>2</minStay>\n</rule>'
+  );
+});
+
+const INVALID_XML = `<rules>
+  <rule>
+    <from>2026-01-01</from>
+    <to>2026-03-31</to>
+    <percentage>-10.00</percentage>
+  </rule>
+  <rule>
+    <from>2026-02-30</from>
+    <to>2026-04-30</to>
+  </rule>
+  <rule>
+    <from>2026-06-01</from>
+    <to>2026-08-31</to>
+    <percentage>.5</percentage>
+    <minStay>abc</minStay>
+    <arrivalWeekdays>6,8</arrivalWeekdays>
+  </rule>
+</rules>
+`;
+
+test('serialiseRules keeps rules the parser skipped and fields that did not parse', () => {
+  const { rules, xml } = parseRuleDocument(INVALID_XML);
+  assert.deepEqual(rules.map((rule) => rule.id), [1, 3]);
+  assert.equal(serialiseRules(rules, { source: xml }), INVALID_XML);
+});
+
+test('serialiseRules writes each rule back into its own element', () => {
+  const { rules, xml } = parseRuleDocument(INVALID_XML);
+  const edited = updateRuleField(deleteRule(rules, 1), 3, 'minStay', '7');
+  const { rules: copied } = addRule(edited, { template: edited[0] });
+  const summer = [
+    '  <rule>',
+    '    <from>2026-06-01</from>',
+    '    <to>2026-08-31</to>',
+    '    <percentage>.5</percentage>',
+    '    <minStay>7</minStay>',
+    '    <arrivalWeekdays>6,8</arrivalWeekdays>',
+    '  </rule>'
+  ].join('\n');
+  assert.equal(
+    serialiseRules(copied, { source: xml }),
+    '<rules>\n  <rule>\n    <from>2026-02-30</from>\n    <to>2026-04-30</to>\n  </rule>\n' +
+      `${summer}\n${summer}\n</rules>\n`
+  );
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isBookingAllowedByRule, resolveBooking, sortByPrecedence, parseRuleDocument, parseXmlRules } from '../src/utils/ruleUtils.js';
+import { makeRule } from './helpers.js';
+
+const bookingCreationDate = new Date(2026, 0, 1);
+
+// The Saturday to Saturday rule of test.xml
+const saturdayToSaturday = makeRule(1, {
+  from: '2026-01-10',
+  to: '2027-01-09',
+  arrivalWeekdays: [6],
+  departureWeekdays: [6],
+  minStay: 7,
+  maxStay: 84
+});
+
+test('isBookingAllowedByRule accepts a stay that departs on a permitted weekday', () => {
+  assert.equal(isBookingAllowedByRule(saturdayToSaturday, '2026-07-04', 7, bookingCreationDate), true);
+  assert.equal(isBookingAllowedByRule(saturdayToSaturday, '2026-07-04', 14, bookingCreationDate), true);
+});
+
+test('isBookingAllowedByRule rejects a stay that departs on another weekday', () => {
+  assert.equal(isBookingAllowedByRule(saturdayToSaturday, '2026-07-04', 4, bookingCreationDate), false);
+  assert.equal(isBookingAllowedByRule(saturdayToSaturday, '2026-07-04', 8, bookingCreationDate), false);
+  // Without the minimum stay only the Wednesday departure rules out 4 nights
+  const anyLength = { ...saturdayToSaturday, minStay: null };
+  assert.equal(isBookingAllowedByRule(anyLength, '2026-07-04', 4, bookingCreationDate), false);
+  assert.equal(isBookingAllowedByRule({ ...anyLength, departureWeekdays: [] }, '2026-07-04', 4, bookingCreationDate), true);
+});
+
+const ids = (rules) => rules.map((r) => r.id);
+
+test('the default precedence prefers the most specific date range, then the narrowest stay band', () => {
+  const season = makeRule(1, { from: '2026-06-01', to: '2026-08-31', percentage: 5 });
+  const july = makeRule(2, { percentage: 10 });
+  const julyWeek = makeRule(3, { percentage: 20, minStay: 7, maxStay: 7 });
+  const { matches, winner, losers, effectivePercentage } = resolveBooking(
+    [season, july, julyWeek], '2026-07-04', 7, bookingCreationDate
+  );
+  assert.deepEqual(ids(matches), [1, 2, 3]);
+  assert.equal(winner.id, 3);
+  assert.deepEqual(ids(losers), [2, 1]);
+  assert.equal(effectivePercentage, 20);
+});
+
+test('each strategy orders the rules it is about', () => {
+  const rules = [
+    makeRule(1, { percentage: 5, minStay: 2, maxStay: 14 }),
+    makeRule(2, { from: '2026-07-01', to: '2026-07-07', percentage: -10 }),
+    makeRule(3, { percentage: 25, minStay: 7, maxStay: 7 })
+  ];
+  assert.deepEqual(ids(sortByPrecedence(rules, ['specificDateRange'])), [2, 1, 3]);
+  assert.deepEqual(ids(sortByPrecedence(rules, ['narrowestLos'])), [3, 1, 2]);
+  assert.deepEqual(ids(sortByPrecedence(rules, ['highestPercentage'])), [3, 1, 2]);
+  assert.deepEqual(ids(sortByPrecedence(rules, ['lowestPercentage'])), [2, 1, 3]);
+  assert.deepEqual(ids(sortByPrecedence(rules, ['documentOrder'])), [1, 2, 3]);
+});
+
+test('ties fall through to the next strategy and finally to document order', () => {
+  const rules = [makeRule(3, { percentage: 10 }), makeRule(1, { percentage: 10 }), makeRule(2, { percentage: 15 })];
+  assert.deepEqual(ids(sortByPrecedence(rules, ['specificDateRange', 'lowestPercentage'])), [1, 3, 2]);
+  assert.deepEqual(ids(sortByPrecedence(rules, [])), [1, 2, 3]);
+});
+
+test('resolveBooking reports no winner when no rule allows the booking', () => {
+  const result = resolveBooking([makeRule(1, { minStay: 7 })], '2026-07-04', 3, bookingCreationDate);
+  assert.deepEqual(result, { matches: [], winner: null, losers: [], effectivePercentage: null });
+});
+
+test('parseRuleDocument reports rule problems with their line numbers', () => {
+  const xml = [
+    '<priceRules season="2026">',
+    '  <rules>',
+    '    <rule>',
+    '      <from>2026-07-01</from>',
+    '      <to>2026-06-01</to>',
+    '      <arrivalWeekdays>6,8</arrivalWeekdays>',
+    '      <minStay>7</minStay>',
+    '      <minStay>3</minStay>',
+    '      <maxStay>5</maxStay>',
+    '    </rule>',
+    '    <rule>',
+    '      <from>2026-13-01</from>',
+    '      <to>2026-12-31</to>',
+    '    </rule>',
+    '  </rules>',
+    '</priceRules>'
+  ].join('\n');
+  const { rules, metadata, diagnostics } = parseRuleDocument(xml);
+
+  assert.deepEqual(ids(rules), [1]);
+  assert.equal(rules[0].minStay, 7);
+  assert.deepEqual(metadata, { season: '2026' });
+  assert.deepEqual(diagnostics.map(({ severity, ruleNumber, field, line }) => [severity, ruleNumber, field, line]), [
+    ['warning', 1, 'minStay', 8],
+    ['error', 1, 'arrivalWeekdays', 6],
+    ['error', 1, 'to', 5],
+    ['error', 1, 'maxStay', 9],
+    ['error', 2, 'from', 12],
+    ['error', 2, null, 11]
+  ]);
+});
+
+test('parseRuleDocument reads percentages in any number notation', () => {
+  const percentages = ['.5', '+5', '1e3', '-12.50', '5%'];
+  const xml = `<rules>${percentages
+    .map((text) => `<rule><from>2026-07-01</from><to>2026-07-31</to><percentage>${text}</percentage></rule>`)
+    .join('')}</rules>`;
+  const { rules, diagnostics } = parseRuleDocument(xml);
+  assert.deepEqual(rules.map((r) => r.percentage), [0.5, 5, 1000, -12.5, null]);
+  assert.deepEqual(diagnostics.map(({ ruleNumber, message }) => [ruleNumber, message]), [
+    [5, '<percentage> "5%" is not a number']
+  ]);
+});
+
+test('parseRuleDocument reports malformed XML as a document problem', () => {
+  const { rules, diagnostics, xml } = parseRuleDocument('<rules>\n  <rule>\n</rules>');
+  assert.deepEqual(rules, []);
+  assert.equal(xml, null);
+  assert.equal(diagnostics.length, 1);
+  assert.equal(diagnostics[0].ruleNumber, null);
+  assert.equal(diagnostics[0].line, 3);
+});
+
+test('parseXmlRules throws on malformed XML', () => {
+  assert.throws(() => parseXmlRules('<rules><rule></rules>'), /^Error: Invalid XML file/);
+});
@@ -0,0 +1,49 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { loadSaleability } from '../server/lib/upstreamApis.js';
+import { clearCache, listCache } from '../server/lib/responseCache.js';
+
+let fixturesDir;
+const saved = {};
+
+before(async () => {
+  fixturesDir = await mkdtemp(path.join(tmpdir(), 'saleability-fixtures-'));
+  await mkdir(path.join(fixturesDir, 'saleability'));
+  for (const name of ['UPSTREAM_MODE', 'FIXTURES_DIR', 'CACHE_TTL_SECONDS']) saved[name] = process.env[name];
+  process.env.UPSTREAM_MODE = 'fixtures';
+  process.env.FIXTURES_DIR = fixturesDir;
+  process.env.CACHE_TTL_SECONDS = '300';
+});
+
+after(async () => {
+  Object.entries(saved).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  clearCache();
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+test('loadSaleability does not cache an invalid body', async () => {
+  const file = path.join(fixturesDir, 'saleability', 'default.json');
+  await writeFile(file, '{"data": {"saleability": {"2026-07-01": [7]');
+
+  await assert.rejects(loadSaleability({ propertyCode: 'DK1234' }), (error) => {
+    assert.equal(error.statusCode, 502);
+    assert.match(error.message, /invalid JSON/);
+    return true;
+  });
+  assert.equal(listCache().length, 0);
+
+  await writeFile(file, '{"data": {"saleability": {"2026-07-01": [7]}}}');
+  const first = await loadSaleability({ propertyCode: 'DK1234' });
+  assert.equal(first.cache.status, 'miss');
+  assert.deepEqual(first.data, { data: { saleability: { '2026-07-01': [7] } } });
+
+  const second = await loadSaleability({ propertyCode: 'DK1234' });
+  assert.equal(second.cache.status, 'hit');
+  assert.deepEqual(second.data, first.data);
+});
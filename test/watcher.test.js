@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { summariseSaleability } from '../server/lib/watcher.js';
+
+function saleability(byDate) {
+  return { data: { saleability: byDate } };
+}
+
+test('summariseSaleability formats the stay lengths per arrival date', () => {
+  assert.deepEqual(summariseSaleability(saleability({
+    '2026-07-02': [{ los: 7 }, { los: 3 }, { los: 4 }],
+    '2026-07-01': [2]
+  })), {
+    '2026-07-01': '2',
+    '2026-07-02': '3–4, 7'
+  });
+});
+
+test('summariseSaleability skips dates without stay lengths instead of throwing', () => {
+  assert.deepEqual(summariseSaleability(saleability({
+    '2026-07-01': [],
+    '2026-07-02': [{ available: true }],
+    '2026-07-03': [5]
+  })), { '2026-07-03': '5' });
+});
+
+test('summariseSaleability accepts missing data', () => {
+  assert.deepEqual(summariseSaleability(null), {});
+  assert.deepEqual(summariseSaleability({ data: {} }), {});
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseXml, decodeEntities, childElements, findElements, findElement, textContent } from '../src/utils/xmlParser.js';
+
+const XML = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE product>
+<!-- exported -->
+<product code="DK&amp;1" name='Villa "Sol"'>
+  <rules>
+    <!-- summer -->
+    <rule><note>Tom &amp; Jerry &lt;3 &#233;&#x20AC;</note></rule>
+    <rule><note><![CDATA[<b>bold</b> & raw]]></note></rule>
+    <empty/>
+  </rules>
+</product>`;
+
+test('parseXml reads elements, attributes, entities, CDATA and comments', () => {
+  const root = parseXml(XML);
+  assert.equal(root.name, 'product');
+  assert.deepEqual(root.attributes, { code: 'DK&1', name: 'Villa "Sol"' });
+
+  const rules = findElement(root, 'rules');
+  assert.deepEqual(childElements(rules).map((element) => element.name), ['rule', 'rule', 'empty']);
+  assert.deepEqual(rules.children.filter((node) => node.type === 'comment').map((node) => node.value), [' summer ']);
+  assert.deepEqual(findElements(root, 'note').map(textContent), ['Tom & Jerry <3 é€', '<b>bold</b> & raw']);
+  assert.deepEqual(findElement(root, 'empty').children, []);
+  assert.equal(findElement(root, 'missing'), null);
+});
+
+test('parseXml records the line and source offsets of every element', () => {
+  const root = parseXml(XML);
+  const [first, second] = findElements(root, 'rule');
+  assert.deepEqual([root.line, first.line, second.line], [4, 7, 8]);
+  assert.equal(XML.slice(second.start, second.end), '<rule><note><![CDATA[<b>bold</b> & raw]]></note></rule>');
+  assert.equal(XML.slice(root.end), '');
+});
+
+test('findElements searches descendants only, findElement the element itself too', () => {
+  const root = parseXml('<rule><rule><rule/></rule></rule>');
+  assert.equal(findElements(root, 'rule').length, 2);
+  assert.equal(findElement(root, 'rule'), root);
+});
+
+test('decodeEntities leaves unknown entities as they are', () => {
+  assert.equal(decodeEntities('&quot;a&apos; &nbsp; &#65;'), '"a\' &nbsp; A');
+});
+
+test('parseXml reports malformed input with its line', () => {
+  assert.throws(() => parseXml('<rules>\n  <rule>\n</rules>'), /^Error: Closing tag <\/rules> does not match <rule> opened on line 2 \(line 3\)$/);
+  assert.throws(() => parseXml('<rules>\n  <rule>'), /^Error: Unclosed element <rule> \(line 2\)$/);
+  assert.throws(() => parseXml('<a/>\n<b/>'), /^Error: Unexpected second root element <b> \(line 2\)$/);
+  assert.throws(() => parseXml('<a>\n<!-- open'), /^Error: Unterminated comment \(line 2\)$/);
+  assert.throws(() => parseXml('<a>\n  <b c=1/>\n</a>'), /^Error: Malformed tag \(line 2\)$/);
+  assert.throws(() => parseXml('text <a/>'), /^Error: Text outside of the root element \(line 1\)$/);
+  assert.throws(() => parseXml('<!-- nothing -->'), /^Error: No root element \(line 1\)$/);
+});